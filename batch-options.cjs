@@ -0,0 +1,67 @@
+/**
+ * Option validation for processPdfBatch
+ * Shared by the ES module and the CommonJS wrapper (see index.cjs)
+ */
+
+const os = require('os');
+const { assertCache } = require('./cache.cjs');
+
+// Library functions processPdfBatch can run; they take (pdfSource, options) and resolve to plain data
+const BATCH_FUNCTIONS = [
+  'extractPdfSmart',
+  'extractPdfData',
+  'extractPdfStats',
+  'analyzePdfType',
+  'analyzePdfTextQuality',
+  'extractPdfMetadata',
+  'extractPdfAnnotations',
+  'extractPdfTables',
+  'extractPdfImages',
+  'renderPdfPages'
+];
+
+/**
+ * Validates the arguments of processPdfBatch and applies the defaults
+ * @param {Iterable|AsyncIterable} sources - PDF paths or buffers
+ * @param {Object} options - Batch options (see processPdfBatch)
+ * @returns {{concurrency: number, fn: string, fnOptions: Object, timeoutMs: number, workerHeapMB: number, signal: AbortSignal|null, cache: Object|null}}
+ */
+function resolveBatchOptions(sources, options = {}) {
+  const {
+    concurrency = Math.max(1, os.availableParallelism() - 1),
+    fn = 'extractPdfSmart',
+    options: fnOptions = {},
+    timeoutMs = 0,
+    workerHeapMB = 0,
+    signal = null,
+    cache = null
+  } = options;
+  
+  if (!sources || (typeof sources[Symbol.iterator] !== 'function' && typeof sources[Symbol.asyncIterator] !== 'function')) {
+    throw new TypeError('sources must be an iterable or async iterable of PDF paths or buffers');
+  }
+  if (!BATCH_FUNCTIONS.includes(fn)) {
+    throw new TypeError(`fn must be one of ${BATCH_FUNCTIONS.join(', ')}, got ${fn}`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new RangeError(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+  if (!(timeoutMs >= 0) || !(workerHeapMB >= 0)) {
+    throw new RangeError('timeoutMs and workerHeapMB must not be negative');
+  }
+  if (signal !== null && (typeof signal !== 'object' || typeof signal.aborted !== 'boolean')) {
+    throw new TypeError('signal must be an AbortSignal');
+  }
+  if (cache !== null) assertCache(cache);
+  try {
+    structuredClone(fnOptions);
+  } catch (error) {
+    throw new TypeError(`options.options must be cloneable to worker threads (no callbacks): ${error.message}`);
+  }
+  
+  return { concurrency, fn, fnOptions, timeoutMs, workerHeapMB, signal, cache };
+}
+
+module.exports = {
+  resolveBatchOptions
+};
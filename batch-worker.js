@@ -0,0 +1,33 @@
+/**
+ * Worker thread for processPdfBatch
+ * Runs one library function per message and replies with the result or a plain error,
+ * so a malformed PDF can only fail its own entry of the batch.
+ */
+
+import { parentPort } from 'worker_threads';
+import * as pdfEfficientLoader from './index.js';
+
+parentPort.on('message', async ({ fn, source, options }) => {
+  let reply;
+  try {
+    reply = { ok: true, result: await pdfEfficientLoader[fn](source, options) };
+  } catch (error) {
+    reply = { ok: false, error: { name: error?.name || 'Error', message: error?.message || String(error) } };
+    if (typeof error?.pageNum === 'number') reply.error.pageNum = error.pageNum;
+  }
+
+  try {
+    parentPort.postMessage(reply);
+  } catch (error) {
+    // Result could not be cloned to the main thread
+    parentPort.postMessage({ ok: false, error: { name: error.name, message: error.message } });
+  }
+
+  // GC after every document for minimal RAM
+  if (global.gc) {
+    global.gc();
+  }
+});
+
+// Library loaded - processPdfBatch starts timeouts from here
+parentPort.postMessage({ ready: true });
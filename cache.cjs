@@ -0,0 +1,232 @@
+/**
+ * Result cache for pdf-efficient-loader
+ * Shared by the ES module and the CommonJS wrapper (see index.cjs)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const v8 = require('v8');
+
+/**
+ * In-memory store that evicts the least recently used entries
+ * @param {Object} limits - Store limits
+ * @param {number} limits.maxEntries - Maximum number of entries
+ * @param {number} limits.maxBytes - Maximum total size of the stored data
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}}
+ */
+function createMemoryStore({ maxEntries, maxBytes }) {
+  // Map keeps insertion order, so the first key is the least recently used one
+  const entries = new Map();
+  let totalBytes = 0;
+  
+  const remove = (key) => {
+    const data = entries.get(key);
+    if (data === undefined) return;
+    entries.delete(key);
+    totalBytes -= data.byteLength;
+  };
+  
+  return {
+    get(key) {
+      const data = entries.get(key);
+      if (data === undefined) return undefined;
+      entries.delete(key);
+      entries.set(key, data);
+      return data;
+    },
+    
+    set(key, data) {
+      remove(key);
+      // A single result larger than the whole cache is not stored at all
+      if (data.byteLength > maxBytes) return;
+      entries.set(key, data);
+      totalBytes += data.byteLength;
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+    },
+    
+    delete: remove,
+    
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+    }
+  };
+}
+
+/**
+ * On-disk store with one file per entry
+ * Files are written under a temporary name and renamed, so concurrent
+ * processes sharing the directory never read a half-written entry.
+ * @param {string} directory - Cache directory, created on first write
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}}
+ */
+function createDirectoryStore(directory) {
+  const entryPath = key => path.join(directory, `${key}.bin`);
+  let tempCounter = 0;
+  
+  return {
+    async get(key) {
+      try {
+        return await fs.promises.readFile(entryPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+    
+    async set(key, data) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      // Unique per write, as the same document may be stored by two calls at once
+      const tempPath = `${entryPath(key)}.${process.pid}.${++tempCounter}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, entryPath(key));
+    },
+    
+    async delete(key) {
+      await fs.promises.rm(entryPath(key), { force: true });
+    },
+    
+    async clear() {
+      let names;
+      try {
+        names = await fs.promises.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      await Promise.all(names
+        .filter(name => name.endsWith('.bin'))
+        .map(name => fs.promises.rm(path.join(directory, name), { force: true })));
+    }
+  };
+}
+
+/**
+ * Result cache for the `cache` option
+ * Results are keyed by a hash of the document content, the function, its options
+ * and the library and pdf.js versions. Entries are stored as v8-serialized Buffers,
+ * so every hit returns a fresh copy. Store failures count as misses and are
+ * reported in `errors` instead of failing the call.
+ * 
+ * @param {Object} options - Cache options
+ * @param {string} options.directory - Keep entries as files in this directory instead of in memory
+ * @param {Object} options.store - Custom store with `get(key)` and `set(key, data)` (may return promises)
+ * @param {number} options.maxEntries - In-memory store: maximum number of entries (default: 100)
+ * @param {number} options.maxBytes - In-memory store: maximum total size in bytes, Buffers in results included (default: 64 MB)
+ * @returns {Object} Cache with `get`, `set`, `getStats` and `clear`
+ */
+function createPdfCache(options = {}) {
+  const {
+    directory = null,
+    store = null,
+    maxEntries = 100,
+    maxBytes = 64 * 1024 * 1024
+  } = options;
+  
+  if (directory !== null && typeof directory !== 'string') {
+    throw new TypeError('directory must be a string');
+  }
+  if (directory !== null && store !== null) {
+    throw new TypeError('directory and store cannot be combined');
+  }
+  if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+    throw new RangeError(`maxEntries must be a positive integer, got ${maxEntries}`);
+  }
+  if (!(maxBytes > 0)) {
+    throw new RangeError(`maxBytes must be a positive number, got ${maxBytes}`);
+  }
+  
+  let backend;
+  if (store !== null) {
+    if (typeof store !== 'object' || typeof store.get !== 'function' || typeof store.set !== 'function') {
+      throw new TypeError('store must have get(key) and set(key, data) methods');
+    }
+    backend = store;
+  } else if (directory !== null) {
+    backend = createDirectoryStore(directory);
+  } else {
+    backend = createMemoryStore({ maxEntries, maxBytes });
+  }
+  
+  const stats = { hits: 0, misses: 0, writes: 0, bypassed: 0, errors: 0 };
+  
+  return {
+    store: backend,
+    
+    /**
+     * Looks up a result
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Stored result, or undefined on a miss
+     */
+    async get(key) {
+      try {
+        const data = await backend.get(key);
+        if (data != null) {
+          const value = v8.deserialize(data);
+          stats.hits++;
+          return value;
+        }
+      } catch {
+        // Unreadable or corrupt entry
+        stats.errors++;
+      }
+      stats.misses++;
+      return undefined;
+    },
+    
+    /**
+     * Stores a result
+     * @param {string} key - Cache key
+     * @param {*} value - Result made of plain data, arrays and Buffers
+     */
+    async set(key, value) {
+      try {
+        await backend.set(key, v8.serialize(value));
+        stats.writes++;
+      } catch {
+        stats.errors++;
+      }
+    },
+    
+    /**
+     * Counts a call whose options cannot be part of a key (callbacks such as pageFilter)
+     */
+    bypass() {
+      stats.bypassed++;
+    },
+    
+    /**
+     * Counters since the cache was created
+     * @returns {{hits: number, misses: number, writes: number, bypassed: number, errors: number, hitRate: number}}
+     */
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return { ...stats, hitRate: lookups > 0 ? stats.hits / lookups : 0 };
+    },
+    
+    /**
+     * Removes all entries; counters are kept
+     */
+    async clear() {
+      await backend.clear?.();
+    }
+  };
+}
+
+/**
+ * Validates the cache option
+ * @param {Object} cache - Cache from createPdfCache
+ */
+function assertCache(cache) {
+  if (typeof cache !== 'object' || typeof cache.get !== 'function' ||
+      typeof cache.set !== 'function' || typeof cache.bypass !== 'function') {
+    throw new TypeError('cache must be created with createPdfCache');
+  }
+}
+
+module.exports = {
+  createPdfCache,
+  assertCache
+};
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for pdf-efficient-loader
+ * Runs analyzePdfType, extractPdfSmart or extractPdfStats on many files through
+ * processPdfBatch, so every file is isolated in a worker thread.
+ *
+ * Exit codes: 0 = all files processed, 1 = at least one file failed, 2 = invalid usage
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { processPdfBatch, createPdfCache } from './index.js';
+
+const COMMANDS = {
+  analyze: 'analyzePdfType',
+  extract: 'extractPdfSmart',
+  stats: 'extractPdfStats'
+};
+
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+const USAGE = `Usage: pdf-efficient-loader <analyze|extract|stats> [options] <files...>
+
+Commands:
+  analyze              Detect document type (scan, vector, text or mixed)
+  extract              Extract text and counts with extractPdfSmart
+  stats                Count pages, images and vectors with extractPdfStats
+
+Files can be paths or glob patterns ("scans/**/*.pdf"); quote patterns to skip shell expansion.
+
+Options:
+  -f, --format <fmt>       Output: text (default), json or ndjson
+  -p, --pages <ranges>     Pages to process, e.g. "1-3,7"
+      --all-pages          analyze: classify every page instead of a sample
+      --text-mode <mode>   plain (default), lines or layout
+      --password <pwd>     Password for encrypted documents
+      --tolerant           Skip unreadable pages instead of failing the file
+      --cjk                Load CMaps for Japanese, Chinese and Korean fonts
+      --standard-fonts     Load data for non-embedded standard fonts
+      --cache <dir>        Reuse results stored in this directory by earlier runs
+  -c, --concurrency <n>    Files processed in parallel (default: CPUs - 1)
+      --timeout <ms>       Time limit per file
+      --max-memory <mb>    Heap limit per file; larger files fail instead of exhausting memory
+  -h, --help               Show this help
+  -v, --version            Show version`;
+
+/**
+ * Raised for invalid command lines (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses a positive integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined}
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new UsageError(`--${name} must be a positive integer, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Parses the command line
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Command, patterns and options
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        pages: { type: 'string', short: 'p' },
+        'all-pages': { type: 'boolean', default: false },
+        'text-mode': { type: 'string' },
+        password: { type: 'string' },
+        tolerant: { type: 'boolean', default: false },
+        cjk: { type: 'boolean', default: false },
+        'standard-fonts': { type: 'boolean', default: false },
+        cache: { type: 'string' },
+        concurrency: { type: 'string', short: 'c' },
+        timeout: { type: 'string' },
+        'max-memory': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', short: 'v', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  
+  const { values, positionals } = parsed;
+  if (values.help || values.version) {
+    return { help: values.help, version: values.version };
+  }
+  
+  const [command, ...patterns] = positionals;
+  if (!COMMANDS[command]) {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (patterns.length === 0) {
+    throw new UsageError('Missing input files');
+  }
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}, got ${values.format}`);
+  }
+  
+  // Options for the library function; validated again by the library itself
+  const options = {};
+  if (values.pages !== undefined) options.pages = values.pages;
+  if (values['text-mode'] !== undefined) options.textMode = values['text-mode'];
+  if (values.password !== undefined) options.password = values.password;
+  if (values.tolerant) options.tolerant = true;
+  if (values.cjk) options.cjk = true;
+  if (values['standard-fonts']) options.standardFonts = true;
+  if (command === 'analyze' && values['all-pages']) options.allPages = true;
+  
+  return {
+    command,
+    patterns,
+    format: values.format,
+    options,
+    concurrency: parsePositiveInt(values.concurrency, 'concurrency'),
+    timeoutMs: parsePositiveInt(values.timeout, 'timeout') ?? 0,
+    workerHeapMB: parsePositiveInt(values['max-memory'], 'max-memory') ?? 0,
+    cacheDir: values.cache ?? null
+  };
+}
+
+/**
+ * Converts a glob pattern to a regular expression for slash-separated paths
+ * Supports `*`, `?`, `[...]` and `**` for any number of directories
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" everything below
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists files matching a glob pattern; other arguments are returned unchanged
+ * @param {string} pattern - Path or glob pattern
+ * @returns {Promise<string[]>} Matching files, sorted
+ */
+async function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  if (!/[*?[]/.test(normalized)) return [pattern];
+  
+  // Walk from the last directory before the first wildcard
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(segment => /[*?[]/.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+  const rest = segments.slice(firstGlob);
+  const matcher = globToRegExp(rest.join('/'));
+  const maxDepth = rest.some(segment => segment.includes('**')) ? Infinity : rest.length;
+  
+  const matches = [];
+  const walk = async (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth + 1 < maxDepth) await walk(entryPath, entryRelative, depth + 1);
+      } else if (matcher.test(entryRelative)) {
+        matches.push(entryPath);
+      }
+    }
+  };
+  await walk(base, '', 0);
+  
+  return matches.sort();
+}
+
+/**
+ * Formats a successful result for plain-text output
+ * @param {string} command - CLI command
+ * @param {string} file - Input file
+ * @param {Object} result - Library result
+ * @returns {string}
+ */
+function formatText(command, file, result) {
+  if (command === 'analyze') {
+    const ranges = Object.entries(result.pageRanges)
+      .map(([type, pages]) => `${type}: ${pages}`)
+      .join(', ');
+    return `${file}: ${result.type} (confidence ${(result.confidence * 100).toFixed(1)}%, ` +
+      `${result.stats.totalPages} pages${ranges ? `; ${ranges}` : ''})`;
+  }
+  if (command === 'stats') {
+    return `${file}: ${result.pages} pages, ${result.imageCount} images, ${result.vectorCount} vectors, ` +
+      `${result.text.length} characters`;
+  }
+  return `==> ${file} (${result.pdfType}, ${result.processedPages.length} pages) <==\n${result.text}\n`;
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseCommandLine(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`pdf-efficient-loader: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.version) {
+    const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+    console.log(pkg.version);
+    return 0;
+  }
+  
+  let failed = false;
+  const files = [];
+  for (const pattern of args.patterns) {
+    const matches = await expandGlob(pattern);
+    if (matches.length === 0) {
+      console.error(`pdf-efficient-loader: no files match ${pattern}`);
+      failed = true;
+    }
+    files.push(...matches);
+  }
+  
+  const batch = processPdfBatch(files, {
+    fn: COMMANDS[args.command],
+    options: args.options,
+    ...(args.concurrency && { concurrency: args.concurrency }),
+    timeoutMs: args.timeoutMs,
+    workerHeapMB: args.workerHeapMB,
+    ...(args.cacheDir && { cache: createPdfCache({ directory: args.cacheDir }) })
+  });
+  
+  // json keeps input order, the other formats print files as they finish
+  const entries = [];
+  for await (const { index, source, ok, result, error } of batch) {
+    if (!ok) failed = true;
+    const entry = ok ? { file: source, ok, result } : { file: source, ok, error };
+    
+    if (args.format === 'json') {
+      entries[index] = entry;
+    } else if (args.format === 'ndjson') {
+      process.stdout.write(JSON.stringify(entry) + '\n');
+    } else if (ok) {
+      console.log(formatText(args.command, source, result));
+      for (const warning of result.warnings ?? []) {
+        console.error(`${source}: page ${warning.pageNum} skipped: ${warning.message}`);
+      }
+    } else {
+      console.error(`${source}: ${error.name}: ${error.message}`);
+    }
+  }
+  if (args.format === 'json') {
+    process.stdout.write(JSON.stringify(entries, null, 2) + '\n');
+  }
+  
+  return failed ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,110 @@
+/**
+ * Error classes for pdf-efficient-loader
+ * Shared by the ES module and the CommonJS wrapper (see index.cjs)
+ */
+
+/**
+ * Base class of all errors thrown by pdf-efficient-loader
+ * `pageNum` is the page the error belongs to, or null for document-level errors.
+ */
+class PdfError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'PdfError';
+    this.pageNum = options.pageNum ?? null;
+  }
+}
+
+/**
+ * Thrown when the document structure cannot be parsed (not a PDF, broken xref, ...)
+ * The pdf.js exception is available as `cause`.
+ */
+class InvalidPdfError extends PdfError {
+  constructor(options = {}) {
+    const detail = options.cause?.message ? `: ${options.cause.message}` : '';
+    super(`Invalid PDF${detail}`, options);
+    this.name = 'InvalidPdfError';
+  }
+}
+
+/**
+ * Thrown when an encrypted PDF cannot be opened
+ * `reason` is 'passwordRequired' when no password was given and
+ * 'incorrectPassword' when the given password was rejected.
+ */
+class EncryptedPdfError extends PdfError {
+  constructor(reason, options = {}) {
+    const message = reason === 'incorrectPassword'
+      ? 'Incorrect password for encrypted PDF'
+      : 'PDF is encrypted and requires a password';
+    super(message, options);
+    this.name = 'EncryptedPdfError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a single page cannot be read (broken content stream, missing objects, ...)
+ * In `tolerant` mode such pages are skipped and reported as warnings instead.
+ */
+class CorruptPageError extends PdfError {
+  constructor(pageNum, options = {}) {
+    const detail = options.cause?.message ? `: ${options.cause.message}` : '';
+    super(`Page ${pageNum} could not be read${detail}`, { ...options, pageNum });
+    this.name = 'CorruptPageError';
+  }
+}
+
+/**
+ * Thrown when the PDF source is not a file path, Buffer, Uint8Array or binary stream
+ */
+class UnsupportedSourceError extends PdfError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'UnsupportedSourceError';
+  }
+}
+
+/**
+ * Thrown when processing is cancelled through the `signal` or `timeoutMs` option
+ * `reason` is 'aborted' when the signal fired and 'timeout' when the time ran out.
+ * `partial` holds the result for the pages finished before cancelling, in the
+ * shape the function normally resolves with, or null when there is none.
+ */
+class AbortError extends PdfError {
+  constructor(reason, options = {}) {
+    const message = reason === 'timeout'
+      ? `Processing timed out after ${options.timeoutMs} ms`
+      : 'Processing was aborted';
+    super(message, { cause: options.cause });
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.reason = reason;
+    this.partial = options.partial ?? null;
+  }
+}
+
+/**
+ * Thrown when the `maxMemoryMB` budget is still exceeded after every fallback was used
+ * `rss` is the resident set size in bytes measured after the page `pageNum`.
+ * `partial` holds the result for the pages finished so far, like AbortError.
+ */
+class MemoryLimitError extends PdfError {
+  constructor(limitMB, rss, options = {}) {
+    super(`Memory limit of ${limitMB} MB exceeded (RSS ${Math.round(rss / 1048576)} MB)`, options);
+    this.name = 'MemoryLimitError';
+    this.limitMB = limitMB;
+    this.rss = rss;
+    this.partial = options.partial ?? null;
+  }
+}
+
+module.exports = {
+  PdfError,
+  InvalidPdfError,
+  EncryptedPdfError,
+  CorruptPageError,
+  UnsupportedSourceError,
+  AbortError,
+  MemoryLimitError
+};
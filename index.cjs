@@ -1,8 +1,27 @@
 /**
  * CommonJS wrapper for pdf-efficient-loader
  * This file provides CommonJS compatibility for the ES module
+ * 
+ * The ES module can only be loaded asynchronously from here, so what has to work
+ * synchronously lives in .cjs files that index.js imports as well: the error classes
+ * (one copy, so `instanceof` works in both builds), createPdfCache, createStubOcr
+ * and the option checks of processPdfBatch.
  */
 
+const { Readable } = require('stream');
+const {
+  PdfError,
+  InvalidPdfError,
+  EncryptedPdfError,
+  CorruptPageError,
+  UnsupportedSourceError,
+  AbortError,
+  MemoryLimitError
+} = require('./errors.cjs');
+const { createStubOcr } = require('./stub-ocr.cjs');
+const { createPdfCache } = require('./cache.cjs');
+const { resolveBatchOptions } = require('./batch-options.cjs');
+
 const esmModule = import('./index.js');
 
 let cachedModule = null;
@@ -16,9 +35,19 @@ async function getModule() {
 
 // Export async wrapper functions
 module.exports = {
-  extractPdfData: async function(pdfSource) {
+  PdfError,
+  InvalidPdfError,
+  EncryptedPdfError,
+  CorruptPageError,
+  UnsupportedSourceError,
+  AbortError,
+  MemoryLimitError,
+  createStubOcr,
+  createPdfCache,
+  
+  extractPdfData: async function(pdfSource, options) {
     const mod = await getModule();
-    return mod.extractPdfData(pdfSource);
+    return mod.extractPdfData(pdfSource, options);
   },
   
   extractPdfDataStreaming: async function(pdfSource, options) {
@@ -26,6 +55,20 @@ module.exports = {
     return mod.extractPdfDataStreaming(pdfSource, options);
   },
   
+  iteratePdfPages: async function*(pdfSource, options) {
+    const mod = await getModule();
+    yield* mod.iteratePdfPages(pdfSource, options);
+  },
+  
+  createPdfPageStream: function(pdfSource, options) {
+    const highWaterMark = (options && options.highWaterMark) || 1;
+    const pages = (async function*() {
+      const mod = await getModule();
+      yield* mod.iteratePdfPages(pdfSource, options);
+    })();
+    return Readable.from(pages, { objectMode: true, highWaterMark });
+  },
+  
   extractPdfStats: async function(pdfSource, options) {
     const mod = await getModule();
     return mod.extractPdfStats(pdfSource, options);
@@ -36,8 +79,52 @@ module.exports = {
     return mod.analyzePdfType(pdfSource, options);
   },
   
+  analyzePdfTextQuality: async function(pdfSource, options) {
+    const mod = await getModule();
+    return mod.analyzePdfTextQuality(pdfSource, options);
+  },
+  
+  calibratePdfClassifier: async function(samples, options) {
+    const mod = await getModule();
+    return mod.calibratePdfClassifier(samples, options);
+  },
+  
+  extractPdfMetadata: async function(pdfSource, options) {
+    const mod = await getModule();
+    return mod.extractPdfMetadata(pdfSource, options);
+  },
+  
+  extractPdfAnnotations: async function(pdfSource, options) {
+    const mod = await getModule();
+    return mod.extractPdfAnnotations(pdfSource, options);
+  },
+  
+  extractPdfTables: async function(pdfSource, options) {
+    const mod = await getModule();
+    return mod.extractPdfTables(pdfSource, options);
+  },
+  
+  extractPdfImages: async function(pdfSource, options) {
+    const mod = await getModule();
+    return mod.extractPdfImages(pdfSource, options);
+  },
+  
+  renderPdfPages: async function(pdfSource, options) {
+    const mod = await getModule();
+    return mod.renderPdfPages(pdfSource, options);
+  },
+  
   extractPdfSmart: async function(pdfSource, options) {
     const mod = await getModule();
     return mod.extractPdfSmart(pdfSource, options);
+  },
+  
+  processPdfBatch: function(sources, options) {
+    // Invalid options throw right away, as in the ES module
+    resolveBatchOptions(sources, options);
+    return (async function*() {
+      const mod = await getModule();
+      yield* mod.processPdfBatch(sources, options);
+    })();
   }
 };
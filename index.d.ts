@@ -1,12 +1,30 @@
+import type { Readable } from 'stream';
+import type { ReadableStream } from 'stream/web';
+
+/**
+ * PDF source type - can be a file path, Buffer, Uint8Array, or a readable stream of PDF bytes
+ * Streams are passed to pdf.js chunk by chunk as they arrive; pdf.js parses the document
+ * once the stream has ended, so the bytes are held in memory. Only file paths are read in ranges (`rangeLoading`).
+ */
+export type PdfSource = string | Buffer | Uint8Array | Readable | ReadableStream<Uint8Array>;
+
+/**
+ * Page type classification
+ */
+export type PdfPageType = 'scan' | 'vector' | 'text';
+
 /**
- * PDF source type - can be a file path, Buffer, or Uint8Array
+ * PDF document type classification ('mixed' when analyzed pages differ in type)
  */
-export type PdfSource = string | Buffer | Uint8Array;
+export type PdfType = PdfPageType | 'mixed';
 
 /**
- * PDF document type classification
+ * Text reconstruction mode
+ * - 'plain': text items joined with spaces (fastest, default)
+ * - 'lines': lines, paragraphs and reading order rebuilt from positions, two-column pages read column by column
+ * - 'layout': physical layout preserved with spaces and empty lines
  */
-export type PdfType = 'scan' | 'vector' | 'text';
+export type TextMode = 'plain' | 'lines' | 'layout';
 
 /**
  * Progress callback for extraction operations
@@ -20,6 +38,25 @@ export interface ProgressInfo {
   confidence?: number;
 }
 
+/**
+ * Positioned text box (text run or word)
+ */
+export interface PdfTextBox {
+  text: string;
+  pageNum: number;
+  /** PDF user space, origin bottom-left */
+  bbox: { x: number; y: number; width: number; height: number };
+  /** Viewport pixels at `textBoxScale`, origin top-left, page rotation applied */
+  viewportBox: { left: number; top: number; width: number; height: number };
+  fontName: string;
+  fontSize: number;
+}
+
+/**
+ * Text box granularity: whole text runs or individual words
+ */
+export type TextBoxMode = 'runs' | 'words';
+
 /**
  * Page processing callback information
  */
@@ -28,6 +65,40 @@ export interface PageProcessedInfo {
   totalPages: number;
   currentImages: number;
   currentVectors: number;
+  /** Present only when `textBoxes` is enabled */
+  textBoxes?: PdfTextBox[];
+}
+
+/**
+ * Per-page extraction result
+ */
+export interface PdfPageResult {
+  pageNum: number;
+  text: string;
+  imageCount: number;
+  vectorCount: number;
+  textItemCount: number;
+  /** Page width in PDF points (unrotated) */
+  width: number;
+  /** Page height in PDF points (unrotated) */
+  height: number;
+  /** Page rotation in degrees (0, 90, 180 or 270) */
+  rotation: number;
+  /** Present only when `textBoxes` is enabled (streaming and iterator APIs) */
+  textBoxes?: PdfTextBox[];
+  /** Where the text came from; present only when `ocr` is set (extractPdfSmart) */
+  source?: 'ocr' | 'native';
+  /** Present only when `includeAnnotations` is enabled */
+  annotations?: PdfAnnotation[];
+  /** Present only when `includeAnnotations` is enabled */
+  fields?: PdfFormField[];
+}
+
+/**
+ * Page result yielded by iteratePdfPages
+ */
+export interface PdfPageIteratorResult extends PdfPageResult {
+  totalPages: number;
 }
 
 /**
@@ -37,6 +108,16 @@ export interface PdfDataResult {
   text: string;
   imageCount: number;
   vectorCount: number;
+  /** Page numbers that were actually processed, in ascending order */
+  processedPages: number[];
+  /** Present only when `includePages` is enabled */
+  pageResults?: PdfPageResult[];
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+  /** Present only when `maxMemoryMB` or `telemetry` is set */
+  telemetry?: PdfTelemetry;
 }
 
 /**
@@ -46,12 +127,326 @@ export interface PdfStatsResult extends PdfDataResult {
   pages: number;
 }
 
+/**
+ * Outline (bookmark) entry with resolved destination
+ */
+export interface PdfOutlineItem {
+  title: string;
+  /** 1-based target page, or null if the destination cannot be resolved */
+  pageNum: number | null;
+  /** Named destination, if the item uses one */
+  dest: string | null;
+  /** External link, if the item points to a URL */
+  url: string | null;
+  bold: boolean;
+  italic: boolean;
+  items: PdfOutlineItem[];
+}
+
+/**
+ * Document metadata returned by extractPdfMetadata
+ */
+export interface PdfMetadata {
+  /** PDF version from the header, e.g. '1.7' */
+  pdfVersion: string | null;
+  totalPages: number;
+  info: {
+    title: string | null;
+    author: string | null;
+    subject: string | null;
+    keywords: string | null;
+    creator: string | null;
+    producer: string | null;
+    /** ISO 8601 (UTC) */
+    creationDate: string | null;
+    /** ISO 8601 (UTC) */
+    modificationDate: string | null;
+    trapped: string | null;
+    language: string | null;
+    /** Non-standard Info dictionary entries */
+    custom: Record<string, unknown>;
+  };
+  /** Parsed XMP properties keyed by qualified name (e.g. 'dc:title'); dates as ISO 8601 */
+  xmp: Record<string, unknown> | null;
+  isLinearized: boolean;
+  isAcroFormPresent: boolean;
+  isXFAPresent: boolean;
+  isSignaturesPresent: boolean;
+  /** Page label per page (index 0 = page 1), or null if the document defines none */
+  pageLabels: string[] | null;
+  outline: PdfOutlineItem[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
+/**
+ * Font used on a page
+ */
+export interface PdfFontInfo {
+  /** PostScript name, e.g. 'ABCDEF+Arial'; internal pdf.js id when the font failed to load */
+  name: string;
+  /** Font program is embedded (Type3 fonts always are) */
+  embedded: boolean;
+  /** Subset font (name starts with a six-letter tag) */
+  subset: boolean;
+  type3: boolean;
+  /** Why pdf.js could not load the font; its text is missing */
+  loadError: string | null;
+}
+
+/**
+ * Text-quality report of a page
+ */
+export interface PdfPageTextQuality {
+  pageNum: number;
+  /** Non-whitespace characters of the extracted text */
+  charCount: number;
+  /** Glyphs drawn, excluding spaces */
+  glyphCount: number;
+  imageCount: number;
+  fonts: PdfFontInfo[];
+  /** Share of glyphs mapped to control, private-use or unassigned characters */
+  unmappedRatio: number;
+  /** Share of glyphs drawn invisibly (text render mode 3 or 7), typical of OCR layers */
+  invisibleTextRatio: number;
+  /** Share of characters drawn twice at the same position */
+  duplicateTextRatio: number;
+  /** 0 (clean) to 1 (gibberish); 0 for pages with fewer than 20 characters */
+  gibberishScore: number;
+  /** Text is garbled, or the page has images but (almost) no text */
+  needsOcr: boolean;
+}
+
+/**
+ * Text-quality diagnostics result
+ */
+export interface PdfTextQualityResult {
+  pageReports: PdfPageTextQuality[];
+  /** Fonts of all processed pages, each name once */
+  fonts: PdfFontInfo[];
+  /** True when any processed page needs OCR */
+  needsOcr: boolean;
+  needsOcrPages: number[];
+  pages: number;
+  /** Page numbers that were actually processed, in ascending order */
+  processedPages: number[];
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
+/**
+ * Comment, markup or link annotation (everything except form widgets and popups)
+ */
+export interface PdfAnnotation {
+  pageNum: number;
+  /** PDF annotation subtype, e.g. 'Text', 'Highlight', 'FreeText', 'Link' */
+  type: string;
+  /** PDF points, origin bottom-left */
+  bbox: { x: number; y: number; width: number; height: number };
+  /** Author (/T) */
+  author: string | null;
+  /** Comment text (/Contents) */
+  contents: string | null;
+  /** ISO 8601 (UTC) */
+  modificationDate: string | null;
+  /** Page text covered by a link or markup annotation, e.g. the highlighted words */
+  text: string | null;
+  /** External link target */
+  url: string | null;
+  /** Named destination of an internal link */
+  dest: string | null;
+  /** 1-based target page of an internal link, or null */
+  destPageNum: number | null;
+}
+
+/**
+ * Form field type
+ * - 'combo' and 'list' are choice fields (drop-down and list box)
+ * - 'button' is a push button without a value
+ */
+export type PdfFormFieldType = 'text' | 'checkbox' | 'radio' | 'button' | 'combo' | 'list' | 'signature' | 'unknown';
+
+/**
+ * AcroForm field, one entry per field and page
+ */
+export interface PdfFormField {
+  pageNum: number;
+  /** Fully qualified field name, e.g. 'address.city' */
+  name: string;
+  type: PdfFormFieldType;
+  /** Alternate field name (tooltip) */
+  label: string | null;
+  /**
+   * Current value: text of text fields, export value of a checked check box or
+   * selected radio button (null when none), selected option of choice fields
+   * (an array for multi-select lists)
+   */
+  value: string | string[] | null;
+  readOnly: boolean;
+  required: boolean;
+  /** Box of the first widget of the field; PDF points, origin bottom-left */
+  bbox: { x: number; y: number; width: number; height: number };
+  /** Choices of choice fields, export values of check boxes and radio groups */
+  options?: Array<{ value: string; label: string }>;
+}
+
+/**
+ * Annotation extraction result
+ */
+export interface PdfAnnotationsResult {
+  /** Annotations in page order */
+  annotations: PdfAnnotation[];
+  /** Form fields in page order */
+  fields: PdfFormField[];
+  pages: number;
+  /** Page numbers that were actually processed, in ascending order */
+  processedPages: number[];
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
+/**
+ * Table detection strategy
+ * - 'rulings': tables drawn with lines or thin rectangles
+ * - 'alignment': borderless tables inferred from column-aligned text
+ * - 'auto': rulings first, then alignment for the remaining text
+ */
+export type TableStrategy = 'auto' | 'rulings' | 'alignment';
+
+/**
+ * Table detected on a page
+ */
+export interface PdfTable {
+  pageNum: number;
+  /** How the table was found */
+  method: 'rulings' | 'alignment';
+  /** PDF points, origin bottom-left */
+  bbox: { x: number; y: number; width: number; height: number };
+  rowCount: number;
+  columnCount: number;
+  /** Cell texts, top row first; empty cells are '' */
+  rows: string[][];
+  /** Rows as CSV (RFC 4180 quoting, '\n' line endings) */
+  csv: string;
+}
+
+/**
+ * Table extraction result
+ */
+export interface PdfTablesResult {
+  /** Tables in page order, top to bottom within a page */
+  tables: PdfTable[];
+  pages: number;
+  /** Page numbers that were actually processed, in ascending order */
+  processedPages: number[];
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
+/**
+ * Output format for rendered pages
+ */
+export type RenderFormat = 'png' | 'jpeg' | 'webp';
+
+/**
+ * Rendered page image
+ */
+export interface PdfPageImage {
+  pageNum: number;
+  /** Encoded image */
+  data: Buffer;
+  /** Pixels, page rotation applied */
+  width: number;
+  height: number;
+  mimeType: 'image/png' | 'image/jpeg' | 'image/webp';
+}
+
+/**
+ * Page rendering result
+ */
+export interface PdfRenderResult {
+  /** Rendered pages; empty when `onPage` is used */
+  images: PdfPageImage[];
+  pages: number;
+  /** Page numbers that were actually processed, in ascending order */
+  processedPages: number[];
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
+/**
+ * What extractPdfImages returns per image
+ * - 'inventory': details only
+ * - 'raw': details plus the stored stream bytes (e.g. a JPEG file for DCTDecode), read on demand
+ * - 'png': details plus the decoded image re-encoded as PNG
+ */
+export type ImageOutput = 'inventory' | 'raw' | 'png';
+
+/**
+ * Image placement found on a page
+ * Details read from the image dictionary are null for inline images and stencil masks.
+ */
+export interface PdfImage {
+  pageNum: number;
+  /** Resource name, e.g. 'Im0' (the first one found if the image is registered under several names) */
+  name: string | null;
+  /** Object reference, e.g. '12 0 R' */
+  ref: string | null;
+  inline: boolean;
+  imageMask: boolean;
+  /** Pixels */
+  width: number;
+  height: number;
+  bitsPerComponent: number | null;
+  /** e.g. 'DeviceRGB', 'DeviceGray', 'ICCBased', 'Indexed' */
+  colorSpace: string | null;
+  /** Image encoding, e.g. 'DCTDecode', 'JBIG2Decode', 'CCITTFaxDecode', 'FlateDecode' */
+  filter: string | null;
+  /** Stored (encoded) stream size in bytes */
+  byteSize: number | null;
+  /** Area covered on the page, PDF points, origin bottom-left */
+  placement: { x: number; y: number; width: number; height: number };
+  /** Effective resolution at this placement */
+  dpiX: number | null;
+  dpiY: number | null;
+  /** Present with `output: 'raw'` or `'png'`; null when not available (e.g. raw bytes of encrypted documents) */
+  data?: Buffer | null;
+  mimeType?: string | null;
+}
+
+/**
+ * Image extraction result
+ */
+export interface PdfImagesResult {
+  /** One entry per placement; an image drawn twice is listed twice */
+  images: PdfImage[];
+  pages: number;
+  /** Page numbers that were actually processed, in ascending order */
+  processedPages: number[];
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
 /**
  * Smart PDF extraction result with type detection
  */
 export interface PdfSmartResult extends PdfStatsResult {
   pdfType: PdfType;
   confidence: number;
+  /** Pages whose text came from OCR; present only when `ocr` is set */
+  ocrPages?: number[];
+  /** Present only when `includeMetadata` is enabled */
+  metadata?: PdfMetadata;
 }
 
 /**
@@ -68,6 +463,104 @@ export interface PdfTypeStats {
   estimatedTotalVectors: number;
 }
 
+/**
+ * Classification of a single analyzed page
+ */
+export interface PdfPageTypeInfo {
+  pageNum: number;
+  type: PdfPageType;
+  confidence: number;
+  /** Counts the classification is based on */
+  signals: PdfTypeSignals;
+}
+
+/**
+ * Signals a page (or, for the document type, the per-page averages) is classified by
+ *
+ * Invisible text and garbled text (see the `maxGibberishScore` and `maxUnmappedRatio`
+ * thresholds) do not count as text items in the built-in rules.
+ */
+export interface PdfTypeSignals {
+  textItems: number;
+  imageCount: number;
+  vectorCount: number;
+  /** For the document type: true when at least half of the analyzed pages have a large image */
+  largeImage: boolean;
+  /** Gibberish score of the page text, 0 (clean) to 1 */
+  gibberishScore: number;
+  /** Share of glyphs without a Unicode mapping */
+  unmappedRatio: number;
+  /** Share of glyphs drawn invisibly (text render mode 3 or 7) */
+  invisibleTextRatio: number;
+}
+
+/**
+ * Confidence formula of one type: min(max, base + value / reference * weight)
+ */
+export interface ConfidenceRule {
+  base?: number;
+  weight?: number;
+  reference?: number;
+  max?: number;
+}
+
+/**
+ * Classification thresholds; missing fields keep their defaults
+ */
+export interface ClassifierConfig {
+  /** Pages with fewer text items can be scans or vector drawings (default: 30) */
+  maxTextItems?: number;
+  /** Pages with more images are not treated as scans (default: 100) */
+  maxScanImages?: number;
+  /** Minimum width and height in pixels of a large image (default: 1000) */
+  largeImageSize?: number;
+  /** Pages whose text scores at least this count as pages without text (default: 0.5) */
+  maxGibberishScore?: number;
+  /** Pages with at least this share of unmapped glyphs count as pages without text (default: 0.1) */
+  maxUnmappedRatio?: number;
+  /** Confidence formulas (defaults: scan 0.7/0.25/100/0.95, vector 0.7/0.2/10/0.9, text 0.6/0.3/100/0.9) */
+  confidence?: Partial<Record<PdfPageType, ConfidenceRule>>;
+}
+
+/**
+ * Custom classifier replacing the built-in rules
+ * @param signals - Signals of a page or per-page averages of the document
+ * @param defaultResult - What the built-in rules would return
+ */
+export type ClassifierFunction = (
+  signals: PdfTypeSignals,
+  defaultResult: { type: PdfPageType; confidence: number }
+) => { type: PdfPageType; confidence: number };
+
+/**
+ * Document permissions (all true when the document sets no restrictions)
+ */
+export interface PdfPermissions {
+  print: boolean;
+  printHighQuality: boolean;
+  copy: boolean;
+  copyForAccessibility: boolean;
+  modify: boolean;
+  modifyAnnotations: boolean;
+  fillForms: boolean;
+  assemble: boolean;
+}
+
+/**
+ * Encryption details reported by analyzePdfType
+ */
+export interface PdfEncryptionInfo {
+  encrypted: boolean;
+  /** Security handler, e.g. 'Standard' */
+  filter: string | null;
+  /** 'RC4-40', 'RC4-128', 'AES-128', 'AES-256', 'none' or null if unknown */
+  algorithm: string | null;
+  version: number | null;
+  revision: number | null;
+  keyLength: number | null;
+  permissions: PdfPermissions;
+}
+
 /**
  * PDF type analysis result
  */
@@ -75,20 +568,325 @@ export interface PdfTypeAnalysis {
   type: PdfType;
   confidence: number;
   stats: PdfTypeStats;
+  /** Classification of every analyzed page */
+  pageTypes: PdfPageTypeInfo[];
+  /** Analyzed pages per type as range strings (e.g. { text: '1-2,5', scan: '3-4' }) */
+  pageRanges: Partial<Record<PdfPageType, string>>;
+  encryption: PdfEncryptionInfo;
+  /** Pages skipped as unreadable; present only when `tolerant` is enabled */
+  warnings?: PdfPageWarning[];
+  /** Present for file paths read in ranges (`rangeLoading`) */
+  loading?: LoadingStats;
+}
+
+/**
+ * Range-based loading statistics, reported for file paths when `rangeLoading` is set
+ */
+export interface LoadingStats {
+  mode: 'range';
+  /** Size of the PDF file in bytes */
+  fileSize: number;
+  /** Bytes actually read from disk */
+  bytesRead: number;
+  /** Number of range reads issued by pdf.js */
+  rangeRequests: number;
+}
+
+/**
+ * Fallback taken by the memory budget: releasing the document-wide pdf.js caches after every page
+ */
+export type MemoryDegradationAction = 'cleanup';
+
+/**
+ * Memory and timing statistics, reported when `maxMemoryMB` or `telemetry` is set
+ * Memory values are in bytes and cover the whole process.
+ */
+export interface PdfTelemetry {
+  /** Budget in MB; null when only `telemetry` is set */
+  maxMemoryMB: number | null;
+  peakRss: number;
+  peakHeapUsed: number;
+  /** Counting mode of `imageCount`/`vectorCount` */
+  countingMode: CountingMode;
+  /** Fallbacks taken, with the page after which each was taken */
+  degradations: Array<{ pageNum: number; action: MemoryDegradationAction }>;
+  /** Processing time and memory after every processed page */
+  pageStats: Array<{ pageNum: number; durationMs: number; rss: number; heapUsed: number }>;
+}
+
+/**
+ * Why an encrypted document could not be opened
+ */
+export type PasswordReason = 'passwordRequired' | 'incorrectPassword';
+
+/**
+ * Information passed to the onPassword callback
+ */
+export interface PasswordRequest {
+  reason: PasswordReason;
+  /** 1 for the first request, incremented on every retry */
+  attempt: number;
+}
+
+/**
+ * Page skipped in tolerant mode
+ */
+export interface PdfPageWarning {
+  pageNum: number;
+  /** Why the page could not be read */
+  message: string;
+}
+
+/**
+ * Base class of the errors thrown by this library
+ */
+export class PdfError extends Error {
+  /** Page the error relates to, null for document-level errors */
+  pageNum: number | null;
+}
+
+/**
+ * Thrown when the data is not a readable PDF (e.g. missing header or broken cross-reference table)
+ */
+export class InvalidPdfError extends PdfError {
+  name: 'InvalidPdfError';
+}
+
+/**
+ * Thrown when an encrypted PDF cannot be opened
+ */
+export class EncryptedPdfError extends PdfError {
+  name: 'EncryptedPdfError';
+  reason: PasswordReason;
+}
+
+/**
+ * Thrown when a page cannot be read; use `tolerant` to skip such pages instead
+ */
+export class CorruptPageError extends PdfError {
+  name: 'CorruptPageError';
+  pageNum: number;
+}
+
+/**
+ * Thrown for sources that are not a file path, Buffer, Uint8Array or binary stream
+ */
+export class UnsupportedSourceError extends PdfError {
+  name: 'UnsupportedSourceError';
+}
+
+/**
+ * Thrown when processing is cancelled with `signal` or `timeoutMs`
+ * `partial` has the shape of the normal result, covering the pages finished before
+ * cancelling; null when nothing was finished (and always for iterators and batches)
+ */
+export class AbortError<P = unknown> extends PdfError {
+  name: 'AbortError';
+  code: 'ABORT_ERR';
+  reason: 'aborted' | 'timeout';
+  partial: P | null;
+}
+
+/**
+ * Thrown when the `maxMemoryMB` budget is still exceeded after every fallback
+ * `partial` covers the pages finished so far, like AbortError.
+ */
+export class MemoryLimitError<P = unknown> extends PdfError {
+  name: 'MemoryLimitError';
+  pageNum: number;
+  limitMB: number;
+  /** Resident set size in bytes when the limit was hit */
+  rss: number;
+  partial: P | null;
+}
+
+/**
+ * Storage behind a PdfCache; entries are serialized results
+ */
+export interface PdfCacheStore {
+  get(key: string): Buffer | Uint8Array | null | undefined | Promise<Buffer | Uint8Array | null | undefined>;
+  set(key: string, data: Buffer): void | Promise<void>;
+  delete?(key: string): void | Promise<void>;
+  /** Called by `PdfCache.clear()` */
+  clear?(): void | Promise<void>;
+}
+
+/**
+ * Options for createPdfCache; without `directory` or `store` results are kept in memory
+ */
+export interface PdfCacheOptions {
+  /** Keep entries as files in this directory */
+  directory?: string;
+  /** Custom store, e.g. backed by Redis */
+  store?: PdfCacheStore;
+  /** In-memory store: maximum number of entries, least recently used are evicted (default: 100) */
+  maxEntries?: number;
+  /** In-memory store: maximum total size in bytes, rendered pages and image data included (default: 64 MB) */
+  maxBytes?: number;
+}
+
+/**
+ * Counters of a PdfCache
+ */
+export interface PdfCacheStats {
+  hits: number;
+  misses: number;
+  writes: number;
+  /** Calls not cached because an option holds a callback such as `pageFilter` or `ocr` */
+  bypassed: number;
+  /** Failed or corrupt store reads and writes; reads count as misses */
+  errors: number;
+  /** hits / (hits + misses) */
+  hitRate: number;
+}
+
+/**
+ * Result cache for the `cache` option, created with createPdfCache
+ */
+export interface PdfCache {
+  store: PdfCacheStore;
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown): Promise<void>;
+  bypass(): void;
+  getStats(): PdfCacheStats;
+  /** Removes all entries; counters are kept */
+  clear(): Promise<void>;
+}
+
+/**
+ * Document loading options
+ */
+export interface LoadingOptions {
+  /** Password for encrypted documents */
+  password?: string;
+  /**
+   * Called when a password is needed or was rejected; return a new password
+   * to retry, or null to give up with an EncryptedPdfError
+   */
+  onPassword?: (request: PasswordRequest) => string | null | undefined | Promise<string | null | undefined>;
+  /** Read file paths lazily in ranges instead of all at once (default: false) */
+  rangeLoading?: boolean;
+  /** Range chunk size in bytes (default: 65536) */
+  rangeChunkSize?: number;
+  /** Cancels processing between pages and while waiting for pdf.js */
+  signal?: AbortSignal;
+  /** Time limit in ms, enforced like `signal`; 0 = none (default: 0) */
+  timeoutMs?: number;
+  /**
+   * Skip unreadable pages and report them in `warnings` instead of throwing
+   * CorruptPageError; pdf.js also recovers from broken objects where it can (default: false)
+   */
+  tolerant?: boolean;
+  /**
+   * Load the CMaps packaged with pdfjs-dist so CJK fonts (Japanese, Chinese,
+   * Korean) decode to text; read from disk only when a font needs one (default: false)
+   */
+  cjk?: boolean;
+  /**
+   * Load the standard font data packaged with pdfjs-dist for fonts a document
+   * uses without embedding them, mostly for rendering (default: false)
+   */
+  standardFonts?: boolean;
+  /**
+   * Return stored results for documents processed before with the same options;
+   * keyed by content hash, so renamed or re-uploaded copies are hits too. A hit has
+   * no `telemetry` or `loading`, and progress callbacks are not called for it
+   */
+  cache?: PdfCache;
+}
+
+/**
+ * Page selection options
+ *
+ * `pages`, `firstPage`/`lastPage` and `pageFilter` can be combined; a page is
+ * processed only if it satisfies all of them. Out-of-range or malformed
+ * selections reject with a `RangeError` or `TypeError`.
+ */
+export interface PageSelectionOptions extends LoadingOptions {
+  /** Page numbers (1-based) or a range string such as `"1-3,7"` */
+  pages?: number[] | string;
+  /** First page to process (default: 1) */
+  firstPage?: number;
+  /** Last page to process (default: last page of the document) */
+  lastPage?: number;
+  /** Predicate selecting pages to process */
+  pageFilter?: (pageNum: number, totalPages: number) => boolean;
+}
+
+/**
+ * How images and vectors are counted
+ * - 'operators': every image placement and painted path
+ * - 'unique': like 'operators', but each image object once per page and once per document
+ * - 'resources': image objects and Pattern/Shading resources painted on the page, each once per page and once
+ *   per document; vectors are only Pattern/Shading resources, painted paths are never counted
+ */
+export type CountingMode = 'operators' | 'unique' | 'resources';
+
+/**
+ * Options for basic extraction
+ */
+export interface DataOptions extends PageSelectionOptions {
+  /** Return per-page results in `pageResults` (default: false) */
+  includePages?: boolean;
+  /** Add `annotations` and `fields` to each page result (default: false) */
+  includeAnnotations?: boolean;
+  /** Text reconstruction mode (default: 'plain') */
+  textMode?: TextMode;
+  /** How images and vectors are counted (default: 'operators') */
+  countingMode?: CountingMode;
+  /**
+   * RSS budget in MB, checked after every page; when exceeded the pdf.js caches are
+   * released after every page, and when it is exceeded again the call rejects with
+   * MemoryLimitError (default: 0 = none)
+   */
+  maxMemoryMB?: number;
+  /** Report peak memory, page timings and the modes used in `telemetry` (default: false) */
+  telemetry?: boolean;
 }
 
 /**
  * Options for streaming extraction
  */
-export interface StreamingOptions {
+export interface StreamingOptions extends DataOptions {
   onPageProcessed?: (info: PageProcessedInfo) => void;
   extractText?: boolean;
+  /** Return positioned text boxes per page (default: false) */
+  textBoxes?: TextBoxMode | false;
+  /** Viewport scale for `viewportBox` (default: 1 = 72 DPI) */
+  textBoxScale?: number;
+}
+
+/**
+ * Options for the page iterator
+ */
+export interface IterateOptions extends PageSelectionOptions {
+  extractText?: boolean;
+  /** Text reconstruction mode (default: 'plain') */
+  textMode?: TextMode;
+  /** Return positioned text boxes per page (default: false) */
+  textBoxes?: TextBoxMode | false;
+  /** Viewport scale for `viewportBox` (default: 1 = 72 DPI) */
+  textBoxScale?: number;
+  /** How images and vectors are counted (default: 'operators') */
+  countingMode?: CountingMode;
+  /** Add `annotations` and `fields` to each page result (default: false) */
+  includeAnnotations?: boolean;
+  /** Called for every page skipped in tolerant mode */
+  onWarning?: (warning: PdfPageWarning) => void;
+}
+
+/**
+ * Options for the page stream
+ */
+export interface PageStreamOptions extends IterateOptions {
+  /** Page results buffered ahead of the consumer (default: 1) */
+  highWaterMark?: number;
 }
 
 /**
  * Options for stats extraction
  */
-export interface StatsOptions {
+export interface StatsOptions extends DataOptions {
   extractText?: boolean;
   onPageProcessed?: (info: PageProcessedInfo) => void;
 }
@@ -96,32 +894,231 @@ export interface StatsOptions {
 /**
  * Options for PDF type analysis
  */
-export interface AnalyzeOptions {
+export interface AnalyzeOptions extends PageSelectionOptions {
   samplePages?: number;
+  /** Analyze every selected page instead of a sample (default: false) */
+  allPages?: boolean;
+  /** Threshold config or custom classifier function (default: built-in thresholds) */
+  classifier?: ClassifierConfig | ClassifierFunction;
+}
+
+/**
+ * Options for text-quality diagnostics
+ */
+export interface TextQualityOptions extends PageSelectionOptions {
+  /** Pages scoring at least this need OCR (default: 0.5) */
+  maxGibberishScore?: number;
+  /** Pages with at least this share of unmapped glyphs need OCR (default: 0.1) */
+  maxUnmappedRatio?: number;
+}
+
+/**
+ * Options for classifier calibration
+ */
+export interface CalibrateOptions extends AnalyzeOptions {}
+
+/**
+ * A labeled PDF for calibration
+ */
+export interface LabeledPdf {
+  source: string | Buffer | Uint8Array;
+  label: PdfType;
+}
+
+/**
+ * Precision and recall of one type (null when undefined: nothing predicted or no samples)
+ */
+export interface ClassMetrics {
+  precision: number | null;
+  recall: number | null;
+  /** Documents labeled with this type */
+  support: number;
+  /** Documents predicted as this type */
+  predicted: number;
+}
+
+/**
+ * Scores of a classifier on the labeled documents
+ */
+export interface ClassifierEvaluation {
+  accuracy: number;
+  classes: Record<string, ClassMetrics>;
+  /** Counts by label, then by predicted type */
+  confusion: Record<string, Record<string, number>>;
+}
+
+/**
+ * Classifier calibration result
+ */
+export interface PdfCalibrationResult extends ClassifierEvaluation {
+  documents: Array<{
+    /** File path, or `#index` into `samples` for buffers */
+    source: string;
+    label: string;
+    predicted: PdfType;
+    confidence: number;
+    /** Per-page averages of the analyzed pages */
+    signals: { textItems: number; imageCount: number; vectorCount: number; largeImageRatio: number };
+  }>;
+  /** Documents that could not be analyzed */
+  failures: Array<{ source: string; label: string; error: string }>;
+  /** Tuned maxTextItems, maxScanImages, maxGibberishScore and maxUnmappedRatio with their scores; null for a custom classifier function */
+  suggested: (ClassifierEvaluation & { config: Required<ClassifierConfig> }) | null;
+}
+
+/**
+ * Options for table extraction
+ */
+export interface TablesOptions extends PageSelectionOptions {
+  /** Detection strategy (default: 'auto') */
+  strategy?: TableStrategy;
+  /** Minimum rows of a borderless table (default: 3) */
+  minRows?: number;
+  /** Minimum columns of a borderless table, at least 2 (default: 2) */
+  minColumns?: number;
+}
+
+/**
+ * Options for image extraction
+ */
+export interface ImagesOptions extends PageSelectionOptions {
+  /** What to return per image (default: 'inventory') */
+  output?: ImageOutput;
+}
+
+/**
+ * Options for page rendering
+ */
+export interface RenderOptions extends PageSelectionOptions {
+  /** Output format (default: 'png') */
+  format?: RenderFormat;
+  /** JPEG/WebP quality 0-100 (default: 90) */
+  quality?: number;
+  /** Scale factor, 1 = 72 DPI (default: 1) */
+  scale?: number;
+  /** Fit pages into this width in pixels (overrides scale) */
+  maxWidth?: number;
+  /** Fit pages into this height in pixels (overrides scale) */
+  maxHeight?: number;
+  /** Called with each image instead of collecting them in `images` */
+  onPage?: (image: PdfPageImage) => void | Promise<void>;
 }
 
 /**
  * Options for smart extraction
  */
-export interface SmartOptions {
+/**
+ * Rendered page passed to the OCR function
+ */
+export interface OcrRequest {
+  /** Encoded page image */
+  image: Buffer;
+  width: number;
+  height: number;
+  mimeType: 'image/png';
+  pageNum: number;
+  /** Render scale (1 = 72 DPI) */
+  scale: number;
+}
+
+/**
+ * OCR engine: returns the page text, or null/undefined to keep the native text
+ */
+export type OcrFunction = (request: OcrRequest) => Promise<string | null | undefined> | string | null | undefined;
+
+/**
+ * Stub OCR engine returned by createStubOcr
+ */
+export interface StubOcr extends OcrFunction {
+  /** One entry per call, in call order */
+  calls: Array<{ pageNum: number; width: number; height: number; mimeType: string }>;
+}
+
+export interface SmartOptions extends DataOptions {
+  /** Threshold config or custom classifier function for the analysis step */
+  classifier?: ClassifierConfig | ClassifierFunction;
+  /** Return document metadata and outline in `metadata` (default: false) */
+  includeMetadata?: boolean;
+  /** OCR engine called with a rendered image of every page classified as a scan */
+  ocr?: OcrFunction;
+  /** Render scale for OCR images (default: 300 / 72, i.e. 300 DPI) */
+  ocrScale?: number;
   onProgress?: (info: ProgressInfo) => void;
   analysis?: PdfTypeAnalysis;
 }
 
+/**
+ * Library functions processPdfBatch can run, with their results
+ */
+export interface BatchResults {
+  extractPdfSmart: PdfSmartResult;
+  extractPdfData: PdfDataResult;
+  extractPdfStats: PdfStatsResult;
+  analyzePdfType: PdfTypeAnalysis;
+  analyzePdfTextQuality: PdfTextQualityResult;
+  extractPdfMetadata: PdfMetadata;
+  extractPdfAnnotations: PdfAnnotationsResult;
+  extractPdfTables: PdfTablesResult;
+  extractPdfImages: PdfImagesResult;
+  renderPdfPages: PdfRenderResult;
+}
+
+export type BatchFunction = keyof BatchResults;
+
+/**
+ * Options for batch processing
+ */
+export interface BatchOptions<F extends BatchFunction = 'extractPdfSmart'> {
+  /** Number of worker threads (default: available CPUs - 1, at least 1) */
+  concurrency?: number;
+  /** Library function to run per document (default: 'extractPdfSmart') */
+  fn?: F;
+  /** Options passed to `fn`; must be cloneable to worker threads, so no callbacks */
+  options?: Record<string, unknown>;
+  /** Per-document time limit in ms, 0 = none (default: 0) */
+  timeoutMs?: number;
+  /** Per-worker heap limit in MB, 0 = Node default (default: 0) */
+  workerHeapMB?: number;
+  /** Stops the batch: workers are terminated and the iterator rejects with AbortError */
+  signal?: AbortSignal;
+  /** Consulted on the main thread, so cached documents never reach a worker */
+  cache?: PdfCache;
+}
+
+/**
+ * Outcome of one document in a batch
+ */
+export interface PdfBatchEntry<R = PdfSmartResult> {
+  /** Position of the document in `sources` */
+  index: number;
+  source: string | Buffer | Uint8Array;
+  ok: boolean;
+  /** Present when `ok` is true */
+  result?: R;
+  /** Present when `ok` is false; name is e.g. 'TimeoutError', 'MemoryLimitError' or 'InvalidPdfError' */
+  error?: { name: string; message: string; pageNum?: number };
+  /** Wall time including worker startup */
+  durationMs: number;
+}
+
 /**
  * Memory-efficient PDF data extraction
  * Processes document page-by-page without loading entire PDF into memory
  * 
- * @param pdfSource - Path to PDF file, Buffer, or Uint8Array
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Processing options
  * @returns Promise with extracted text, image count, and vector count
  */
-export function extractPdfData(pdfSource: PdfSource): Promise<PdfDataResult>;
+export function extractPdfData(
+  pdfSource: PdfSource,
+  options?: DataOptions
+): Promise<PdfDataResult>;
 
 /**
  * Alternative method for streaming processing of large PDFs
  * Uses callback for progressive page processing
  * 
- * @param pdfSource - Path to PDF file, Buffer, or Uint8Array
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
  * @param options - Processing options
  * @returns Promise with extracted text, image count, and vector count
  */
@@ -130,12 +1127,38 @@ export function extractPdfDataStreaming(
   options?: StreamingOptions
 ): Promise<PdfDataResult>;
 
+/**
+ * True page-by-page streaming as an async iterator
+ * Yields one page result at a time; breaking out early destroys the document
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Processing options
+ * @returns Async iterator of page results
+ */
+export function iteratePdfPages(
+  pdfSource: PdfSource,
+  options?: IterateOptions
+): AsyncGenerator<PdfPageIteratorResult, void, undefined>;
+
+/**
+ * Object-mode Readable stream of per-page results for use in stream.pipeline()
+ * Respects back-pressure; destroying the stream destroys the document
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Processing options
+ * @returns Readable emitting PdfPageIteratorResult objects
+ */
+export function createPdfPageStream(
+  pdfSource: PdfSource,
+  options?: PageStreamOptions
+): Readable;
+
 /**
  * Ultra-RAM optimized extraction with statistics only
  * Does not use getOperatorList which loads image data into memory
  * Uses direct access to PDF dictionary for counting objects
  * 
- * @param pdfSource - Path to PDF file, Buffer, or Uint8Array
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
  * @param options - Processing options
  * @returns Promise with extracted text, image count, vector count, and page count
  */
@@ -146,9 +1169,9 @@ export function extractPdfStats(
 
 /**
  * Ultra-RAM efficient PDF document type analysis
- * Detects whether PDF is a scan, vector document, or pure text
+ * Detects whether PDF is a scan, vector document, pure text, or a mix of these per page
  * 
- * @param pdfSource - Path to PDF file, Buffer, or Uint8Array
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
  * @param options - Analysis options
  * @returns Promise with document type, confidence, and statistics
  */
@@ -157,11 +1180,75 @@ export function analyzePdfType(
   options?: AnalyzeOptions
 ): Promise<PdfTypeAnalysis>;
 
+/**
+ * Text-quality diagnostics for detecting garbage text layers
+ * Reports fonts, unmapped and invisible glyphs, duplicate text and a gibberish score per page
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Thresholds, page selection and loading options
+ * @returns Promise with per-page reports and the pages that need OCR
+ */
+export function analyzePdfTextQuality(
+  pdfSource: PdfSource,
+  options?: TextQualityOptions
+): Promise<PdfTextQualityResult>;
+
+/**
+ * Measures classification quality on labeled PDFs and suggests thresholds
+ * 
+ * @param samples - Folder with one subfolder per label (text/, scan/, vector/, mixed/), or labeled sources
+ * @param options - Analysis options and the classifier to evaluate
+ * @returns Promise with per-class precision/recall, confusion matrix and suggested config
+ */
+export function calibratePdfClassifier(
+  samples: string | LabeledPdf[],
+  options?: CalibrateOptions
+): Promise<PdfCalibrationResult>;
+
+/**
+ * Document metadata and outline extraction
+ * Reads only document-level structures, no page content is parsed
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Loading options
+ * @returns Promise with Info fields, XMP, PDF version, page labels and outline
+ */
+export function extractPdfMetadata(
+  pdfSource: PdfSource,
+  options?: LoadingOptions
+): Promise<PdfMetadata>;
+
+/**
+ * Annotation and form field extraction
+ * Returns comments, links and AcroForm fields with their current values; XFA forms are not read
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Page selection and loading options
+ * @returns Promise with annotations and form fields
+ */
+export function extractPdfAnnotations(
+  pdfSource: PdfSource,
+  options?: PageSelectionOptions
+): Promise<PdfAnnotationsResult>;
+
+/**
+ * Table extraction from vector rulings and text alignment
+ * Returns cells as rows of strings plus CSV per table
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Detection, page selection and loading options
+ * @returns Promise with detected tables
+ */
+export function extractPdfTables(
+  pdfSource: PdfSource,
+  options?: TablesOptions
+): Promise<PdfTablesResult>;
+
 /**
  * Efficient data extraction based on PDF type
  * Automatically selects the best method based on document type
  * 
- * @param pdfSource - Path to PDF file, Buffer, or Uint8Array
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
  * @param options - Processing options
  * @returns Promise with extracted data, type, and confidence
  */
@@ -169,3 +1256,60 @@ export function extractPdfSmart(
   pdfSource: PdfSource,
   options?: SmartOptions
 ): Promise<PdfSmartResult>;
+
+/**
+ * Processes documents on a pool of worker threads
+ * Yields one entry per document in completion order; failures do not stop the batch
+ * 
+ * @param sources - PDF paths or buffers
+ * @param options - Pool size, function to run, its options and per-document limits
+ * @returns Async iterator of per-document outcomes
+ */
+export function processPdfBatch<F extends BatchFunction = 'extractPdfSmart'>(
+  sources: Iterable<string | Buffer | Uint8Array> | AsyncIterable<string | Buffer | Uint8Array>,
+  options?: BatchOptions<F>
+): AsyncGenerator<PdfBatchEntry<BatchResults[F]>>;
+
+/**
+ * Embedded image extraction and inventory
+ * Reports encoding details and effective DPI per placement, optionally with image bytes
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Output, page selection and loading options
+ * @returns Promise with image placements
+ */
+export function extractPdfImages(
+  pdfSource: PdfSource,
+  options?: ImagesOptions
+): Promise<PdfImagesResult>;
+
+/**
+ * Page rendering to PNG, JPEG or WebP images (e.g. thumbnails)
+ * Renders one page at a time and releases its canvas before the next one
+ * 
+ * @param pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param options - Format, size, page selection and loading options
+ * @returns Promise with encoded page images
+ */
+export function renderPdfPages(
+  pdfSource: PdfSource,
+  options?: RenderOptions
+): Promise<PdfRenderResult>;
+
+/**
+ * Minimal OCR engine for tests
+ * Returns fixed text and records the pages it was called for, without a real OCR binary
+ * 
+ * @param options - Text to return, as a string or a function of the request (default: "OCR page <n>")
+ * @returns OCR function for the `ocr` option of extractPdfSmart
+ */
+export function createStubOcr(options?: {
+  text?: string | ((request: OcrRequest) => string);
+}): StubOcr;
+
+/**
+ * Creates a result cache for the `cache` option
+ * Keys combine the SHA-256 of the document, the function, its options and the
+ * library and pdf.js versions.
+ */
+export function createPdfCache(options?: PdfCacheOptions): PdfCache;
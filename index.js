@@ -1,5 +1,35 @@
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { Worker } from 'worker_threads';
+import {
+  PdfError,
+  InvalidPdfError,
+  EncryptedPdfError,
+  CorruptPageError,
+  UnsupportedSourceError,
+  AbortError,
+  MemoryLimitError
+} from './errors.cjs';
+import { createStubOcr } from './stub-ocr.cjs';
+import { createPdfCache, assertCache } from './cache.cjs';
+import { resolveBatchOptions } from './batch-options.cjs';
+import { PdfRef, PdfStream, isDictionary, openObjectReader } from './pdf-objects.js';
+
+export {
+  PdfError,
+  InvalidPdfError,
+  EncryptedPdfError,
+  CorruptPageError,
+  UnsupportedSourceError,
+  AbortError,
+  MemoryLimitError,
+  createStubOcr,
+  createPdfCache
+};
 
 // Setup canvas polyfill for Node.js environment
 // This is required for pdfjs-dist to work in Node.js (provides DOMMatrix, etc.)
@@ -24,531 +54,4701 @@ async function setupCanvasPolyfill() {
   }
 }
 
+/**
+ * Checks whether source is a Node.js Readable or a web ReadableStream
+ * @param {*} source - PDF source
+ * @returns {boolean}
+ */
+function isStreamSource(source) {
+  if (!source || typeof source !== 'object') return false;
+  if (source instanceof Readable) return true;
+  // Web ReadableStream
+  if (typeof source.getReader === 'function') return true;
+  // Duck-typed Node.js stream (e.g. from another copy of readable-stream)
+  return typeof source.pipe === 'function' && typeof source.on === 'function' &&
+    typeof source[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Yields the chunks of a Node.js Readable or web ReadableStream
+ * @param {Readable|ReadableStream} stream - Stream of PDF bytes
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function* readStreamChunks(stream) {
+  const checkChunk = (chunk) => {
+    if (!(chunk instanceof Uint8Array)) {
+      throw new UnsupportedSourceError('PDF stream must produce binary chunks (Buffer or Uint8Array), not ' + typeof chunk);
+    }
+    return chunk;
+  };
+  
+  if (typeof stream.getReader === 'function') {
+    const reader = stream.getReader();
+    let done = false;
+    try {
+      while (true) {
+        const result = await reader.read();
+        done = result.done;
+        if (done) break;
+        yield checkChunk(result.value);
+      }
+    } finally {
+      // Stopped early: the producer does not need to keep going
+      if (!done) await reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  } else {
+    for await (const chunk of stream) {
+      yield checkChunk(chunk);
+    }
+  }
+}
+
+/**
+ * Reads a Node.js Readable or web ReadableStream into a single Buffer
+ * Only used where a stream has to be read more than once (analysis followed by
+ * extraction, content hash for the cache); otherwise see StreamTransport.
+ * @param {Readable|ReadableStream} stream - Stream of PDF bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readStreamSource(stream) {
+  const chunks = [];
+  let totalLength = 0;
+  for await (const chunk of readStreamChunks(stream)) {
+    chunks.push(chunk);
+    totalLength += chunk.byteLength;
+  }
+  return Buffer.concat(chunks, totalLength);
+}
+
 /**
  * Helper function to load PDF data from path or buffer
  * @param {string|Buffer|Uint8Array} source - Path to PDF file or buffer
- * @returns {Uint8Array}
+ * @returns {Promise<Uint8Array>}
  */
-function loadPdfData(source) {
+async function loadPdfData(source) {
   if (typeof source === 'string') {
-    return new Uint8Array(fs.readFileSync(source));
+    return new Uint8Array(await fs.promises.readFile(source));
+  }
+
+  if (!ArrayBuffer.isView(source) && !(source instanceof ArrayBuffer)) {
+    throw new UnsupportedSourceError('Unsupported PDF source: expected a file path, Buffer, Uint8Array or readable stream');
   }
 
-  try{
-    return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
-  }catch(e){
-    throw new Error(e);
+  try {
+    // A view, not a copy: pdf.js only gets copies of the chunks it reads (MemoryRangeTransport)
+    return source instanceof ArrayBuffer
+      ? new Uint8Array(source)
+      : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  } catch (error) {
+    // e.g. a buffer that was already transferred to a worker
+    throw new UnsupportedSourceError(`PDF buffer cannot be read: ${error.message}`, { cause: error });
   }
 }
 
+// Base pdf.js document parameters tuned for low RAM usage
+const DOCUMENT_PARAMS = {
+  isEvalSupported: false,
+  useSystemFonts: true,
+  disableFontFace: true,
+  // No CMaps or standard font data by default to save memory; see the `cjk` and `standardFonts` options
+  cMapUrl: null,
+  cMapPacked: false,
+  standardFontDataUrl: null,
+  // Overridden by the `tolerant` option
+  stopAtErrors: true,
+  pdfBug: false,
+  // Do not load data needed only for rendering
+  enableXfa: false,
+  fontExtraProperties: false
+};
+
+// Directory of the installed pdfjs-dist package, resolved on first use
+let pdfjsPackageDir = null;
+
 /**
- * Memory-efficient PDF data extraction
- * Processes document page-by-page without loading entire PDF into memory
- * 
- * @param {string|Buffer|Uint8Array} pdfSource - Path to PDF file, Buffer, or Uint8Array
- * @returns {Promise<{text: string, imageCount: number, vectorCount: number}>}
+ * Reads a data file shipped with pdfjs-dist (CMaps, standard fonts)
+ * @param {string} directory - Subdirectory of the package, e.g. 'cmaps'
+ * @param {string} filename - File name inside the subdirectory
+ * @returns {Promise<Uint8Array>}
  */
-export async function extractPdfData(pdfSource) {
-  // Setup canvas polyfill for Node.js
-  await setupCanvasPolyfill();
-  
-  // Load PDF file as buffer
-  const data = loadPdfData(pdfSource);
+async function readPdfjsDataFile(directory, filename) {
+  if (pdfjsPackageDir === null) {
+    pdfjsPackageDir = fileURLToPath(new URL('../../', import.meta.resolve('pdfjs-dist/legacy/build/pdf.mjs')));
+  }
+  const data = await fs.promises.readFile(path.join(pdfjsPackageDir, directory, path.basename(filename)));
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * CMap reader for the `cjk` option
+ * pdf.js asks for a CMap only when a font uses one, so documents without
+ * CJK fonts never touch the disk and nothing is kept in memory up front.
+ */
+class PackagedCMapReaderFactory {
+  async fetch({ name }) {
+    if (!name) {
+      throw new Error('CMap name must be specified');
+    }
+    try {
+      return { cMapData: await readPdfjsDataFile('cmaps', `${name}.bcmap`), isCompressed: true };
+    } catch (error) {
+      throw new Error(`Unable to load packaged CMap ${name}: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+/**
+ * Standard font data reader for the `standardFonts` option
+ * Only fonts that a document references without embedding them are read.
+ */
+class PackagedStandardFontDataFactory {
+  async fetch({ filename }) {
+    if (!filename) {
+      throw new Error('Font filename must be specified');
+    }
+    try {
+      return await readPdfjsDataFile('standard_fonts', filename);
+    } catch (error) {
+      throw new Error(`Unable to load packaged font data ${filename}: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+/**
+ * pdf.js parameters for the optional font data
+ * @param {boolean} cjk - Load CMaps for CJK and other predefined encodings
+ * @param {boolean} standardFonts - Load data for non-embedded standard fonts
+ * @returns {Object}
+ */
+function getFontDataParams(cjk, standardFonts) {
+  if (typeof cjk !== 'boolean') {
+    throw new TypeError(`cjk must be a boolean, got ${cjk}`);
+  }
+  if (typeof standardFonts !== 'boolean') {
+    throw new TypeError(`standardFonts must be a boolean, got ${standardFonts}`);
+  }
+  const params = {};
+  if (cjk) {
+    params.CMapReaderFactory = PackagedCMapReaderFactory;
+  }
+  if (standardFonts) {
+    params.StandardFontDataFactory = PackagedStandardFontDataFactory;
+    // pdf.js skips standard font data while system fonts are allowed
+    params.useSystemFonts = false;
+  }
+  return params;
+}
+
+// Default chunk size for range-based loading (pdf.js default is 64 KB)
+const DEFAULT_RANGE_CHUNK_SIZE = 65536;
+
+// Chunks sent to pdf.js that are kept for the object reader
+const RECENT_CHUNK_COUNT = 4;
+
+/**
+ * File-handle-backed range transport for pdf.js
+ * Reads only the byte ranges pdf.js asks for (xref, visited pages) instead of
+ * the whole file, and keeps track of how many bytes were read from disk.
+ */
+class FileRangeTransport extends pdfjsLib.PDFDataRangeTransport {
+  constructor(fileHandle, length) {
+    super(length, null);
+    this.fileHandle = fileHandle;
+    this.bytesRead = 0;
+    this.requestCount = 0;
+    this.onError = null;
+    this.closed = false;
+    this.pendingReads = 0;
+    // Copies of the last chunks pdf.js got (it detaches the originals); the
+    // object reader mostly needs dictionaries pdf.js has just loaded
+    this.recentChunks = [];
+  }
   
-  // Load PDF document with maximum optimizations for low RAM usage
-  const loadingTask = pdfjsLib.getDocument({
-    data,
-    // Memory optimization settings
-    isEvalSupported: false,
-    useSystemFonts: true,
-    disableFontFace: true,
-    // Disable CMap to save memory (unless CJK font support is needed)
-    cMapUrl: null,
-    cMapPacked: false,
-    standardFontDataUrl: null,
-    // Disable auto-fetch of remote resources
-    stopAtErrors: true,
-    // Maximum compression
-    pdfBug: false
-  });
+  /**
+   * Opens a file for range-based loading
+   * @param {string} filePath - Path to PDF file
+   * @returns {Promise<FileRangeTransport>}
+   */
+  static async open(filePath) {
+    const fileHandle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await fileHandle.stat();
+      return new FileRangeTransport(fileHandle, size);
+    } catch (error) {
+      await fileHandle.close();
+      throw error;
+    }
+  }
   
-  const pdf = await loadingTask.promise;
+  requestDataRange(begin, end) {
+    this.pendingReads++;
+    this.readRange(begin, end).catch((error) => {
+      if (!this.closed && this.onError) this.onError(error);
+    }).finally(() => this.pendingReads--);
+  }
   
-  let fullText = '';
-  let totalImages = 0;
-  let totalVectors = 0;
+  /**
+   * Resolves once pdf.js has stopped asking for ranges, i.e. no read is pending
+   * after the I/O callbacks of a whole event loop turn have run
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    do {
+      await new Promise(resolve => setImmediate(resolve));
+    } while (this.pendingReads > 0);
+  }
   
-  // Process pages sequentially, not all at once
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    
-    // Extract text with minimal memory allocation
-    const textContent = await page.getTextContent({
-      disableCombineTextItems: true,
-      includeMarkedContent: false
-    });
-    const pageText = textContent.items.map(item => item.str).join(' ');
-    fullText += pageText + '\n';
-    
-    // Free textContent from memory
-    textContent.items = null;
-    
-    // Extract operations (for counting images and vectors)
-    // IMPORTANT: not using intent for rendering, only for analysis
-    const ops = await page.getOperatorList({
-      intent: 'display',
-      annotationMode: pdfjsLib.AnnotationMode.DISABLE
-    });
-    
-    // Count images and vectors
-    const { imageCount, vectorCount } = countGraphicsObjects(ops);
-    totalImages += imageCount;
-    totalVectors += vectorCount;
+  async readRange(begin, end) {
+    const chunk = await this.readFile(begin, end);
+    if (this.closed) return;
     
-    // Explicitly free operator list
-    ops.fnArray = null;
-    ops.argsArray = null;
+    this.recentChunks.push({ begin, data: Buffer.from(chunk) });
+    if (this.recentChunks.length > RECENT_CHUNK_COUNT) this.recentChunks.shift();
+    this.onDataRange(begin, new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+  }
+  
+  /**
+   * Reads a byte range for the object reader, from a recent chunk if possible
+   * @param {number} begin - First byte
+   * @param {number} end - End of the range (exclusive)
+   * @returns {Promise<Buffer>}
+   */
+  async read(begin, end) {
+    end = Math.min(end, this.length);
+    const recent = this.recentChunks.find(chunk => chunk.begin <= begin && chunk.begin + chunk.data.length >= end);
+    // A copy, so that cached parts do not keep whole chunks alive
+    if (recent) return Buffer.from(recent.data.subarray(begin - recent.begin, end - recent.begin));
+    return this.readFile(begin, end);
+  }
+  
+  async readFile(begin, end) {
+    const chunk = Buffer.alloc(Math.max(0, Math.min(end, this.length) - begin));
+    let offset = 0;
+    while (offset < chunk.length) {
+      const { bytesRead } = await this.fileHandle.read(chunk, offset, chunk.length - offset, begin + offset);
+      if (bytesRead === 0) break;
+      offset += bytesRead;
+    }
     
-    // Free memory after processing page
-    page.cleanup();
+    this.bytesRead += offset;
+    this.requestCount++;
+    return offset === chunk.length ? chunk : chunk.subarray(0, offset);
   }
   
-  // Destroy document
-  await pdf.destroy();
+  // Called by pdf.js when the document is destroyed
+  abort() {
+    this.close();
+  }
   
-  return {
-    text: fullText.trim(),
-    imageCount: totalImages,
-    vectorCount: totalVectors
-  };
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.recentChunks = [];
+    this.fileHandle.close().catch(() => {});
+  }
+  
+  /**
+   * @returns {{mode: string, fileSize: number, bytesRead: number, rangeRequests: number}}
+   */
+  getStats() {
+    return {
+      mode: 'range',
+      fileSize: this.length,
+      bytesRead: this.bytesRead,
+      rangeRequests: this.requestCount
+    };
+  }
 }
 
 /**
- * Counts graphic objects in PDF operations
- * @param {Object} ops - Operator list from PDF page
- * @returns {{imageCount: number, vectorCount: number}}
+ * Range transport over a document that is already in memory
+ * pdf.js gets copies of the chunks it asks for instead of the whole document, so the
+ * caller's buffer is neither copied up front nor transferred to the worker.
  */
-function countGraphicsObjects(ops) {
-  let imageCount = 0;
-  let vectorCount = 0;
-  
-  const fnArray = ops.fnArray;
+class MemoryRangeTransport extends pdfjsLib.PDFDataRangeTransport {
+  constructor(bytes) {
+    super(bytes.length, null);
+    this.bytes = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
   
-  // PDF operators for different object types
-  const IMAGE_OPS = [
-    pdfjsLib.OPS.paintImageXObject,
-    pdfjsLib.OPS.paintInlineImageXObject,
-    pdfjsLib.OPS.paintImageMaskXObject
-  ];
+  requestDataRange(begin, end) {
+    // pdf.js transfers the buffer of an exactly sized chunk, so it must be a copy
+    const chunk = new Uint8Array(this.bytes.subarray(begin, end));
+    Promise.resolve().then(() => this.onDataRange(begin, chunk));
+  }
   
-  // Vector operators (drawing paths, lines, curves)
-  const VECTOR_OPS = [
-    pdfjsLib.OPS.stroke,
-    pdfjsLib.OPS.fill,
-    pdfjsLib.OPS.eoFill,
-    pdfjsLib.OPS.fillStroke,
-    pdfjsLib.OPS.eoFillStroke,
-    pdfjsLib.OPS.closePath,
-    pdfjsLib.OPS.rectangle,
-    pdfjsLib.OPS.moveTo,
-    pdfjsLib.OPS.lineTo,
-    pdfjsLib.OPS.curveTo,
-    pdfjsLib.OPS.curveTo2,
-    pdfjsLib.OPS.curveTo3,
-    pdfjsLib.OPS.constructPath
-  ];
+  // Chunks arrive as microtasks, so pdf.js has all it asked for after one event loop turn
+  async whenIdle() {
+    await new Promise(resolve => setImmediate(resolve));
+  }
   
-  // Helper variables for tracking vector sequences
-  let inVectorSequence = false;
-  for (let i = 0; i < fnArray.length; i++) {
-    const op = fnArray[i];
+  /**
+   * Returns a byte range without copying it
+   * @param {number} begin - First byte
+   * @param {number} end - End of the range (exclusive)
+   * @returns {Promise<Buffer>}
+   */
+  async read(begin, end) {
+    return this.bytes.subarray(begin, end);
+  }
+}
 
-    // Detect images
-    if (IMAGE_OPS.includes(op)) {
-      imageCount++;
-      inVectorSequence = false;
-    }
-    // Detect vectors - count only unique vector objects
-    else if (VECTOR_OPS.includes(op)) {
-      if(op === pdfjsLib.OPS.constructPath){
-        vectorCount++;
-        inVectorSequence = false;
-      }
-      if ([pdfjsLib.OPS.stroke, pdfjsLib.OPS.fill, pdfjsLib.OPS.eoFill, pdfjsLib.OPS.fillStroke, pdfjsLib.OPS.eoFillStroke].includes(op)) {
-        // These operators terminate a vector object
-        if (inVectorSequence) {
-          vectorCount++;
-          inVectorSequence = false;
+/**
+ * Transport that hands the chunks of a stream source to pdf.js as they arrive
+ * pdf.js cannot seek in a stream, so it collects the chunks itself and parses the
+ * document once the stream has ended; no concatenated copy is made here. With
+ * `keepTail`, the last chunks are kept for the /Encrypt lookup.
+ */
+class StreamTransport extends pdfjsLib.PDFDataRangeTransport {
+  constructor(stream, { keepTail = false } = {}) {
+    // The length is unknown until the stream ends
+    super(0, null);
+    this.stream = stream;
+    this.keepTail = keepTail;
+    this.bytesRead = 0;
+    this.error = null;
+    this.heldChunk = new Uint8Array(0);
+    this.finished = false;
+    this.closed = false;
+    this.tail = [];
+    this.tailLength = 0;
+  }
+  
+  /**
+   * Starts reading the stream; chunks are queued until pdf.js listens
+   */
+  start() {
+    this.pump().catch((error) => {
+      if (!this.closed) this.stop(error);
+    });
+  }
+  
+  async pump() {
+    for await (const chunk of readStreamChunks(this.stream)) {
+      if (this.closed) return;
+      this.bytesRead += chunk.byteLength;
+      if (this.keepTail) {
+        // pdf.js may detach the chunk, so the tail keeps a copy
+        this.tail.push(Buffer.from(chunk));
+        this.tailLength += chunk.byteLength;
+        while (this.tailLength - this.tail[0].length >= ENCRYPT_SCAN_TAIL_SIZE) {
+          this.tailLength -= this.tail.shift().length;
         }
-      } else {
-        // Start or continuation of vector object
-        inVectorSequence = true;
       }
+      // pdf.js does not wake up a pending read when the data is marked complete, so each
+      // chunk is held back until the next one arrives and the last one goes with the end
+      if (this.heldChunk.byteLength > 0) this.onDataProgressiveRead(this.heldChunk);
+      this.heldChunk = chunk;
     }
+    this.finish();
   }
   
-  // If vector sequence remained open
-  if (inVectorSequence) {
-    vectorCount++;
+  // Hands the held chunk and the end of the data to pdf.js
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this.onDataProgressiveRead(this.heldChunk);
+    this.heldChunk = null;
+    this.onDataProgressiveDone();
   }
   
-  return { imageCount, vectorCount };
+  /**
+   * Stops reading before the stream has ended
+   * pdf.js cannot be cancelled while it waits for the data (the loading task never settles),
+   * so it gets what has been read so far and the caller rejects once loading is over.
+   * @param {Error|null} error - Failure of the stream, reported by `error`
+   */
+  stop(error = null) {
+    if (this.finished) return;
+    this.error = error;
+    this.abort();
+    this.finish();
+  }
+  
+  /**
+   * Last bytes of the stream (at most ENCRYPT_SCAN_TAIL_SIZE), once it has ended
+   * @returns {Buffer}
+   */
+  getTail() {
+    const tail = Buffer.concat(this.tail, this.tailLength);
+    return tail.subarray(Math.max(0, tail.length - ENCRYPT_SCAN_TAIL_SIZE));
+  }
+  
+  requestDataRange() {
+    // Never called: range requests are disabled for streams
+  }
+  
+  // Called by pdf.js when the document is destroyed
+  abort() {
+    if (this.closed) return;
+    this.closed = true;
+    this.tail = [];
+    // Stops a Node.js stream that is still being read; web streams are cancelled with the next chunk
+    if (typeof this.stream.destroy === 'function') this.stream.destroy();
+  }
 }
 
 /**
- * Alternative method for streaming processing of large PDFs
- * Uses callback for progressive page processing
+ * Returns the dictionary text at the given offset, up to its closing ">>"
+ * @param {string} text - Text starting with "<<"
+ * @returns {{body: string, topLevel: string}} Full dictionary and its top-level part without nested dictionaries
+ */
+function sliceDictionary(text) {
+  let depth = 0;
+  let topLevel = '';
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text[i] + text[i + 1];
+    if (pair === '<<') {
+      depth++;
+      i++;
+      continue;
+    }
+    if (pair === '>>') {
+      depth--;
+      i++;
+      if (depth === 0) return { body: text.slice(0, i + 1), topLevel };
+      continue;
+    }
+    if (depth === 1) topLevel += text[i];
+  }
+  return { body: text, topLevel };
+}
+
+/**
+ * Locates and parses the /Encrypt dictionary in raw PDF bytes
+ * pdf.js does not expose the security handler details, so they are read
+ * directly from the file (trailer reference, then the referenced object).
  * 
- * @param {string|Buffer|Uint8Array} pdfSource - Path to PDF file, Buffer, or Uint8Array
- * @param {Object} options - Processing options
- * @param {Function} options.onPageProcessed - Callback called after processing each page
- * @param {boolean} options.extractText - Whether to extract text (true) or just statistics (false)
- * @returns {Promise<{text: string, imageCount: number, vectorCount: number}>}
+ * @param {Buffer} bytes - Raw PDF bytes (or the tail of the file)
+ * @returns {{filter: string|null, subFilter: string|null, version: number|null, revision: number|null, keyLength: number|null, cryptFilter: string|null}|null}
  */
-export async function extractPdfDataStreaming(pdfSource, options = {}) {
-  // Setup canvas polyfill for Node.js
-  await setupCanvasPolyfill();
+function readEncryptDictionary(bytes) {
+  let dictText = null;
+  let searchFrom = bytes.length;
   
-  const { onPageProcessed = null, extractText = true } = options;
-  const data = loadPdfData(pdfSource);
+  // The last /Encrypt entry wins (incremental updates append new trailers)
+  while (dictText === null && searchFrom > 0) {
+    const pos = bytes.lastIndexOf('/Encrypt', searchFrom - 1, 'latin1');
+    if (pos === -1) return null;
+    searchFrom = pos;
+    
+    const after = bytes.toString('latin1', pos + 8, pos + 64);
+    const ref = /^\s*(\d+)\s+(\d+)\s+R/.exec(after);
+    if (ref) {
+      const objPos = bytes.lastIndexOf(`${ref[1]} ${ref[2]} obj`, bytes.length - 1, 'latin1');
+      if (objPos === -1) return null;
+      const objText = bytes.toString('latin1', objPos, objPos + 8192);
+      const dictStart = objText.indexOf('<<');
+      if (dictStart !== -1) dictText = objText.slice(dictStart);
+    } else if (/^\s*<</.test(after)) {
+      const dictStart = pos + 8 + after.indexOf('<<');
+      dictText = bytes.toString('latin1', dictStart, dictStart + 8192);
+    }
+  }
+  if (dictText === null) return null;
+  
+  const { body, topLevel } = sliceDictionary(dictText);
+  const name = (source, key) => new RegExp(`/${key}\\s*/([\\w.#-]+)`).exec(source)?.[1] ?? null;
+  const number = (source, key) => {
+    const match = new RegExp(`/${key}\\s+(\\d+)`).exec(source);
+    return match ? Number(match[1]) : null;
+  };
+  
+  return {
+    filter: name(topLevel, 'Filter'),
+    subFilter: name(topLevel, 'SubFilter'),
+    version: number(topLevel, 'V'),
+    revision: number(topLevel, 'R'),
+    keyLength: number(topLevel, 'Length'),
+    // Crypt filter method of the default stream filter (V4/V5 only)
+    cryptFilter: name(body, 'CFM')
+  };
+}
+
+/**
+ * Maps security handler parameters to a readable algorithm name
+ * @param {Object} dict - Parsed /Encrypt dictionary
+ * @returns {string|null} 'RC4-40', 'RC4-128', 'AES-128', 'AES-256', 'none' or null if unknown
+ */
+function describeEncryptionAlgorithm(dict) {
+  const { version, keyLength, cryptFilter } = dict;
+  if (cryptFilter === 'AESV3' || version === 5) return 'AES-256';
+  if (cryptFilter === 'AESV2') return 'AES-128';
+  if (cryptFilter === 'None') return 'none';
+  if (cryptFilter === 'V2') return `RC4-${keyLength || 128}`;
+  if (version === 1) return 'RC4-40';
+  if (version === 2 || version === 3) return `RC4-${keyLength || 40}`;
+  return null;
+}
+
+/**
+ * Collects encryption details and permission flags for a loaded document
+ * @param {Object} pdf - PDF.js document proxy
+ * @param {Object|null} encryptDict - Parsed /Encrypt dictionary, if found
+ * @returns {Promise<Object>}
+ */
+async function getEncryptionInfo(pdf, encryptDict) {
+  const { info } = await pdf.getMetadata();
+  const flags = await pdf.getPermissions();
+  const PermissionFlag = pdfjsLib.PermissionFlag;
+  
+  // pdf.js returns null permissions when the document sets no restrictions
+  const allowed = flag => flags === null || flags.includes(flag);
+  const encrypted = Boolean(info?.EncryptFilterName) || encryptDict !== null;
+  
+  return {
+    encrypted,
+    filter: info?.EncryptFilterName ?? encryptDict?.filter ?? null,
+    algorithm: encrypted && encryptDict ? describeEncryptionAlgorithm(encryptDict) : null,
+    version: encryptDict?.version ?? null,
+    revision: encryptDict?.revision ?? null,
+    keyLength: encryptDict?.keyLength ?? null,
+    permissions: {
+      print: allowed(PermissionFlag.PRINT),
+      printHighQuality: allowed(PermissionFlag.PRINT_HIGH_QUALITY),
+      copy: allowed(PermissionFlag.COPY),
+      copyForAccessibility: allowed(PermissionFlag.COPY_FOR_ACCESSIBILITY),
+      modify: allowed(PermissionFlag.MODIFY_CONTENTS),
+      modifyAnnotations: allowed(PermissionFlag.MODIFY_ANNOTATIONS),
+      fillForms: allowed(PermissionFlag.FILL_INTERACTIVE_FORMS),
+      assemble: allowed(PermissionFlag.ASSEMBLE)
+    }
+  };
+}
+
+// Amount of data read from the end of the file when looking for /Encrypt in range mode
+const ENCRYPT_SCAN_TAIL_SIZE = 1024 * 1024;
+
+// Errors pdf.js raises for malformed documents; errors thrown inside the
+// (fake) worker arrive as UnknownErrorException. PdfObjectError comes from the object reader.
+const PDFJS_FORMAT_ERRORS = new Set(['InvalidPDFException', 'UnknownErrorException', 'FormatError', 'PdfObjectError']);
+
+/**
+ * Checks whether an error comes from pdf.js parsing a malformed document
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+function isPdfFormatError(error) {
+  return PDFJS_FORMAT_ERRORS.has(error?.name);
+}
+
+// Byte source ({length, read(begin, end)}) and accepted password of each open document, for the
+// object reader; the source of a stream is copied from pdf.js when it is first needed
+const documentByteSources = new WeakMap();
+
+/**
+ * Opens a PDF document with low-memory settings
+ * File paths are read through a range transport when `rangeLoading` is set,
+ * streams are handed to pdf.js chunk by chunk as they are read, and buffers are
+ * handed to pdf.js in chunks. Password failures are reported as EncryptedPdfError,
+ * malformed documents as InvalidPdfError.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - PDF source
+ * @param {Object} options - Loading options
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` asked for a (new) password
+ * @param {boolean} options.tolerant - Let pdf.js recover from broken objects instead of failing (default: false)
+ * @param {boolean} options.cjk - Load packaged CMaps for CJK fonts on demand (default: false)
+ * @param {boolean} options.standardFonts - Load packaged data for non-embedded standard fonts on demand (default: false)
+ * @param {boolean} options.inspectEncryption - Also locate the /Encrypt dictionary (internal)
+ * @param {Object} options.abortScope - Cancellation scope of the caller (internal)
+ * @returns {Promise<{pdf: Object, transport: FileRangeTransport|null, encryptDict: Object|null}>}
+ */
+async function openPdfDocument(pdfSource, options = {}) {
+  const {
+    rangeLoading = false,
+    rangeChunkSize = DEFAULT_RANGE_CHUNK_SIZE,
+    password,
+    onPassword = null,
+    tolerant = false,
+    cjk = false,
+    standardFonts = false,
+    inspectEncryption = false
+  } = options;
+  
+  if (!Number.isInteger(rangeChunkSize) || rangeChunkSize <= 0) {
+    throw new TypeError(`rangeChunkSize must be a positive integer, got ${rangeChunkSize}`);
+  }
+  const fontDataParams = getFontDataParams(cjk, standardFonts);
+  if (password !== undefined && typeof password !== 'string') {
+    throw new TypeError('password must be a string');
+  }
+  const abortScope = createAbortScope(options);
+  await abortScope.checkpoint();
+  
+  let transport = null;
+  let memoryTransport = null;
+  let streamTransport = null;
+  let encryptDict = null;
+  let source;
+  if (rangeLoading && typeof pdfSource === 'string') {
+    transport = await FileRangeTransport.open(pdfSource);
+    source = {
+      range: transport,
+      length: transport.length,
+      rangeChunkSize,
+      // Only fetch what is actually needed, never the whole file
+      disableAutoFetch: true,
+      disableStream: true
+    };
+    
+    if (inspectEncryption) {
+      const tailSize = Math.min(ENCRYPT_SCAN_TAIL_SIZE, transport.length);
+      const tail = Buffer.alloc(tailSize);
+      await transport.fileHandle.read(tail, 0, tailSize, transport.length - tailSize);
+      encryptDict = readEncryptDictionary(tail);
+    }
+  } else if (isStreamSource(pdfSource)) {
+    streamTransport = new StreamTransport(pdfSource, { keepTail: inspectEncryption });
+    source = {
+      range: streamTransport,
+      length: 0,
+      disableRange: true,
+      disableStream: false
+    };
+  } else {
+    const data = await loadPdfData(pdfSource);
+    if (inspectEncryption) {
+      encryptDict = readEncryptDictionary(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+    }
+    memoryTransport = new MemoryRangeTransport(data);
+    source = {
+      range: memoryTransport,
+      length: memoryTransport.length,
+      rangeChunkSize,
+      disableAutoFetch: true,
+      disableStream: true
+    };
+  }
   
   const loadingTask = pdfjsLib.getDocument({
-    data,
-    isEvalSupported: false,
-    useSystemFonts: true,
-    disableFontFace: true,
-    cMapUrl: null,
-    cMapPacked: false,
-    standardFontDataUrl: null,
-    stopAtErrors: true,
-    pdfBug: false
+    ...DOCUMENT_PARAMS,
+    ...fontDataParams,
+    ...source,
+    password,
+    stopAtErrors: !tolerant
   });
+  if (transport) {
+    transport.onError = () => loadingTask.destroy();
+  }
+  streamTransport?.start();
+  
+  // Interactive retry: ask for a password until it is accepted or the callback gives up
+  let passwordError = null;
+  let lastPassword = password ?? '';
+  if (onPassword) {
+    let attempt = 0;
+    loadingTask.onPassword = (updatePassword, code) => {
+      attempt++;
+      const reason = code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD ? 'incorrectPassword' : 'passwordRequired';
+      Promise.resolve()
+        .then(() => onPassword({ reason, attempt }))
+        .then((newPassword) => {
+          if (typeof newPassword === 'string') {
+            lastPassword = newPassword;
+            updatePassword(newPassword);
+          } else {
+            passwordError = new EncryptedPdfError(reason);
+            loadingTask.destroy();
+          }
+        }, (error) => {
+          passwordError = error;
+          loadingTask.destroy();
+        });
+    };
+  }
+  
+  // Cancelling while loading (e.g. slow range reads) destroys the loading task; a stream
+  // is cut short instead, as pdf.js cannot be destroyed while it waits for the data
+  const cancelLoading = () => {
+    if (streamTransport) streamTransport.stop();
+    else loadingTask.destroy();
+  };
+  
+  try {
+    const pdf = await abortScope.run(loadingTask.promise, cancelLoading);
+    // pdf.js may have opened the part of a stream that was read before it failed or was aborted
+    if (streamTransport?.error) throw streamTransport.error;
+    if (streamTransport && inspectEncryption) {
+      encryptDict = readEncryptDictionary(streamTransport.getTail());
+      streamTransport.tail = [];
+    }
+    documentByteSources.set(pdf, { source: transport ?? memoryTransport, password: lastPassword });
+    return { pdf, transport, encryptDict };
+  } catch (error) {
+    transport?.close();
+    // A stream that was cut short is destroyed once pdf.js is done with what was read
+    if (streamTransport && error instanceof AbortError) await loadingTask.promise.catch(() => {});
+    await loadingTask.destroy();
+    await abortScope.checkpoint();
+    if (passwordError) throw passwordError;
+    // e.g. a stream that produced text or failed while it was read
+    if (streamTransport?.error) throw streamTransport.error;
+    if (error?.name === 'PasswordException') {
+      const reason = error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD ? 'incorrectPassword' : 'passwordRequired';
+      throw new EncryptedPdfError(reason, { cause: error });
+    }
+    if (isPdfFormatError(error)) throw new InvalidPdfError({ cause: error });
+    throw error;
+  }
+}
+
+/**
+ * Reads page size and rotation for per-page results
+ * @param {Object} page - PDF.js page proxy
+ * @returns {{width: number, height: number, rotation: number}}
+ */
+function getPageGeometry(page) {
+  const [x1, y1, x2, y2] = page.view;
+  return {
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1),
+    rotation: page.rotate
+  };
+}
+
+/**
+ * Parses a page range string such as "1-3,7,10-12" into page numbers
+ * @param {string} spec - Comma-separated list of pages and ranges
+ * @returns {number[]}
+ */
+function parsePageRanges(spec) {
+  const pageNumbers = [];
   
-  const pdf = await loadingTask.promise;
+  for (const part of spec.split(',')) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+    if (!match) {
+      throw new TypeError(`Invalid page range "${part.trim()}" in "${spec}"`);
+    }
+    
+    const start = Number(match[1]);
+    const end = match[2] !== undefined ? Number(match[2]) : start;
+    if (end < start) {
+      throw new RangeError(`Invalid page range "${part.trim()}": end is before start`);
+    }
+    for (let pageNum = start; pageNum <= end; pageNum++) {
+      pageNumbers.push(pageNum);
+    }
+  }
+  
+  return pageNumbers;
+}
+
+/**
+ * Formats sorted page numbers as a compact range string such as "1-3,7"
+ * The result can be passed back as the `pages` option.
+ * @param {number[]} pageNumbers - Page numbers in ascending order
+ * @returns {string}
+ */
+function formatPageRanges(pageNumbers) {
+  const parts = [];
+  
+  for (let i = 0; i < pageNumbers.length; i++) {
+    const start = pageNumbers[i];
+    while (pageNumbers[i + 1] === pageNumbers[i] + 1) i++;
+    parts.push(start === pageNumbers[i] ? `${start}` : `${start}-${pageNumbers[i]}`);
+  }
+  
+  return parts.join(',');
+}
+
+/**
+ * Resolves page selection options into a sorted list of page numbers
+ * @param {Object} options - Selection options
+ * @param {number[]|string} options.pages - Explicit page numbers or range string ("1-3,7")
+ * @param {number} options.firstPage - First page to process (1-based, inclusive)
+ * @param {number} options.lastPage - Last page to process (1-based, inclusive)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean`
+ * @param {number} numPages - Number of pages in the document
+ * @returns {number[]}
+ */
+function resolvePageSelection(options, numPages) {
+  const { pages = null, firstPage = 1, lastPage = numPages, pageFilter = null } = options;
+  
+  for (const [name, value] of [['firstPage', firstPage], ['lastPage', lastPage]]) {
+    if (!Number.isInteger(value)) {
+      throw new TypeError(`${name} must be an integer, got ${value}`);
+    }
+    if (value < 1 || value > numPages) {
+      throw new RangeError(`${name} ${value} is out of range (document has ${numPages} pages)`);
+    }
+  }
+  if (firstPage > lastPage) {
+    throw new RangeError(`firstPage ${firstPage} is greater than lastPage ${lastPage}`);
+  }
+  
+  let pageNumbers;
+  if (pages !== null && pages !== undefined) {
+    let requested;
+    if (typeof pages === 'string') {
+      requested = parsePageRanges(pages);
+    } else if (Array.isArray(pages)) {
+      requested = pages;
+    } else {
+      throw new TypeError('pages must be an array of page numbers or a range string like "1-3,7"');
+    }
+    
+    for (const pageNum of requested) {
+      if (!Number.isInteger(pageNum)) {
+        throw new TypeError(`Invalid page number ${pageNum} in pages`);
+      }
+      if (pageNum < 1 || pageNum > numPages) {
+        throw new RangeError(`Page ${pageNum} is out of range (document has ${numPages} pages)`);
+      }
+    }
+    
+    pageNumbers = [...new Set(requested)]
+      .filter(pageNum => pageNum >= firstPage && pageNum <= lastPage)
+      .sort((a, b) => a - b);
+  } else {
+    pageNumbers = [];
+    for (let pageNum = firstPage; pageNum <= lastPage; pageNum++) {
+      pageNumbers.push(pageNum);
+    }
+  }
+  
+  if (pageFilter !== null) {
+    if (typeof pageFilter !== 'function') {
+      throw new TypeError('pageFilter must be a function');
+    }
+    pageNumbers = pageNumbers.filter(pageNum => pageFilter(pageNum, numPages));
+  }
+  
+  return pageNumbers;
+}
+
+/**
+ * Resolves page selection for a loaded document, destroying it on invalid selection
+ * @param {Object} pdf - PDF.js document proxy
+ * @param {Object} options - Selection options (see resolvePageSelection)
+ * @returns {Promise<number[]>}
+ */
+async function selectPages(pdf, options) {
+  try {
+    return resolvePageSelection(options, pdf.numPages);
+  } catch (error) {
+    await destroyDocument(pdf);
+    throw error;
+  }
+}
+
+/**
+ * Handles an error thrown while reading a page
+ * Malformed page content becomes CorruptPageError, which the `tolerant` option turns
+ * into a warning so the caller can skip the page. Other errors (callbacks, AbortError)
+ * are rethrown unchanged.
+ * @param {*} error - Caught error
+ * @param {number} pageNum - Page being read
+ * @param {Object} options - Handling options
+ * @param {boolean} options.tolerant - Return a warning instead of throwing
+ * @param {Object|null} options.pdf - Document to destroy before throwing
+ * @param {Object|null} options.page - Page to clean up
+ * @returns {Promise<{pageNum: number, message: string}>} Warning for the skipped page
+ */
+async function recoverPageError(error, pageNum, { tolerant = false, pdf = null, page = null } = {}) {
+  page?.cleanup();
+  if (tolerant && isPdfFormatError(error)) {
+    return { pageNum, message: error.message };
+  }
+  
+  if (pdf) await destroyDocument(pdf);
+  throw isPdfFormatError(error) ? new CorruptPageError(pageNum, { cause: error }) : error;
+}
+
+// pdf.js calls given up on by a cancelled `run`, by document
+const abandonedCalls = new WeakMap();
+
+/**
+ * Destroys a PDF.js document
+ * pdf.js never finishes a page that still waits for range data once its document is
+ * destroyed, and the destroy promise then never settles. A document with a call given
+ * up on by cancellation is therefore destroyed in the background once that call is done
+ * and, as a cancelled render keeps reading its page in the worker, no range is pending.
+ * @param {Object} pdf - PDF.js document proxy
+ * @returns {Promise<void>}
+ */
+async function destroyDocument(pdf) {
+  const abandoned = abandonedCalls.get(pdf);
+  if (abandoned) {
+    const source = documentByteSources.get(pdf)?.source;
+    abandoned.then(() => source?.whenIdle()).then(() => pdf.destroy());
+    return;
+  }
+  await pdf.destroy();
+}
+
+// Longest stretch of pages processed without letting abort() calls from timers and I/O callbacks run
+const ABORT_YIELD_INTERVAL_MS = 50;
+
+/**
+ * Cancellation for the `signal` and `timeoutMs` options
+ * Cancellation is checked at checkpoints between pages, and pdf.js calls wrapped in
+ * `run` reject as soon as it fires, e.g. while they wait for range reads or rendering.
+ * pdf.js parses on this thread in microtasks, so a page that is only computing still
+ * delays the rejection until its next wait.
+ * Nested calls reuse the scope passed as `abortScope`, so they share one deadline.
+ * @param {Object} options - Function options
+ * @returns {{signal: AbortSignal|null, checkpoint: Function, run: Function}}
+ */
+function createAbortScope(options = {}) {
+  if (options.abortScope) return options.abortScope;
+  
+  const { signal = null, timeoutMs = 0 } = options;
+  if (signal !== null && (typeof signal !== 'object' || typeof signal.aborted !== 'boolean')) {
+    throw new TypeError('signal must be an AbortSignal');
+  }
+  if (typeof timeoutMs !== 'number' || !(timeoutMs >= 0)) {
+    throw new RangeError(`timeoutMs must be a non-negative number, got ${timeoutMs}`);
+  }
+  const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : Infinity;
+  let lastYield = Date.now();
+  // Document and partial result of the latest checkpoint, used when `run` is cut short
+  let current = { pdf: null, getPartial: null };
+  
+  const abort = async (reason, pdf, getPartial) => {
+    const partial = getPartial ? getPartial() : null;
+    if (pdf) await destroyDocument(pdf);
+    throw new AbortError(reason, { timeoutMs, partial, cause: reason === 'aborted' ? signal.reason : undefined });
+  };
+  
+  return {
+    signal,
+    
+    /**
+     * Rejects with AbortError when cancelled, after destroying the document
+     * @param {Object|null} pdf - PDF.js document to destroy
+     * @param {Function} getPartial - Returns the result for the pages finished so far
+     */
+    async checkpoint(pdf = null, getPartial = null) {
+      current = { pdf, getPartial };
+      if (signal && Date.now() - lastYield >= ABORT_YIELD_INTERVAL_MS) {
+        await new Promise(resolve => setImmediate(resolve));
+        lastYield = Date.now();
+      }
+      
+      if (signal?.aborted) await abort('aborted', pdf, getPartial);
+      else if (Date.now() >= deadline) await abort('timeout', pdf, getPartial);
+    },
+    
+    /**
+     * Waits for a pdf.js promise, rejecting with AbortError as soon as the call is cancelled
+     * pdf.js cannot stop a page it is reading, so the call is given up on and the document
+     * of the latest checkpoint is destroyed once it is done (see destroyDocument).
+     * @param {Promise} promise - Pending pdf.js call
+     * @param {Function} cancel - Stops the call, e.g. destroys a loading task
+     * @returns {Promise<*>}
+     */
+    run(promise, cancel = null) {
+      if (!signal && deadline === Infinity) return promise;
+      return new Promise((resolve, reject) => {
+        let timer = null;
+        let stopped = false;
+        const cleanup = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+        };
+        const stop = (reason) => {
+          stopped = true;
+          cleanup();
+          const settled = promise.then(() => {}, () => {});
+          if (current.pdf) abandonedCalls.set(current.pdf, settled);
+          cancel?.();
+          abort(reason, current.pdf, current.getPartial).catch(reject);
+        };
+        const onAbort = () => stop('aborted');
+        
+        if (signal?.aborted) return stop('aborted');
+        if (Date.now() >= deadline) return stop('timeout');
+        signal?.addEventListener('abort', onAbort, { once: true });
+        if (deadline < Infinity) timer = setTimeout(() => stop('timeout'), deadline - Date.now());
+        // A destroyed loading task may still reject; the AbortError is reported instead
+        promise.then((value) => {
+          cleanup();
+          resolve(value);
+        }, (error) => {
+          cleanup();
+          if (!stopped) reject(error);
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Returns the garbage collector exposed by `node --expose-gc`, or null
+ * V8 flags are left alone, so without the flag the budget goes straight to its fallbacks.
+ * @returns {Function|null}
+ */
+function getGarbageCollector() {
+  return typeof globalThis.gc === 'function' ? globalThis.gc : null;
+}
+
+/**
+ * Memory budget and telemetry for the `maxMemoryMB` and `telemetry` options
+ * The resident set size is sampled after every page. When it exceeds the budget,
+ * a garbage collection runs first; if that is not enough, the document-wide pdf.js
+ * caches (fonts, images shared between pages) are released after every page from
+ * then on, and MemoryLimitError is thrown when the budget is exceeded again.
+ * RSS is measured for the whole process, including other work and worker threads.
+ * @param {Object} options - Function options
+ * @returns {{enabled: boolean, startPage: Function, endPage: Function, getStats: Function}}
+ */
+function createMemoryBudget(options = {}) {
+  const { maxMemoryMB = 0, telemetry = false } = options;
+  if (typeof maxMemoryMB !== 'number' || !(maxMemoryMB >= 0)) {
+    throw new RangeError(`maxMemoryMB must be a non-negative number, got ${maxMemoryMB}`);
+  }
+  if (typeof telemetry !== 'boolean') {
+    throw new TypeError(`telemetry must be a boolean, got ${telemetry}`);
+  }
+  const limit = maxMemoryMB * 1048576;
+  const enabled = limit > 0 || telemetry;
+  
+  let peakRss = 0;
+  let peakHeapUsed = 0;
+  let pageStart = 0;
+  let releaseCaches = false;
+  const pageStats = [];
+  const degradations = [];
+  
+  const sample = () => {
+    const { rss, heapUsed } = process.memoryUsage();
+    peakRss = Math.max(peakRss, rss);
+    peakHeapUsed = Math.max(peakHeapUsed, heapUsed);
+    return { rss, heapUsed };
+  };
+  if (enabled) sample();
+  
+  return {
+    enabled,
+    
+    /**
+     * Starts timing a page
+     */
+    startPage() {
+      if (enabled) pageStart = Date.now();
+    },
+    
+    /**
+     * Records a finished page and enforces the budget
+     * Must only be called when no page of the document is rendering.
+     * @param {number} pageNum - Page number
+     * @param {Object} state - Processing state of the caller
+     * @param {Object} state.pdf - PDF.js document
+     * @param {Function} state.getPartial - Returns the result for the pages finished so far
+     */
+    async endPage(pageNum, { pdf, getPartial }) {
+      if (!enabled) return;
+      if (releaseCaches) await pdf.cleanup();
+      const { rss, heapUsed } = sample();
+      pageStats.push({ pageNum, durationMs: Date.now() - pageStart, rss, heapUsed });
+      if (limit === 0 || rss <= limit) return;
+      
+      let currentRss = rss;
+      const gc = getGarbageCollector();
+      if (gc) {
+        gc();
+        currentRss = process.memoryUsage().rss;
+        if (currentRss <= limit) return;
+      }
+      
+      if (!releaseCaches) {
+        releaseCaches = true;
+        await pdf.cleanup();
+        degradations.push({ pageNum, action: 'cleanup' });
+        return;
+      }
+      
+      const partial = getPartial();
+      await destroyDocument(pdf);
+      throw new MemoryLimitError(maxMemoryMB, currentRss, { pageNum, partial });
+    },
+    
+    /**
+     * Telemetry for the result
+     * @param {Object} counter - Graphics counter
+     * @returns {Object}
+     */
+    getStats(counter) {
+      return {
+        maxMemoryMB: limit > 0 ? maxMemoryMB : null,
+        peakRss,
+        peakHeapUsed,
+        countingMode: counter.mode,
+        degradations: [...degradations],
+        pageStats: [...pageStats]
+      };
+    }
+  };
+}
+
+// Part of every cache key, so upgrading the library or pdf.js does not return stale results
+const CACHE_VERSION = `${JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version}/${pdfjsLib.version}`;
+
+// Options that do not change the result and are left out of cache keys
+const CACHE_NEUTRAL_OPTIONS = new Set([
+  'cache',
+  'signal',
+  'timeoutMs',
+  'abortScope',
+  'contentHash',
+  'onProgress',
+  'onPageProcessed',
+  'onWarning',
+  'highWaterMark',
+  // Only shape the run-specific fields below, or whether the call fails
+  'telemetry',
+  'maxMemoryMB',
+  'rangeLoading',
+  'rangeChunkSize'
+]);
+
+// Result fields that describe one run rather than the document; they are not stored,
+// so a hit has no telemetry or loading statistics (nothing was parsed)
+const RUN_SPECIFIC_FIELDS = ['telemetry', 'loading'];
+
+/**
+ * JSON with object keys sorted, so equal options give equal cache keys
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, item) => (
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+      : item
+  ));
+}
+
+/**
+ * SHA-256 of the document bytes; files are hashed in chunks without loading them whole
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} source - File path or buffer
+ * @returns {Promise<string>}
+ */
+async function hashPdfSource(source) {
+  const hash = crypto.createHash('sha256');
+  if (typeof source === 'string') {
+    for await (const chunk of fs.createReadStream(source)) {
+      hash.update(chunk);
+    }
+  } else if (ArrayBuffer.isView(source)) {
+    hash.update(new Uint8Array(source.buffer, source.byteOffset, source.byteLength));
+  } else if (source instanceof ArrayBuffer) {
+    hash.update(new Uint8Array(source));
+  } else {
+    throw new UnsupportedSourceError('Unsupported PDF source');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Looks up the result of a call in the `cache` option
+ * Streams are read into a Buffer to be hashed, so the caller must continue with
+ * `source` instead of the original source. Options holding callbacks that shape
+ * the result (pageFilter, ocr, a classifier function, ...) cannot be part of a key,
+ * so such calls bypass the cache. Progress callbacks are not called on a hit.
+ * 
+ * @param {string} fnName - Exported function name, part of the key
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - PDF source
+ * @param {Object} options - Options of the call
+ * @returns {Promise<{hit: boolean, result: *, source: *, contentHash: string|null, enabled: boolean, key: string|null, cache: Object|null, save: Function}>}
+ */
+async function openCacheEntry(fnName, pdfSource, options) {
+  const { cache = null } = options;
+  const uncached = {
+    hit: false,
+    result: undefined,
+    source: pdfSource,
+    contentHash: null,
+    enabled: false,
+    key: null,
+    cache: null,
+    save: async result => result
+  };
+  if (cache === null) return uncached;
+  assertCache(cache);
+  
+  const keyOptions = {};
+  for (const [name, value] of Object.entries(options)) {
+    if (CACHE_NEUTRAL_OPTIONS.has(name) || value === undefined || value === null) continue;
+    if (typeof value === 'function') {
+      cache.bypass();
+      return uncached;
+    }
+    keyOptions[name] = value;
+  }
+  
+  const source = isStreamSource(pdfSource) ? await readStreamSource(pdfSource) : pdfSource;
+  let contentHash = options.contentHash ?? null;
+  if (contentHash === null) {
+    try {
+      contentHash = await hashPdfSource(source);
+    } catch {
+      // Missing files and unsupported sources fail with the usual error when the document is opened
+      return { ...uncached, source };
+    }
+  }
+  
+  const key = crypto.createHash('sha256')
+    .update(stableStringify([CACHE_VERSION, fnName, contentHash, keyOptions]))
+    .digest('hex');
+  const result = await cache.get(key);
+  
+  return {
+    hit: result !== undefined,
+    result,
+    source,
+    contentHash,
+    enabled: true,
+    key,
+    cache,
+    save: async (value) => {
+      const stored = { ...value };
+      for (const field of RUN_SPECIFIC_FIELDS) delete stored[field];
+      await cache.set(key, stored);
+      return value;
+    }
+  };
+}
+
+// Supported text reconstruction modes
+const TEXT_MODES = ['plain', 'lines', 'layout'];
+
+/**
+ * Validates the textMode option
+ * @param {string} textMode - 'plain', 'lines' or 'layout'
+ */
+function assertTextMode(textMode) {
+  if (!TEXT_MODES.includes(textMode)) {
+    throw new TypeError(`textMode must be one of ${TEXT_MODES.join(', ')}, got ${textMode}`);
+  }
+}
+
+/**
+ * Returns the median of a list of numbers
+ * @param {number[]} values - Values (not modified)
+ * @returns {number}
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Converts pdf.js text items into positioned runs
+ * Whitespace items are skipped: pdf.js adds them for wide gaps, where they would
+ * bridge column gutters; spaces are restored from the gaps between runs.
+ * @param {Array} items - Text items from getTextContent
+ * @returns {Array<{str: string, x: number, y: number, width: number, fontSize: number}>}
+ */
+function toTextRuns(items) {
+  const runs = [];
+  for (const item of items) {
+    if (typeof item.str !== 'string' || item.str.trim() === '') continue;
+    const [a, b, c, d, x, y] = item.transform;
+    runs.push({
+      str: item.str,
+      x,
+      y,
+      width: item.width,
+      fontSize: Math.hypot(c, d) || Math.hypot(a, b) || item.height || 1
+    });
+  }
+  return runs;
+}
+
+/**
+ * Groups runs sharing a baseline into lines, top to bottom and left to right
+ * @param {Array} runs - Positioned text runs
+ * @returns {Array<{y: number, fontSize: number, runs: Array}>}
+ */
+function groupIntoLines(runs) {
+  const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  
+  for (const run of sorted) {
+    const line = lines[lines.length - 1];
+    // Runs within half a font size vertically belong to the same line
+    if (line && Math.abs(line.y - run.y) <= Math.min(line.fontSize, run.fontSize) * 0.5) {
+      line.runs.push(run);
+    } else {
+      lines.push({ y: run.y, fontSize: run.fontSize, runs: [run] });
+    }
+  }
+  
+  for (const line of lines) {
+    line.runs.sort((a, b) => a.x - b.x);
+  }
+  return lines;
+}
+
+/**
+ * Joins the runs of one line, inserting spaces where there is a visible gap
+ * @param {Array} runs - Runs sorted by x
+ * @returns {string}
+ */
+function joinLineRuns(runs) {
+  let text = '';
+  let prev = null;
+  
+  for (const run of runs) {
+    if (prev) {
+      const gap = run.x - (prev.x + prev.width);
+      const hasSpace = text.endsWith(' ') || run.str.startsWith(' ');
+      if (!hasSpace && gap > Math.min(prev.fontSize, run.fontSize) * 0.15) {
+        text += ' ';
+      }
+    }
+    text += run.str;
+    prev = run;
+  }
+  
+  return text;
+}
+
+/**
+ * Finds a vertical gutter separating two text columns
+ * @param {Array} runs - Positioned text runs
+ * @returns {number|null} X coordinate of the gutter center, or null for single-column pages
+ */
+function detectColumnGutter(runs) {
+  if (runs.length < 10) return null;
+  
+  let minX = Infinity;
+  let maxX = -Infinity;
+  for (const run of runs) {
+    minX = Math.min(minX, run.x);
+    maxX = Math.max(maxX, run.x + run.width);
+  }
+  if (!(maxX > minX)) return null;
+  
+  // Coverage histogram in 2pt bins; a few runs crossing the gutter (headings) are tolerated
+  const binSize = 2;
+  const bins = new Uint32Array(Math.ceil((maxX - minX) / binSize) + 1);
+  for (const run of runs) {
+    const start = Math.floor((run.x - minX) / binSize);
+    const end = Math.floor((run.x + run.width - minX) / binSize);
+    for (let i = start; i <= end; i++) bins[i]++;
+  }
+  const tolerance = Math.max(1, Math.floor(runs.length * 0.05));
+  
+  // Longest low-coverage stretch whose center is in the middle half of the text area
+  let bestStart = -1;
+  let bestLength = 0;
+  let start = -1;
+  for (let i = 0; i <= bins.length; i++) {
+    if (i < bins.length && bins[i] <= tolerance) {
+      if (start === -1) start = i;
+      continue;
+    }
+    if (start !== -1) {
+      const center = minX + ((start + i) / 2) * binSize;
+      const inMiddle = center > minX + (maxX - minX) * 0.25 && center < minX + (maxX - minX) * 0.75;
+      if (inMiddle && i - start > bestLength) {
+        bestStart = start;
+        bestLength = i - start;
+      }
+      start = -1;
+    }
+  }
+  
+  const minGutter = Math.max(8, median(runs.map(run => run.fontSize)));
+  if (bestStart === -1 || bestLength * binSize < minGutter) return null;
+  
+  const gutter = minX + (bestStart + bestLength / 2) * binSize;
+  
+  // Both columns must hold a meaningful share of the text
+  const leftCount = runs.filter(run => run.x + run.width / 2 < gutter).length;
+  const rightCount = runs.length - leftCount;
+  if (leftCount < runs.length * 0.2 || rightCount < runs.length * 0.2) return null;
+  
+  return gutter;
+}
+
+/**
+ * Renders lines as text, separating paragraphs by an empty line
+ * A paragraph break is assumed where the vertical gap is clearly larger than the usual line spacing.
+ * @param {Array} lines - Lines in reading order
+ * @returns {string[]} Output lines ('' marks a paragraph break)
+ */
+function linesToParagraphs(lines) {
+  const spacings = [];
+  for (let i = 1; i < lines.length; i++) {
+    const spacing = lines[i - 1].y - lines[i].y;
+    if (spacing > 0) spacings.push(spacing);
+  }
+  const lineSpacing = median(spacings);
+  
+  const output = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (i > 0) {
+      const spacing = lines[i - 1].y - lines[i].y;
+      if (lineSpacing > 0 && (spacing > lineSpacing * 1.5 || spacing < 0)) output.push('');
+    }
+    output.push(joinLineRuns(lines[i].runs));
+  }
+  return output;
+}
+
+/**
+ * Rebuilds lines and paragraphs in reading order, reading two-column pages column by column
+ * @param {Array} runs - Positioned text runs
+ * @returns {string}
+ */
+function buildReadingOrderText(runs) {
+  const lines = groupIntoLines(runs);
+  const gutter = detectColumnGutter(runs);
+  if (gutter === null) {
+    return linesToParagraphs(lines).join('\n');
+  }
+  
+  // Lines crossing the gutter (titles, full-width paragraphs) end the current column block
+  const blocks = [];
+  let left = [];
+  let right = [];
+  const flushColumns = () => {
+    if (left.length) blocks.push(linesToParagraphs(left).join('\n'));
+    if (right.length) blocks.push(linesToParagraphs(right).join('\n'));
+    left = [];
+    right = [];
+  };
+  
+  for (const line of lines) {
+    const crossesGutter = line.runs.some(run => run.x < gutter && run.x + run.width > gutter);
+    if (crossesGutter) {
+      flushColumns();
+      blocks.push(joinLineRuns(line.runs));
+      continue;
+    }
+    const leftRuns = line.runs.filter(run => run.x + run.width / 2 < gutter);
+    const rightRuns = line.runs.filter(run => run.x + run.width / 2 >= gutter);
+    if (leftRuns.length) left.push({ ...line, runs: leftRuns });
+    if (rightRuns.length) right.push({ ...line, runs: rightRuns });
+  }
+  flushColumns();
+  
+  return blocks.join('\n\n');
+}
+
+/**
+ * Rebuilds the page with its physical layout, padding with spaces and empty lines
+ * @param {Array} runs - Positioned text runs
+ * @returns {string}
+ */
+function buildLayoutText(runs) {
+  if (runs.length === 0) return '';
+  
+  const lines = groupIntoLines(runs);
+  const minX = Math.min(...runs.map(run => run.x));
+  const charWidths = runs
+    .filter(run => run.width > 0)
+    .map(run => run.width / run.str.length);
+  const charWidth = median(charWidths) || median(runs.map(run => run.fontSize)) * 0.5 || 1;
+  
+  const spacings = [];
+  for (let i = 1; i < lines.length; i++) spacings.push(lines[i - 1].y - lines[i].y);
+  const lineSpacing = median(spacings.filter(spacing => spacing > 0));
+  
+  const output = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (i > 0 && lineSpacing > 0) {
+      // Reproduce larger vertical gaps as (at most 3) empty lines
+      const emptyLines = Math.min(3, Math.round((lines[i - 1].y - lines[i].y) / lineSpacing) - 1);
+      for (let k = 0; k < emptyLines; k++) output.push('');
+    }
+    
+    let text = '';
+    for (const run of lines[i].runs) {
+      const column = Math.round((run.x - minX) / charWidth);
+      if (column > text.length) {
+        text += ' '.repeat(column - text.length);
+      } else if (text.length > 0 && !text.endsWith(' ') && !run.str.startsWith(' ')) {
+        text += ' ';
+      }
+      text += run.str;
+    }
+    output.push(text.trimEnd());
+  }
+  
+  return output.join('\n');
+}
+
+/**
+ * Builds page text from text content items
+ * 'plain' joins items with spaces (fastest), 'lines' rebuilds lines, paragraphs and
+ * reading order including two-column pages, 'layout' preserves the physical layout.
+ * 
+ * @param {Array} items - Text items from getTextContent
+ * @param {string} textMode - 'plain', 'lines' or 'layout'
+ * @returns {string}
+ */
+function buildPageText(items, textMode = 'plain') {
+  if (textMode === 'plain') {
+    return items.map(item => item.str).join(' ');
+  }
+  
+  const runs = toTextRuns(items);
+  return textMode === 'layout' ? buildLayoutText(runs) : buildReadingOrderText(runs);
+}
+
+// Supported text box granularities
+const TEXT_BOX_MODES = ['runs', 'words'];
+
+/**
+ * Validates the textBoxes option
+ * @param {string|boolean} textBoxes - false, 'runs' or 'words'
+ */
+function assertTextBoxMode(textBoxes) {
+  if (textBoxes !== false && !TEXT_BOX_MODES.includes(textBoxes)) {
+    throw new TypeError(`textBoxes must be false, ${TEXT_BOX_MODES.join(' or ')}, got ${textBoxes}`);
+  }
+}
+
+/**
+ * Computes an axis-aligned box for a span along a text item's baseline
+ * @param {number[]} transform - Text item transform [a, b, c, d, e, f]
+ * @param {number} start - Start offset along the baseline (user-space units)
+ * @param {number} end - End offset along the baseline (user-space units)
+ * @param {number} ascent - Ascent relative to font size
+ * @param {number} descent - Descent relative to font size (negative)
+ * @returns {number[]} [x1, y1, x2, y2] in PDF user space
+ */
+function spanToRect(transform, start, end, ascent, descent) {
+  const [a, b, c, d, e, f] = transform;
+  const advance = Math.hypot(a, b) || 1;
+  const fontSize = Math.hypot(c, d) || advance;
+  const dirX = a / advance;
+  const dirY = b / advance;
+  const upX = c / fontSize;
+  const upY = d / fontSize;
+  
+  const xs = [];
+  const ys = [];
+  for (const along of [start, end]) {
+    for (const up of [descent * fontSize, ascent * fontSize]) {
+      xs.push(e + dirX * along + upX * up);
+      ys.push(f + dirY * along + upY * up);
+    }
+  }
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Builds positioned text boxes (runs or words) for a page
+ * Word positions inside a text item are interpolated assuming uniform glyph widths.
+ * 
+ * @param {Object} textContent - Result of page.getTextContent()
+ * @param {number} pageNum - Page number
+ * @param {Object} viewport - Page viewport used for top-left pixel coordinates
+ * @param {string} granularity - 'runs' or 'words'
+ * @returns {Array<{text: string, pageNum: number, bbox: Object, viewportBox: Object, fontName: string, fontSize: number}>}
+ */
+function buildTextBoxes(textContent, pageNum, viewport, granularity) {
+  const boxes = [];
+  
+  const addBox = (text, item, start, end) => {
+    const style = textContent.styles[item.fontName] || {};
+    const ascent = style.ascent || 1;
+    const descent = style.descent || 0;
+    const [x1, y1, x2, y2] = spanToRect(item.transform, start, end, ascent, descent);
+    const [vx1, vy1, vx2, vy2] = viewport.convertToViewportRectangle([x1, y1, x2, y2]);
+    const [, , c, d] = item.transform;
+    
+    boxes.push({
+      text,
+      pageNum,
+      // PDF user space, origin bottom-left
+      bbox: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 },
+      // Viewport pixels, origin top-left
+      viewportBox: {
+        left: Math.min(vx1, vx2),
+        top: Math.min(vy1, vy2),
+        width: Math.abs(vx2 - vx1),
+        height: Math.abs(vy2 - vy1)
+      },
+      // Internal pdf.js font id, resolved to the real name after the operator list is loaded
+      fontName: item.fontName,
+      fontSize: Math.hypot(c, d) || item.height
+    });
+  };
+  
+  for (const item of textContent.items) {
+    if (typeof item.str !== 'string' || item.str.trim() === '') continue;
+    
+    if (granularity === 'runs') {
+      addBox(item.str, item, 0, item.width);
+      continue;
+    }
+    
+    const charWidth = item.width / item.str.length;
+    for (const match of item.str.matchAll(/\S+/g)) {
+      const start = match.index * charWidth;
+      addBox(match[0], item, start, start + match[0].length * charWidth);
+    }
+  }
+  
+  return boxes;
+}
+
+/**
+ * Replaces internal pdf.js font ids in text boxes with real font names
+ * Font objects are only available once the page operator list has been loaded.
+ * @param {Object} page - PDF.js page proxy
+ * @param {Array} boxes - Text boxes from buildTextBoxes
+ */
+function resolveTextBoxFonts(page, boxes) {
+  const names = new Map();
+  for (const box of boxes) {
+    if (!names.has(box.fontName)) {
+      let name = box.fontName;
+      // Fonts that failed to load resolve to their error message, which has no name
+      if (page.commonObjs.has(box.fontName)) {
+        name = page.commonObjs.get(box.fontName)?.name || name;
+      }
+      names.set(box.fontName, name);
+    }
+    box.fontName = names.get(box.fontName);
+  }
+}
+
+/**
+ * Options shared by the extraction functions (extractPdfData, extractPdfDataStreaming,
+ * extractPdfStats, extractPdfSmart)
+ * @typedef {Object} ExtractOptions
+ * @property {boolean} [includePages] - Whether to return per-page results in `pageResults`
+ * @property {boolean} [includeAnnotations] - Add `annotations` and `fields` of each page to `pageResults` (default: false)
+ * @property {string} [textMode] - Text reconstruction: 'plain' (default), 'lines' or 'layout'
+ * @property {string} [countingMode] - Image/vector counting: 'operators' (default), 'unique' or 'resources'
+ * @property {number[]|string} [pages] - Pages to process, as numbers or a range string ("1-3,7")
+ * @property {number} [firstPage] - First page to process (default: 1)
+ * @property {number} [lastPage] - Last page to process (default: last page)
+ * @property {Function} [pageFilter] - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @property {boolean} [rangeLoading] - Read file paths lazily in ranges instead of all at once (default: false)
+ * @property {number} [rangeChunkSize] - Range chunk size in bytes (default: 65536)
+ * @property {string} [password] - Password for encrypted documents
+ * @property {Function} [onPassword] - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @property {AbortSignal} [signal] - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @property {number} [timeoutMs] - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @property {number} [maxMemoryMB] - RSS budget in MB, checked after every page; releases pdf.js caches and then rejects with MemoryLimitError (default: 0 = none)
+ * @property {boolean} [telemetry] - Report peak memory, page timings and the modes used in `telemetry` (default: false)
+ * @property {boolean} [tolerant] - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @property {Object} [cache] - Result cache from createPdfCache
+ */
+
+/**
+ * Memory-efficient PDF data extraction
+ * Processes document page-by-page without loading entire PDF into memory
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {ExtractOptions} options - Processing options
+ * @returns {Promise<{text: string, imageCount: number, vectorCount: number, processedPages: number[], pageResults?: Array, warnings?: Array, telemetry?: Object}>}
+ */
+export async function extractPdfData(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const {
+    includePages = false,
+    includeAnnotations = false,
+    textMode = 'plain',
+    countingMode = 'operators',
+    tolerant = false
+  } = options;
+  assertTextMode(textMode);
+  assertCountingMode(countingMode);
+  const abortScope = createAbortScope(options);
+  const budget = createMemoryBudget(options);
+  const cacheEntry = await openCacheEntry('extractPdfData', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  
+  // Load PDF file as buffer
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  const counter = createGraphicsCounter(countingMode, abortScope);
+  
+  let fullText = '';
+  const pageResults = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const { imageCount: totalImages, vectorCount: totalVectors } = counter.totals();
+    const result = {
+      text: fullText.trim(),
+      imageCount: totalImages,
+      vectorCount: totalVectors,
+      processedPages: [...processedPages]
+    };
+    if (includePages) result.pageResults = pageResults;
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    if (budget.enabled) result.telemetry = budget.getStats(counter);
+    return result;
+  };
+  
+  // Process pages sequentially, not all at once
+  for (const pageNum of pageNumbers) {
+    await abortScope.checkpoint(pdf, buildResult);
+    budget.startPage();
+    let page = null;
+    let pageText, textItemCount, imageCount, vectorCount;
+    let pageAnnotations = null;
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      // Extract text with minimal memory allocation
+      const textContent = await abortScope.run(page.getTextContent({
+        disableCombineTextItems: true,
+        includeMarkedContent: false
+      }));
+      pageText = buildPageText(textContent.items, textMode);
+      textItemCount = textContent.items.length;
+      
+      // Free textContent from memory
+      textContent.items = null;
+      
+      // Count images and vectors (operator list is freed right away)
+      ({ imageCount, vectorCount } = await counter.countPage(page));
+      
+      if (includePages && includeAnnotations) {
+        pageAnnotations = await collectPageAnnotations(pdf, page, pageNum);
+      }
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    fullText += pageText + '\n';
+    
+    if (includePages) {
+      pageResults.push({
+        pageNum,
+        text: pageText.trim(),
+        imageCount,
+        vectorCount,
+        textItemCount,
+        ...getPageGeometry(page),
+        ...pageAnnotations
+      });
+    }
+    
+    // Free memory after processing page
+    page.cleanup();
+    processedPages.push(pageNum);
+    
+    await budget.endPage(pageNum, { pdf, getPartial: buildResult });
+  }
+  
+  // Destroy document
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult());
+}
+
+/**
+ * Counts graphic objects in PDF operations
+ * @param {Object} ops - Operator list from PDF page
+ * @returns {{imageCount: number, vectorCount: number}}
+ */
+function countGraphicsObjects(ops) {
+  let imageCount = 0;
+  let vectorCount = 0;
+  
+  const fnArray = ops.fnArray;
+  
+  // PDF operators for different object types
+  const IMAGE_OPS = [
+    pdfjsLib.OPS.paintImageXObject,
+    pdfjsLib.OPS.paintInlineImageXObject,
+    pdfjsLib.OPS.paintImageMaskXObject
+  ];
+  
+  // Vector operators (drawing paths, lines, curves)
+  const VECTOR_OPS = [
+    pdfjsLib.OPS.stroke,
+    pdfjsLib.OPS.fill,
+    pdfjsLib.OPS.eoFill,
+    pdfjsLib.OPS.fillStroke,
+    pdfjsLib.OPS.eoFillStroke,
+    pdfjsLib.OPS.closePath,
+    pdfjsLib.OPS.rectangle,
+    pdfjsLib.OPS.moveTo,
+    pdfjsLib.OPS.lineTo,
+    pdfjsLib.OPS.curveTo,
+    pdfjsLib.OPS.curveTo2,
+    pdfjsLib.OPS.curveTo3,
+    pdfjsLib.OPS.constructPath
+  ];
+  
+  // Helper variables for tracking vector sequences
+  let inVectorSequence = false;
+  for (let i = 0; i < fnArray.length; i++) {
+    const op = fnArray[i];
+
+    // Detect images
+    if (IMAGE_OPS.includes(op)) {
+      imageCount++;
+      inVectorSequence = false;
+    }
+    // Detect vectors - count only unique vector objects
+    else if (VECTOR_OPS.includes(op)) {
+      if(op === pdfjsLib.OPS.constructPath){
+        vectorCount++;
+        inVectorSequence = false;
+      }
+      if ([pdfjsLib.OPS.stroke, pdfjsLib.OPS.fill, pdfjsLib.OPS.eoFill, pdfjsLib.OPS.fillStroke, pdfjsLib.OPS.eoFillStroke].includes(op)) {
+        // These operators terminate a vector object
+        if (inVectorSequence) {
+          vectorCount++;
+          inVectorSequence = false;
+        }
+      } else {
+        // Start or continuation of vector object
+        inVectorSequence = true;
+      }
+    }
+  }
+  
+  // If vector sequence remained open
+  if (inVectorSequence) {
+    vectorCount++;
+  }
+  
+  return { imageCount, vectorCount };
+}
+
+// Supported image/vector counting modes
+const COUNTING_MODES = ['operators', 'resources', 'unique'];
+
+/**
+ * Validates the countingMode option
+ * @param {string} countingMode - Requested counting mode
+ */
+function assertCountingMode(countingMode) {
+  if (!COUNTING_MODES.includes(countingMode)) {
+    throw new TypeError(`countingMode must be one of ${COUNTING_MODES.join(', ')}, got ${countingMode}`);
+  }
+}
+
+/**
+ * Opens an object reader (pdf-objects.js) for a document opened by openPdfDocument
+ * @param {Object} pdf - PDF.js document proxy
+ * @returns {Promise<Object>} Reader reading the same bytes pdf.js got, decrypted with the accepted password
+ */
+async function openDocumentObjects(pdf) {
+  const entry = documentByteSources.get(pdf);
+  // Stream sources are only held by pdf.js
+  entry.source ??= new MemoryRangeTransport(await pdf.getData());
+  return openObjectReader(entry.source, { password: entry.password });
+}
+
+/**
+ * Collects the Pattern and Shading resources painted by an operator list
+ * Shading ids are assigned per page by pdf.js; tiling patterns have no id and count per use.
+ * @param {Object} ops - Operator list from PDF page
+ * @param {number} pageNum - Page number
+ * @returns {Set<string>}
+ */
+function collectPaintedPatterns(ops, pageNum) {
+  const patterns = new Set();
+  const { fnArray, argsArray } = ops;
+  
+  for (let i = 0; i < fnArray.length; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+    if (fn === pdfjsLib.OPS.shadingFill) {
+      patterns.add(args[0]);
+    } else if (fn === pdfjsLib.OPS.setFillColorN || fn === pdfjsLib.OPS.setStrokeColorN) {
+      // ['Shading', id, matrix] or ['TilingPattern', color, operatorList, ...]
+      if (args[0] === 'Shading') patterns.add(args[1]);
+      else if (args[0] === 'TilingPattern') patterns.add(`${pageNum}/tiling/${i}`);
+    }
+  }
+  
+  return patterns;
+}
+
+/**
+ * Creates an image/vector counter for one extraction run
+ * 
+ * Counting modes:
+ * - 'operators': drawing operations (countGraphicsObjects); every image placement and
+ *   painted path counts, so an image drawn three times counts three times
+ * - 'unique': like 'operators', but each image object counts once per page and once
+ *   in the document total (inline images count per placement)
+ * - 'resources': distinct image objects and Pattern/Shading resources painted on the
+ *   page, each once per page and once in the document total. Painted paths are not counted.
+ * 
+ * Images are identified by their pdf.js object id. pdf.js gives an image a document-wide
+ * id once it has been drawn on a second page, so the document total can count an image
+ * shared between pages twice; shading ids are assigned per page.
+ * 
+ * @param {string} countingMode - 'operators', 'resources' or 'unique'
+ * @param {Object} abortScope - Cancellation scope of the caller
+ * @returns {{countPage: Function, totals: Function, mode: string}}
+ */
+function createGraphicsCounter(countingMode, abortScope) {
+  const mode = countingMode;
+  const documentImages = new Set();
+  const documentVectors = new Set();
+  let totalImages = 0;
+  let totalVectors = 0;
+  
+  return {
+    /**
+     * Counts images and vectors of a page
+     * @param {Object} page - PDF.js page proxy
+     * @returns {Promise<{imageCount: number, vectorCount: number}>}
+     */
+    async countPage(page) {
+      const ops = await abortScope.run(page.getOperatorList({
+        intent: 'display',
+        annotationMode: pdfjsLib.AnnotationMode.DISABLE
+      }));
+      const counts = countGraphicsObjects(ops);
+      
+      if (mode === 'operators') {
+        ops.fnArray = null;
+        ops.argsArray = null;
+        totalImages += counts.imageCount;
+        totalVectors += counts.vectorCount;
+        return counts;
+      }
+      
+      const pageImages = new Set();
+      collectImagePlacements(ops).forEach(({ objId }, i) => {
+        pageImages.add(objId ?? `${page.pageNumber}/inline/${i}`);
+      });
+      pageImages.forEach(key => documentImages.add(key));
+      
+      let vectorCount = counts.vectorCount;
+      if (mode === 'resources') {
+        const patterns = collectPaintedPatterns(ops, page.pageNumber);
+        patterns.forEach(key => documentVectors.add(key));
+        vectorCount = patterns.size;
+      } else {
+        totalVectors += vectorCount;
+      }
+      ops.fnArray = null;
+      ops.argsArray = null;
+      
+      return { imageCount: pageImages.size, vectorCount };
+    },
+    
+    /**
+     * Document totals for the pages counted so far
+     * @returns {{imageCount: number, vectorCount: number}}
+     */
+    totals() {
+      // 'operators' sums placements, the other modes collect unique keys. Paths have no
+      // identity, so drawn vectors are summed.
+      return {
+        imageCount: totalImages + documentImages.size,
+        vectorCount: totalVectors + documentVectors.size
+      };
+    },
+    
+    /**
+     * Counting mode in use
+     * @returns {string}
+     */
+    get mode() {
+      return mode;
+    }
+  };
+}
+
+/**
+ * Alternative method for streaming processing of large PDFs
+ * Uses callback for progressive page processing
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {ExtractOptions} options - Processing options
+ * @param {Function} options.onPageProcessed - Callback called after processing each page
+ * @param {boolean} options.extractText - Whether to extract text (true) or just statistics (false)
+ * @param {string|boolean} options.textBoxes - Return positioned text boxes per page: 'runs', 'words' or false (default)
+ * @param {number} options.textBoxScale - Viewport scale for the top-left pixel boxes (default: 1 = 72 DPI)
+ * @returns {Promise<{text: string, imageCount: number, vectorCount: number, processedPages: number[], pageResults?: Array, warnings?: Array, telemetry?: Object}>}
+ */
+export async function extractPdfDataStreaming(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const {
+    onPageProcessed = null,
+    extractText = true,
+    includePages = false,
+    includeAnnotations = false,
+    textMode = 'plain',
+    textBoxes = false,
+    textBoxScale = 1,
+    countingMode = 'operators',
+    tolerant = false
+  } = options;
+  assertTextMode(textMode);
+  assertTextBoxMode(textBoxes);
+  assertCountingMode(countingMode);
+  const abortScope = createAbortScope(options);
+  const budget = createMemoryBudget(options);
+  const cacheEntry = await openCacheEntry('extractPdfDataStreaming', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  const counter = createGraphicsCounter(countingMode, abortScope);
+  
+  const textChunks = [];
+  const pageResults = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const { imageCount: totalImages, vectorCount: totalVectors } = counter.totals();
+    const result = {
+      text: extractText ? textChunks.join('\n').trim() : '',
+      imageCount: totalImages,
+      vectorCount: totalVectors,
+      processedPages: [...processedPages]
+    };
+    if (includePages) result.pageResults = pageResults;
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    if (budget.enabled) result.telemetry = budget.getStats(counter);
+    return result;
+  };
+  
+  for (const pageNum of pageNumbers) {
+    await abortScope.checkpoint(pdf, buildResult);
+    budget.startPage();
+    let page = null;
+    let pageText = '';
+    let textItemCount = 0;
+    let pageTextBoxes = null;
+    let pageAnnotations = null;
+    let imageCount, vectorCount;
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      // Extract text only if requested
+      if (extractText) {
+        const textContent = await abortScope.run(page.getTextContent({
+          disableCombineTextItems: true,
+          includeMarkedContent: false
+        }));
+        pageText = buildPageText(textContent.items, textMode);
+        textItemCount = textContent.items.length;
+        if (textBoxes) {
+          pageTextBoxes = buildTextBoxes(textContent, pageNum, page.getViewport({ scale: textBoxScale }), textBoxes);
+        }
+        textContent.items = null;
+      }
+      
+      ({ imageCount, vectorCount } = await counter.countPage(page));
+      if (pageTextBoxes) resolveTextBoxFonts(page, pageTextBoxes);
+      
+      if (includePages && includeAnnotations) {
+        pageAnnotations = await collectPageAnnotations(pdf, page, pageNum);
+      }
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    if (extractText) textChunks.push(pageText);
+    
+    if (includePages) {
+      pageResults.push({
+        pageNum,
+        text: pageText.trim(),
+        imageCount,
+        vectorCount,
+        textItemCount,
+        ...getPageGeometry(page),
+        ...(pageTextBoxes && { textBoxes: pageTextBoxes }),
+        ...pageAnnotations
+      });
+    }
+    
+    page.cleanup();
+    processedPages.push(pageNum);
+    
+    // Callback for monitoring progress
+    if (onPageProcessed) {
+      onPageProcessed({
+        pageNum,
+        totalPages: pdf.numPages,
+        currentImages: imageCount,
+        currentVectors: vectorCount,
+        ...(pageTextBoxes && { textBoxes: pageTextBoxes })
+      });
+    }
+    
+    await budget.endPage(pageNum, { pdf, getPartial: buildResult });
+  }
+  
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult());
+}
+
+/**
+ * True page-by-page streaming as an async iterator
+ * Yields one page result at a time without accumulating text, so memory stays
+ * bounded regardless of document size. Breaking out of the loop early
+ * destroys the document immediately.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {ExtractOptions} options - Processing options (includePages, maxMemoryMB and telemetry do not apply)
+ * @param {boolean} options.extractText - Whether to extract text (default: true)
+ * @param {string|boolean} options.textBoxes - Return positioned text boxes per page: 'runs', 'words' or false (default)
+ * @param {number} options.textBoxScale - Viewport scale for the top-left pixel boxes (default: 1 = 72 DPI)
+ * @param {boolean} options.includeAnnotations - Add `annotations` and `fields` of the page to each result (default: false)
+ * @param {boolean} options.tolerant - Skip unreadable pages instead of throwing CorruptPageError (default: false)
+ * @param {Function} options.onWarning - `({pageNum, message}) => void` called for every page skipped in tolerant mode
+ * @param {Object} options.cache - Result cache from createPdfCache; every page is stored as its own entry when it is yielded
+ * @returns {AsyncGenerator<{pageNum: number, totalPages: number, text: string, imageCount: number, vectorCount: number, textItemCount: number, width: number, height: number, rotation: number}>}
+ */
+export async function* iteratePdfPages(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const {
+    extractText = true,
+    includeAnnotations = false,
+    textMode = 'plain',
+    textBoxes = false,
+    textBoxScale = 1,
+    countingMode = 'operators',
+    tolerant = false,
+    onWarning = null
+  } = options;
+  assertTextMode(textMode);
+  assertTextBoxMode(textBoxes);
+  assertCountingMode(countingMode);
+  if (onWarning !== null && typeof onWarning !== 'function') {
+    throw new TypeError('onWarning must be a function');
+  }
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('iteratePdfPages', pdfSource, options);
+  // Every selected page is one entry `${key}-${index}` (a page result or a warning);
+  // the entry under the key itself holds the page count and is written last
+  const pageEntryKey = index => `${cacheEntry.key}-${index}`;
+  
+  // On a hit the pages are read one at a time. If one was evicted in the meantime,
+  // the remaining pages are extracted from the document again.
+  let firstIndex = 0;
+  if (cacheEntry.hit) {
+    const { pageCount } = cacheEntry.result;
+    while (firstIndex < pageCount) {
+      const entry = await cacheEntry.cache.get(pageEntryKey(firstIndex));
+      if (entry === undefined) break;
+      firstIndex++;
+      if (entry.warning) onWarning?.(entry.warning);
+      else yield entry.pageResult;
+    }
+    if (firstIndex === pageCount) return;
+  }
+  const { pdf } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  const counter = createGraphicsCounter(countingMode, abortScope);
+  
+  // finally also runs when the consumer breaks out of for-await early
+  try {
+    for (let i = firstIndex; i < pageNumbers.length; i++) {
+      const pageNum = pageNumbers[i];
+      // Pages already yielded are the partial result, so the error carries none
+      await abortScope.checkpoint(pdf);
+      let page = null;
+      let pageText = '';
+      let textItemCount = 0;
+      let pageTextBoxes = null;
+      let pageAnnotations = null;
+      let imageCount, vectorCount;
+      try {
+        page = await pdf.getPage(pageNum);
+        
+        if (extractText) {
+          const textContent = await abortScope.run(page.getTextContent({
+            disableCombineTextItems: true,
+            includeMarkedContent: false
+          }));
+          pageText = buildPageText(textContent.items, textMode);
+          textItemCount = textContent.items.length;
+          if (textBoxes) {
+            pageTextBoxes = buildTextBoxes(textContent, pageNum, page.getViewport({ scale: textBoxScale }), textBoxes);
+          }
+          textContent.items = null;
+        }
+        
+        ({ imageCount, vectorCount } = await counter.countPage(page));
+        if (pageTextBoxes) resolveTextBoxFonts(page, pageTextBoxes);
+        
+        if (includeAnnotations) {
+          pageAnnotations = await collectPageAnnotations(pdf, page, pageNum);
+        }
+      } catch (error) {
+        // The document is destroyed by finally
+        const warning = await recoverPageError(error, pageNum, { tolerant, page });
+        if (cacheEntry.enabled) await cacheEntry.cache.set(pageEntryKey(i), { warning });
+        onWarning?.(warning);
+        continue;
+      }
+      
+      const pageResult = {
+        pageNum,
+        totalPages: pdf.numPages,
+        text: pageText.trim(),
+        imageCount,
+        vectorCount,
+        textItemCount,
+        ...getPageGeometry(page),
+        ...(pageTextBoxes && { textBoxes: pageTextBoxes }),
+        ...pageAnnotations
+      };
+      
+      // Release page resources before handing control to the consumer
+      page.cleanup();
+      // Serialized right away, so the consumer may modify the result
+      if (cacheEntry.enabled) await cacheEntry.cache.set(pageEntryKey(i), { pageResult });
+      
+      yield pageResult;
+    }
+    await cacheEntry.save({ pageCount: pageNumbers.length });
+  } finally {
+    await destroyDocument(pdf);
+  }
+}
+
+/**
+ * Object-mode Readable stream of per-page results for use in stream.pipeline()
+ * Pages are processed only as fast as the consumer reads them (back-pressure),
+ * and destroying the stream destroys the document.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Processing options (same as iteratePdfPages)
+ * @param {number} options.highWaterMark - Number of page results buffered ahead of the consumer (default: 1)
+ * @returns {Readable}
+ */
+export function createPdfPageStream(pdfSource, options = {}) {
+  const { highWaterMark = 1 } = options;
+  return Readable.from(iteratePdfPages(pdfSource, options), {
+    objectMode: true,
+    highWaterMark
+  });
+}
+
+/**
+ * Ultra-RAM optimized extraction with statistics only
+ * Operator lists are released as soon as the page is counted
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {ExtractOptions} options - Processing options
+ * @param {boolean} options.extractText - Whether to extract text
+ * @param {Function} options.onPageProcessed - Callback for progress
+ * @returns {Promise<{text: string, imageCount: number, vectorCount: number, pages: number, processedPages: number[], pageResults?: Array, warnings?: Array, telemetry?: Object}>}
+ */
+export async function extractPdfStats(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const {
+    extractText = true,
+    onPageProcessed = null,
+    includePages = false,
+    includeAnnotations = false,
+    textMode = 'plain',
+    countingMode = 'operators',
+    tolerant = false
+  } = options;
+  assertTextMode(textMode);
+  assertCountingMode(countingMode);
+  const abortScope = createAbortScope(options);
+  const budget = createMemoryBudget(options);
+  const cacheEntry = await openCacheEntry('extractPdfStats', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  const counter = createGraphicsCounter(countingMode, abortScope);
+  
+  let fullText = '';
+  const pageResults = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const { imageCount: totalImages, vectorCount: totalVectors } = counter.totals();
+    const result = {
+      text: fullText.trim(),
+      imageCount: totalImages,
+      vectorCount: totalVectors,
+      pages: pdf.numPages,
+      processedPages: [...processedPages]
+    };
+    if (includePages) result.pageResults = pageResults;
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    if (budget.enabled) result.telemetry = budget.getStats(counter);
+    return result;
+  };
+  
+  for (let i = 0; i < pageNumbers.length; i++) {
+    await abortScope.checkpoint(pdf, buildResult);
+    budget.startPage();
+    const pageNum = pageNumbers[i];
+    let page = null;
+    let pageText = '';
+    let textItemCount = 0;
+    let counts;
+    let pageAnnotations = null;
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      // Extract text if requested
+      if (extractText) {
+        const textContent = await abortScope.run(page.getTextContent({
+          disableCombineTextItems: true,
+          includeMarkedContent: false
+        }));
+        pageText = buildPageText(textContent.items, textMode);
+        textItemCount = textContent.items.length;
+        textContent.items = null;
+      }
+      
+      // Count images and vectors; the operator list is released right after counting
+      counts = await counter.countPage(page);
+      
+      if (includePages && includeAnnotations) {
+        pageAnnotations = await collectPageAnnotations(pdf, page, pageNum);
+      }
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    if (extractText) fullText += pageText + '\n';
+    
+    if (includePages) {
+      pageResults.push({
+        pageNum,
+        text: pageText.trim(),
+        imageCount: counts.imageCount,
+        vectorCount: counts.vectorCount,
+        textItemCount,
+        ...getPageGeometry(page),
+        ...pageAnnotations
+      });
+    }
+    
+    // Explicitně uvolnit stránku
+    page.cleanup();
+    processedPages.push(pageNum);
+    
+    if (onPageProcessed) {
+      onPageProcessed({
+        pageNum,
+        totalPages: pdf.numPages,
+        currentImages: counts.imageCount,
+        currentVectors: counts.vectorCount
+      });
+    }
+    
+    // KLÍČOVÉ: Agresivní GC po každých 5 stránkách pro minimální paměť
+    if ((i + 1) % 5 === 0 && global.gc) {
+      global.gc();
+    }
+    
+    await budget.endPage(pageNum, { pdf, getPartial: buildResult });
+  }
+  
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult());
+}
+
+// Text render modes that paint nothing (3 = invisible, 7 = clip only), used for OCR layers
+const INVISIBLE_RENDER_MODES = new Set([3, 7]);
+
+// Characters a glyph maps to when its font has no usable ToUnicode entry
+const UNMAPPED_CHAR = /[\p{Cc}\p{Co}\p{Cn}\uFFFD]/u;
+
+// Pages with less text are too short to judge and get a gibberish score of 0
+const MIN_QUALITY_CHARS = 20;
+
+// Scripts that do not mix within a word; Han and kana mix in Japanese, so they form one group
+const WORD_SCRIPTS = [
+  /\p{Script=Latin}/u,
+  /\p{Script=Greek}/u,
+  /\p{Script=Cyrillic}/u,
+  /\p{Script=Armenian}/u,
+  /\p{Script=Hebrew}/u,
+  /\p{Script=Arabic}/u,
+  /\p{Script=Devanagari}/u,
+  /\p{Script=Thai}/u,
+  /\p{Script=Hangul}/u,
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u
+];
+
+/**
+ * Limits a value to the range 0-1
+ * @param {number} value - Value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Scores how much text looks like garbage from a broken font mapping, without a language model
+ * The score is the highest of three parts, each 0-1:
+ * - characters other than letters, marks and digits above 30 % (full at 70 %)
+ * - words with a lower-case letter followed by an upper-case one ("qXzK") above 5 % (full at 30 %)
+ * - words mixing scripts, e.g. Latin and Cyrillic look-alikes (full at 20 %)
+ * @param {string} text - Page text
+ * @returns {number} 0 (clean) to 1 (gibberish)
+ */
+function scoreGibberish(text) {
+  // Dot leaders and rules (". . . .", "-----") count as one character
+  const chars = text.replace(/([^\p{L}\p{M}\p{N}\s])(?:\s*\1)+/gu, '$1').replace(/\s/g, '');
+  if (chars.length < MIN_QUALITY_CHARS) return 0;
+  
+  const wordChars = chars.match(/[\p{L}\p{M}\p{N}]/gu)?.length ?? 0;
+  const words = text.match(/[\p{L}\p{M}]{2,}/gu) || [];
+  const caseSwitches = words.filter(word => /\p{Ll}\p{Lu}/u.test(word)).length;
+  const mixedScripts = words.filter(word => WORD_SCRIPTS.filter(script => script.test(word)).length > 1).length;
+  const wordCount = Math.max(1, words.length);
+  
+  return Math.max(
+    clamp01((0.7 - wordChars / chars.length) / 0.4),
+    clamp01((caseSwitches / wordCount - 0.05) / 0.25),
+    clamp01(mixedScripts / wordCount / 0.2)
+  );
+}
+
+/**
+ * Measures text content items: character count, gibberish score and text drawn twice
+ * at the same position (e.g. an OCR layer over real text, or fake bold)
+ * @param {Array} items - Text content items
+ * @returns {{charCount: number, gibberishScore: number, duplicateTextRatio: number}}
+ */
+function measureTextItems(items) {
+  const seen = new Set();
+  let text = '';
+  let charCount = 0;
+  let duplicateChars = 0;
+  
+  for (const item of items) {
+    const chars = item.str?.replace(/\s/g, '').length ?? 0;
+    if (chars === 0) continue;
+    
+    const key = `${item.str}|${Math.round(item.transform[4])}|${Math.round(item.transform[5])}`;
+    if (seen.has(key)) {
+      duplicateChars += chars;
+    } else {
+      seen.add(key);
+    }
+    charCount += chars;
+    text += item.str + ' ';
+  }
+  
+  return {
+    charCount,
+    gibberishScore: parseFloat(scoreGibberish(text).toFixed(3)),
+    duplicateTextRatio: charCount > 0 ? parseFloat((duplicateChars / charCount).toFixed(3)) : 0
+  };
+}
+
+/**
+ * Inspects the glyphs drawn by a page: how many are invisible and how many
+ * have no Unicode mapping (control, private-use or unassigned characters)
+ * @param {Object} ops - Operator list from PDF page
+ * @returns {{glyphCount: number, unmappedRatio: number, invisibleTextRatio: number, fontIds: Set<string>}}
+ */
+function inspectTextOperators(ops) {
+  const { OPS } = pdfjsLib;
+  const stack = [];
+  const fontIds = new Set();
+  let renderMode = 0;
+  let glyphCount = 0;
+  let unmapped = 0;
+  let invisible = 0;
+  
+  for (let i = 0; i < ops.fnArray.length; i++) {
+    const fn = ops.fnArray[i];
+    const args = ops.argsArray[i];
+    
+    // The render mode is part of the graphics state
+    if (fn === OPS.save || fn === OPS.paintFormXObjectBegin) {
+      stack.push(renderMode);
+    } else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) {
+      renderMode = stack.pop() ?? renderMode;
+    } else if (fn === OPS.setTextRenderingMode) {
+      renderMode = args[0];
+    } else if (fn === OPS.setFont) {
+      fontIds.add(args[0]);
+    } else if (fn === OPS.showText || fn === OPS.showSpacedText) {
+      for (const glyph of args[0]) {
+        // Numbers are spacing adjustments
+        if (!glyph || typeof glyph === 'number' || glyph.isSpace) continue;
+        glyphCount++;
+        if (INVISIBLE_RENDER_MODES.has(renderMode)) invisible++;
+        if (!glyph.unicode || UNMAPPED_CHAR.test(glyph.unicode)) unmapped++;
+      }
+    }
+  }
+  
+  return {
+    glyphCount,
+    unmappedRatio: glyphCount > 0 ? parseFloat((unmapped / glyphCount).toFixed(3)) : 0,
+    invisibleTextRatio: glyphCount > 0 ? parseFloat((invisible / glyphCount).toFixed(3)) : 0,
+    fontIds
+  };
+}
+
+/**
+ * Describes the fonts a page uses
+ * Fonts are only available once the page operator list has been loaded. Fonts that
+ * pdf.js could not load (their text is missing) keep the internal id as name and
+ * carry the reason in `loadError`.
+ * @param {Object} page - PDF.js page proxy
+ * @param {Set<string>} fontIds - Internal pdf.js font ids from inspectTextOperators
+ * @returns {Array<{name: string, embedded: boolean, subset: boolean, type3: boolean, loadError: string|null}>}
+ */
+function describePageFonts(page, fontIds) {
+  const fonts = [];
+  for (const fontId of fontIds) {
+    let font;
+    try {
+      if (!page.commonObjs.has(fontId)) continue;
+      font = page.commonObjs.get(fontId);
+    } catch (e) {
+      continue;
+    }
+    // pdf.js resolves fonts that failed to load with the error message
+    if (typeof font === 'string') {
+      fonts.push({ name: fontId, embedded: false, subset: false, type3: false, loadError: font });
+      continue;
+    }
+    const name = font.name || fontId;
+    fonts.push({
+      name,
+      embedded: Boolean(font.isType3Font || !font.missingFile),
+      // Subset fonts are named with a six-letter tag, e.g. ABCDEF+Arial
+      subset: /^[A-Z]{6}\+/.test(name),
+      type3: Boolean(font.isType3Font),
+      loadError: null
+    });
+  }
+  return fonts;
+}
+
+const PDF_PAGE_TYPES = ['text', 'scan', 'vector'];
+
+/**
+ * Default thresholds and confidence formulas used by analyzePdfType
+ * Confidence for a type is min(max, base + value / reference * weight), where value is
+ * the image count (scan), vector count (vector) or text item count (text)
+ */
+const DEFAULT_CLASSIFIER = {
+  // Pages with fewer text items can be scans or vector drawings
+  maxTextItems: 30,
+  // More images per page is probably a detection error, not a scan
+  maxScanImages: 100,
+  // Images larger than this in both dimensions (pixels) set the largeImage signal
+  largeImageSize: 1000,
+  // Pages whose text scores at least this (0-1) count as pages without text
+  maxGibberishScore: 0.5,
+  // Same for pages where at least this share of glyphs has no Unicode mapping
+  maxUnmappedRatio: 0.1,
+  confidence: {
+    scan: { base: 0.7, weight: 0.25, reference: 100, max: 0.95 },
+    vector: { base: 0.7, weight: 0.2, reference: 10, max: 0.9 },
+    text: { base: 0.6, weight: 0.3, reference: 100, max: 0.9 }
+  }
+};
+
+/**
+ * Merges a partial classifier config over the defaults and validates it
+ * @param {Object} config - Partial classifier config
+ * @returns {Object} Complete classifier config
+ */
+function resolveClassifierConfig(config = {}) {
+  const resolved = {
+    ...DEFAULT_CLASSIFIER,
+    ...config,
+    confidence: { ...DEFAULT_CLASSIFIER.confidence }
+  };
+  for (const pageType of PDF_PAGE_TYPES) {
+    resolved.confidence[pageType] = { ...DEFAULT_CLASSIFIER.confidence[pageType], ...config.confidence?.[pageType] };
+  }
+  
+  const numbers = [
+    ['maxTextItems', resolved.maxTextItems],
+    ['maxScanImages', resolved.maxScanImages],
+    ['largeImageSize', resolved.largeImageSize],
+    ['maxGibberishScore', resolved.maxGibberishScore],
+    ['maxUnmappedRatio', resolved.maxUnmappedRatio]
+  ];
+  for (const pageType of PDF_PAGE_TYPES) {
+    for (const [key, value] of Object.entries(resolved.confidence[pageType])) {
+      numbers.push([`confidence.${pageType}.${key}`, value]);
+    }
+  }
+  for (const [key, value] of numbers) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new TypeError(`classifier.${key} must be a finite number, got ${value}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Text items that count as text: invisible text (OCR layers) and garbled text layers do not
+ * @param {Object} signals - Page signals
+ * @param {Object} config - Complete classifier config
+ * @returns {number}
+ */
+function countTextItems(signals, config) {
+  const { gibberishScore = 0, unmappedRatio = 0, invisibleTextRatio = 0 } = signals;
+  const garbled = gibberishScore >= config.maxGibberishScore || unmappedRatio >= config.maxUnmappedRatio;
+  return garbled ? 0 : signals.textItems * (1 - invisibleTextRatio);
+}
+
+/**
+ * Classifies page signals (or per-page averages) as scan, vector or text
+ * @param {{textItems: number, imageCount: number, vectorCount: number, gibberishScore: number, unmappedRatio: number, invisibleTextRatio: number}} signals - Page signals
+ * @param {Object} config - Complete classifier config
+ * @returns {{type: string, confidence: number}}
+ */
+function classifySignals(signals, config = DEFAULT_CLASSIFIER) {
+  const { imageCount, vectorCount } = signals;
+  const textItems = countTextItems(signals, config);
+  const score = (pageType, value) => {
+    const { base, weight, reference, max } = config.confidence[pageType];
+    return Math.min(max, base + (value / reference) * weight);
+  };
+  
+  // SCAN: low or near-zero text and some images
+  // Important: ignore too many images (probably detection error)
+  if (textItems < config.maxTextItems && imageCount > 0 && imageCount <= config.maxScanImages) {
+    return { type: 'scan', confidence: score('scan', imageCount) };
+  }
+  // VECTOR: low or near-zero text, 0 images and vectors > 0
+  if (textItems < config.maxTextItems && imageCount === 0 && vectorCount > 0) {
+    return { type: 'vector', confidence: score('vector', vectorCount) };
+  }
+  // TEXT: anything else (default)
+  // - lots of text
+  // - or no images and vectors
+  return { type: 'text', confidence: score('text', textItems) };
+}
+
+/**
+ * Builds the page classifier from the `classifier` option: a partial config object, or a
+ * function `(signals, defaultResult) => {type, confidence}` replacing the built-in rules
+ * @param {Object|Function} classifier - Classifier option
+ * @returns {{config: Object, classify: Function}}
+ */
+function createClassifier(classifier) {
+  if (classifier === undefined || classifier === null) {
+    return { config: DEFAULT_CLASSIFIER, classify: signals => classifySignals(signals) };
+  }
+  if (typeof classifier === 'object') {
+    const config = resolveClassifierConfig(classifier);
+    return { config, classify: signals => classifySignals(signals, config) };
+  }
+  if (typeof classifier !== 'function') {
+    throw new TypeError('classifier must be a config object or a function');
+  }
+  
+  return {
+    config: DEFAULT_CLASSIFIER,
+    classify: signals => {
+      const result = classifier({ ...signals }, classifySignals(signals));
+      if (!result || !PDF_PAGE_TYPES.includes(result.type) || !Number.isFinite(result.confidence)) {
+        throw new TypeError("classifier must return {type: 'text'|'scan'|'vector', confidence: number}");
+      }
+      return { type: result.type, confidence: result.confidence };
+    }
+  };
+}
+
+/**
+ * Classifies a document from the signals of its analyzed pages
+ * Pages are averaged for the document type; pages of different types make it 'mixed'
+ * @param {Array<{pageNum: number, signals: Object}>} pages - Analyzed pages with their signals
+ * @param {Function} classify - Page classifier from createClassifier
+ * @returns {{type: string, confidence: number, pageTypes: Array, pageRanges: Object, averages: Object}}
+ */
+function classifyDocument(pages, classify) {
+  const pageTypes = pages.map(({ pageNum, signals }) => ({ pageNum, ...classify(signals), signals }));
+  
+  const count = Math.max(1, pages.length);
+  const averages = {
+    textItems: 0,
+    imageCount: 0,
+    vectorCount: 0,
+    largeImageRatio: 0,
+    gibberishScore: 0,
+    unmappedRatio: 0,
+    invisibleTextRatio: 0
+  };
+  for (const { signals } of pages) {
+    averages.textItems += signals.textItems / count;
+    averages.imageCount += signals.imageCount / count;
+    averages.vectorCount += signals.vectorCount / count;
+    if (signals.largeImage) averages.largeImageRatio += 1 / count;
+    averages.gibberishScore += (signals.gibberishScore ?? 0) / count;
+    averages.unmappedRatio += (signals.unmappedRatio ?? 0) / count;
+    averages.invisibleTextRatio += (signals.invisibleTextRatio ?? 0) / count;
+  }
+  
+  let { type, confidence } = classify({
+    textItems: averages.textItems,
+    imageCount: averages.imageCount,
+    vectorCount: averages.vectorCount,
+    largeImage: averages.largeImageRatio >= 0.5,
+    gibberishScore: averages.gibberishScore,
+    unmappedRatio: averages.unmappedRatio,
+    invisibleTextRatio: averages.invisibleTextRatio
+  });
+  
+  // Pages of different types make the document mixed
+  const pageRanges = {};
+  for (const pageType of PDF_PAGE_TYPES) {
+    const pageNumbers = pageTypes.filter(p => p.type === pageType).map(p => p.pageNum);
+    if (pageNumbers.length > 0) pageRanges[pageType] = formatPageRanges(pageNumbers);
+  }
+  if (Object.keys(pageRanges).length > 1) {
+    type = 'mixed';
+    confidence = pageTypes.reduce((sum, p) => sum + p.confidence, 0) / pageTypes.length;
+  }
+  
+  return { type, confidence, pageTypes, pageRanges, averages };
+}
+
+/**
+ * Page signals taken from an operator list: image and vector counts, large
+ * images, and invisible or unmapped text
+ * The operator list is left intact; pdf.js hands the same list to later callers.
+ * @param {Object} ops - Operator list from PDF page
+ * @param {Object} config - Complete classifier config
+ * @returns {{imageCount: number, vectorCount: number, largeImage: boolean, unmappedRatio: number, invisibleTextRatio: number}}
+ */
+function measureOperatorSignals(ops, config) {
+  const { imageCount, vectorCount } = countGraphicsObjects(ops);
+  
+  // Scans are recognized by large images; the pixel size is in the operator arguments
+  const largeImage = collectImagePlacements(ops).some(
+    ({ width, height }) => width > config.largeImageSize && height > config.largeImageSize
+  );
+  
+  // Invisible or unmapped text (OCR layers, broken ToUnicode maps)
+  const { unmappedRatio, invisibleTextRatio } = inspectTextOperators(ops);
+  
+  return { imageCount, vectorCount, largeImage, unmappedRatio, invisibleTextRatio };
+}
+
+/**
+ * Ultra-RAM efficient PDF document type analysis
+ * Detects whether PDF is a scan, vector document, or pure text, classifying each
+ * analyzed page separately; documents whose pages differ are reported as 'mixed'
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Analysis options
+ * @param {number} options.samplePages - Number of pages to analyze (default: 5)
+ * @param {boolean} options.allPages - Analyze every selected page instead of a sample (default: false)
+ * @param {number[]|string} options.pages - Pages to consider, as numbers or a range string ("1-3,7")
+ * @param {number} options.firstPage - First page to consider (default: 1)
+ * @param {number} options.lastPage - Last page to consider (default: last page)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {Object|Function} options.classifier - Partial threshold config, or `(signals, defaultResult) => {type, confidence}`
+ * @param {boolean} options.tolerant - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{type: string, confidence: number, stats: Object, pageTypes: Array, pageRanges: Object, encryption: Object, warnings?: Array}>}
+ */
+export async function analyzePdfType(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const { samplePages = 5, allPages = false, tolerant = false } = options;
+  const { config, classify } = createClassifier(options.classifier);
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('analyzePdfType', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport, encryptDict } = await openPdfDocument(cacheEntry.source, { ...options, abortScope, inspectEncryption: true });
+  const encryption = await getEncryptionInfo(pdf, encryptDict);
+  const selectedPages = await selectPages(pdf, options);
+  
+  const analyzedPages = [];
+  const warnings = [];
+  
+  // Analyze only a sample of pages for maximum RAM efficiency
+  const pagesToAnalyze = allPages ? selectedPages.length : Math.min(samplePages, selectedPages.length);
+  const step = Math.max(1, Math.floor(selectedPages.length / pagesToAnalyze));
+  
+  // Classification of the pages analyzed so far (also the partial result on abort)
+  const buildResult = () => {
+    const { type, confidence, pageTypes, pageRanges, averages } = classifyDocument(analyzedPages, classify);
+    const avgImagesPerPage = averages.imageCount;
+    const avgTextPerPage = averages.textItems;
+    const avgVectorsPerPage = averages.vectorCount;
+    const largeImageRatio = averages.largeImageRatio;
+    
+    const result = {
+      type,
+      confidence,
+      stats: {
+        totalPages: pdf.numPages,
+        sampledPages: analyzedPages.length,
+        avgImagesPerPage: parseFloat(avgImagesPerPage.toFixed(2)),
+        avgVectorsPerPage: parseFloat(avgVectorsPerPage.toFixed(2)),
+        avgTextItemsPerPage: parseFloat(avgTextPerPage.toFixed(2)),
+        largeImageRatio: parseFloat(largeImageRatio.toFixed(2)),
+        estimatedTotalImages: Math.round(avgImagesPerPage * pdf.numPages),
+        estimatedTotalVectors: Math.round(avgVectorsPerPage * pdf.numPages)
+      },
+      pageTypes,
+      pageRanges,
+      encryption
+    };
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    return result;
+  };
+  
+  for (let i = 0; i < pagesToAnalyze; i++) {
+    await abortScope.checkpoint(pdf, buildResult);
+    const pageNum = selectedPages[Math.min(i * step, selectedPages.length - 1)];
+    let page = null;
+    let textItems, gibberishScore;
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      // Text analysis - low RAM usage
+      const textContent = await abortScope.run(page.getTextContent({
+        disableCombineTextItems: true,
+        includeMarkedContent: false
+      }));
+      textItems = textContent.items.length;
+      ({ gibberishScore } = measureTextItems(textContent.items));
+      textContent.items = null;
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    
+    let imageCount = 0;
+    let vectorCount = 0;
+    let largeImage = false;
+    let unmappedRatio = 0;
+    let invisibleTextRatio = 0;
+    
+    // Pro přesnou detekci použijeme getOperatorList
+    // Analýza jen 5 stránek = minimální spotřeba RAM
+    try {
+      const ops = await abortScope.run(page.getOperatorList({
+        intent: 'display',
+        annotationMode: pdfjsLib.AnnotationMode.DISABLE
+      }));
+      
+      ({ imageCount, vectorCount, largeImage, unmappedRatio, invisibleTextRatio } = measureOperatorSignals(ops, config));
+      
+      // Explicitně uvolnit operator list
+      ops.fnArray = null;
+      ops.argsArray = null;
+      if (ops.commonObjs) ops.commonObjs = null;
+      if (ops.objs) ops.objs = null;
+    } catch (e) {
+      // Pokud analýza selže, pokračujeme
+    }
+    
+    analyzedPages.push({
+      pageNum,
+      signals: { textItems, imageCount, vectorCount, largeImage, gibberishScore, unmappedRatio, invisibleTextRatio }
+    });
+    
+    page.cleanup();
+    
+    // GC po každé stránce pro minimální RAM
+    if (global.gc) {
+      global.gc();
+    }
+  }
+  
+  await destroyDocument(pdf);
+  
+  // Document type classification
+  return cacheEntry.save(buildResult());
+}
+
+/**
+ * Text-quality diagnostics for detecting garbage text layers
+ * Reports per page the fonts used, the share of glyphs without a Unicode mapping,
+ * the share of invisible text (OCR layers), text drawn twice and a language-agnostic
+ * gibberish score. `needsOcr` marks pages whose text is garbled, and pages with
+ * images but (almost) no text.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Processing options
+ * @param {number} options.maxGibberishScore - Pages scoring at least this need OCR (default: 0.5)
+ * @param {number} options.maxUnmappedRatio - Pages with at least this share of unmapped glyphs need OCR (default: 0.1)
+ * @param {number[]|string} options.pages - Pages to process, as numbers or a range string ("1-3,7")
+ * @param {number} options.firstPage - First page to process (default: 1)
+ * @param {number} options.lastPage - Last page to process (default: last page)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {boolean} options.tolerant - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{pageReports: Array, fonts: Array, needsOcr: boolean, needsOcrPages: number[], pages: number, processedPages: number[], warnings?: Array}>}
+ */
+export async function analyzePdfTextQuality(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const {
+    maxGibberishScore = DEFAULT_CLASSIFIER.maxGibberishScore,
+    maxUnmappedRatio = DEFAULT_CLASSIFIER.maxUnmappedRatio,
+    tolerant = false
+  } = options;
+  for (const [name, value] of [['maxGibberishScore', maxGibberishScore], ['maxUnmappedRatio', maxUnmappedRatio]]) {
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+      throw new RangeError(`${name} must be a number between 0 and 1, got ${value}`);
+    }
+  }
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('analyzePdfTextQuality', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  
+  const pageReports = [];
+  const fonts = new Map();
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const needsOcrPages = pageReports.filter(report => report.needsOcr).map(report => report.pageNum);
+    const result = {
+      pageReports,
+      fonts: [...fonts.values()],
+      needsOcr: needsOcrPages.length > 0,
+      needsOcrPages,
+      pages: pdf.numPages,
+      processedPages: [...processedPages]
+    };
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    return result;
+  };
+  
+  for (const pageNum of pageNumbers) {
+    await abortScope.checkpoint(pdf, buildResult);
+    let page = null;
+    let textStats, glyphStats, imageCount, pageFonts;
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      const textContent = await abortScope.run(page.getTextContent({
+        disableCombineTextItems: true,
+        includeMarkedContent: false
+      }));
+      textStats = measureTextItems(textContent.items);
+      textContent.items = null;
+      
+      const ops = await abortScope.run(page.getOperatorList({
+        intent: 'display',
+        annotationMode: pdfjsLib.AnnotationMode.DISABLE
+      }));
+      glyphStats = inspectTextOperators(ops);
+      ({ imageCount } = countGraphicsObjects(ops));
+      ops.fnArray = null;
+      ops.argsArray = null;
+      pageFonts = describePageFonts(page, glyphStats.fontIds);
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    
+    const garbled = textStats.charCount >= MIN_QUALITY_CHARS &&
+      (textStats.gibberishScore >= maxGibberishScore || glyphStats.unmappedRatio >= maxUnmappedRatio);
+    const textless = textStats.charCount < MIN_QUALITY_CHARS && imageCount > 0;
+    
+    pageReports.push({
+      pageNum,
+      charCount: textStats.charCount,
+      glyphCount: glyphStats.glyphCount,
+      imageCount,
+      fonts: pageFonts,
+      unmappedRatio: glyphStats.unmappedRatio,
+      invisibleTextRatio: glyphStats.invisibleTextRatio,
+      duplicateTextRatio: textStats.duplicateTextRatio,
+      gibberishScore: textStats.gibberishScore,
+      needsOcr: garbled || textless
+    });
+    for (const font of pageFonts) {
+      if (!fonts.has(font.name)) fonts.set(font.name, font);
+    }
+    
+    page.cleanup();
+    processedPages.push(pageNum);
+  }
+  
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult());
+}
+
+/**
+ * Lists labeled PDFs in a folder with one subfolder per label (e.g. text/, scan/, vector/)
+ * @param {string} directory - Folder with label subfolders
+ * @returns {Promise<Array<{source: string, label: string}>>}
+ */
+async function readLabeledFolder(directory) {
+  const samples = [];
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const labels = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+  
+  for (const label of labels) {
+    const labelDir = `${directory}/${label}`;
+    const files = (await fs.promises.readdir(labelDir)).filter(name => /\.pdf$/i.test(name)).sort();
+    for (const file of files) {
+      samples.push({ source: `${labelDir}/${file}`, label });
+    }
+  }
+  return samples;
+}
+
+/**
+ * Classifies analyzed documents and scores the predictions against their labels
+ * @param {Array<{label: string, pages: Array}>} documents - Labeled documents with page signals
+ * @param {Function} classify - Page classifier from createClassifier
+ * @returns {{predictions: Array, accuracy: number, classes: Object, confusion: Object}}
+ */
+function evaluateClassifier(documents, classify) {
+  const predictions = documents.map(doc => classifyDocument(doc.pages, classify));
+  const confusion = {};
+  const classes = {};
+  let correct = 0;
+  
+  documents.forEach((doc, i) => {
+    const predicted = predictions[i].type;
+    confusion[doc.label] = confusion[doc.label] || {};
+    confusion[doc.label][predicted] = (confusion[doc.label][predicted] || 0) + 1;
+    if (predicted === doc.label) correct++;
+  });
+  
+  const labels = new Set([...documents.map(doc => doc.label), ...predictions.map(p => p.type)]);
+  for (const label of [...labels].sort()) {
+    const truePositives = confusion[label]?.[label] || 0;
+    const support = documents.filter(doc => doc.label === label).length;
+    const predicted = predictions.filter(p => p.type === label).length;
+    classes[label] = {
+      precision: predicted > 0 ? truePositives / predicted : null,
+      recall: support > 0 ? truePositives / support : null,
+      support,
+      predicted
+    };
+  }
+  
+  return { predictions, accuracy: correct / documents.length, classes, confusion };
+}
+
+/**
+ * Candidate thresholds between the observed values of one signal
+ * @param {number[]} values - Observed signal values
+ * @returns {number[]} Midpoints between neighbouring distinct values, plus both ends
+ */
+function thresholdCandidates(values) {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  const candidates = [0, sorted[sorted.length - 1] + 1];
+  for (let i = 1; i < sorted.length; i++) {
+    candidates.push(parseFloat(((sorted[i - 1] + sorted[i]) / 2).toFixed(2)));
+  }
+  return candidates;
+}
+
+/**
+ * Suggests the thresholds classifySignals uses by coordinate search over observed signals
+ * largeImageSize (applied during analysis) and the confidence formulas (which do not change
+ * the type) are kept. Ties are resolved towards the current value, so thresholds only move
+ * when it helps.
+ * @param {Array} documents - Labeled documents with page signals
+ * @param {Object} config - Complete classifier config to start from
+ * @returns {{config: Object, accuracy: number, classes: Object, confusion: Object}}
+ */
+function suggestClassifierConfig(documents, config) {
+  const signals = documents.flatMap(doc => [
+    ...doc.pages.map(page => page.signals),
+    classifyDocument(doc.pages, s => classifySignals(s, config)).averages
+  ]);
+  // Garbled-text cutoffs first, as they decide which text items maxTextItems is compared with
+  const searches = [
+    ['maxGibberishScore', () => signals.map(s => s.gibberishScore ?? 0)],
+    ['maxUnmappedRatio', () => signals.map(s => s.unmappedRatio ?? 0)],
+    ['maxTextItems', () => signals.map(s => countTextItems(s, best))],
+    ['maxScanImages', () => signals.map(s => s.imageCount)]
+  ];
+  
+  let best = config;
+  let bestAccuracy = evaluateClassifier(documents, s => classifySignals(s, best)).accuracy;
+  
+  // Two rounds, as each threshold's best value depends on the others
+  for (let round = 0; round < 2; round++) {
+    for (const [key, observedValues] of searches) {
+      for (const value of thresholdCandidates(observedValues())) {
+        const candidate = { ...best, [key]: value };
+        const accuracy = evaluateClassifier(documents, s => classifySignals(s, candidate)).accuracy;
+        const closer = Math.abs(value - config[key]) < Math.abs(best[key] - config[key]);
+        if (accuracy > bestAccuracy || (accuracy === bestAccuracy && closer)) {
+          best = candidate;
+          bestAccuracy = accuracy;
+        }
+      }
+    }
+  }
+  
+  const { accuracy, classes, confusion } = evaluateClassifier(documents, s => classifySignals(s, best));
+  return { config: best, accuracy, classes, confusion };
+}
+
+/**
+ * Measures classification quality on labeled PDFs and suggests thresholds
+ * Every PDF is analyzed once with analyzePdfType; predictions are compared with the labels
+ * (text, scan, vector or mixed) to report per-class precision and recall
+ * 
+ * @param {string|Array<{source: string|Buffer|Uint8Array, label: string}>} samples - Folder with one subfolder per label, or labeled sources
+ * @param {Object} options - Calibration options
+ * @param {Object|Function} options.classifier - Classifier to evaluate (default: built-in thresholds)
+ * @param {number} options.samplePages - Number of pages to analyze per document (default: 5)
+ * @param {boolean} options.allPages - Analyze every page instead of a sample (default: false)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Object} options.cache - Result cache for the analyzePdfType calls
+ * @param {AbortSignal} options.signal - Cancels the calibration
+ * @param {number} options.timeoutMs - Time limit for the whole calibration, 0 = none (default: 0)
+ * @returns {Promise<{documents: Array, failures: Array, accuracy: number, classes: Object, confusion: Object, suggested: Object|null}>}
+ */
+export async function calibratePdfClassifier(samples, options = {}) {
+  const { classifier, ...analyzeOptions } = options;
+  const { config, classify } = createClassifier(classifier);
+  const abortScope = createAbortScope(options);
+  
+  let labeled;
+  if (typeof samples === 'string') {
+    labeled = await readLabeledFolder(samples);
+  } else if (Array.isArray(samples)) {
+    labeled = samples;
+  } else {
+    throw new TypeError('samples must be a folder path or an array of {source, label}');
+  }
+  
+  const documents = [];
+  const failures = [];
+  
+  // Report for the documents analyzed so far (also the partial result on abort)
+  const buildReport = () => {
+    const { predictions, accuracy, classes, confusion } = evaluateClassifier(documents, classify);
+    return {
+      documents: documents.map((doc, i) => ({
+        source: doc.source,
+        label: doc.label,
+        predicted: predictions[i].type,
+        confidence: predictions[i].confidence,
+        signals: predictions[i].averages
+      })),
+      failures,
+      accuracy,
+      classes,
+      confusion,
+      // Custom classifier functions have no thresholds to tune
+      suggested: typeof classifier === 'function' ? null : suggestClassifierConfig(documents, config)
+    };
+  };
+  const buildPartial = () => (documents.length > 0 ? buildReport() : null);
+  
+  for (const [index, { source, label }] of labeled.entries()) {
+    await abortScope.checkpoint(null, buildPartial);
+    // Buffers are reported by their position in `samples`
+    const name = typeof source === 'string' ? source : `#${index}`;
+    try {
+      // Signals do not depend on the thresholds, so the analysis runs once per document
+      const analysis = await analyzePdfType(source, { ...analyzeOptions, abortScope, classifier: config });
+      documents.push({
+        source: name,
+        label,
+        pages: analysis.pageTypes.map(({ pageNum, signals }) => ({ pageNum, signals }))
+      });
+    } catch (error) {
+      if (error instanceof AbortError) {
+        error.partial = buildPartial();
+        throw error;
+      }
+      failures.push({ source: name, label, error: error.message });
+    }
+  }
+  if (documents.length === 0) {
+    throw new Error('No labeled PDF could be analyzed');
+  }
+  
+  return buildReport();
+}
+
+/**
+ * Normalizes a PDF date string (D:YYYYMMDDHHmmSSOHH'mm) or XMP date to ISO 8601
+ * @param {string|null} value - Date as stored in the document
+ * @returns {string|null} ISO 8601 date in UTC, or null if it cannot be parsed
+ */
+function normalizePdfDate(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  
+  let date = pdfjsLib.PDFDateString.toDateObject(value);
+  if (!date) {
+    // XMP dates are already ISO-like (e.g. 2024-01-02T03:04:05+01:00)
+    date = new Date(value);
+  }
+  return isNaN(date?.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Resolves an outline destination to a 1-based page number
+ * @param {Object} pdf - PDF.js document proxy
+ * @param {string|Array|null} dest - Named or explicit destination
+ * @returns {Promise<number|null>}
+ */
+async function resolveDestinationPage(pdf, dest) {
+  if (!dest) return null;
+  
+  try {
+    const explicitDest = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest)) return null;
+    
+    const [target] = explicitDest;
+    if (target && typeof target === 'object') {
+      return (await pdf.getPageIndex(target)) + 1;
+    }
+    if (Number.isInteger(target)) {
+      return target + 1;
+    }
+  } catch (e) {}
+  
+  return null;
+}
+
+/**
+ * Converts the pdf.js outline into a tree with resolved page numbers
+ * @param {Object} pdf - PDF.js document proxy
+ * @param {Array} items - Outline items from pdf.getOutline()
+ * @returns {Promise<Array<{title: string, pageNum: number|null, dest: string|null, url: string|null, bold: boolean, italic: boolean, items: Array}>>}
+ */
+async function buildOutline(pdf, items) {
+  const outline = [];
+  
+  for (const item of items) {
+    outline.push({
+      title: item.title,
+      pageNum: await resolveDestinationPage(pdf, item.dest),
+      dest: typeof item.dest === 'string' ? item.dest : null,
+      url: item.url || null,
+      bold: Boolean(item.bold),
+      italic: Boolean(item.italic),
+      items: await buildOutline(pdf, item.items || [])
+    });
+  }
+  
+  return outline;
+}
+
+/**
+ * Collects Info dictionary, XMP, page labels and outline of a loaded document
+ * @param {Object} pdf - PDF.js document proxy
+ * @returns {Promise<Object>}
+ */
+async function collectMetadata(pdf) {
+  const { info = {}, metadata } = await pdf.getMetadata();
+  
+  let xmp = null;
+  if (metadata) {
+    xmp = {};
+    for (const [key, value] of metadata) {
+      xmp[key] = /date$/i.test(key) ? normalizePdfDate(value) ?? value : value;
+    }
+  }
+  
+  const outline = await pdf.getOutline();
+  
+  return {
+    pdfVersion: info.PDFFormatVersion || null,
+    totalPages: pdf.numPages,
+    info: {
+      title: info.Title || null,
+      author: info.Author || null,
+      subject: info.Subject || null,
+      keywords: info.Keywords || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+      creationDate: normalizePdfDate(info.CreationDate),
+      modificationDate: normalizePdfDate(info.ModDate),
+      trapped: info.Trapped?.name ?? null,
+      language: info.Language || null,
+      custom: info.Custom || {}
+    },
+    xmp,
+    isLinearized: Boolean(info.IsLinearized),
+    isAcroFormPresent: Boolean(info.IsAcroFormPresent),
+    isXFAPresent: Boolean(info.IsXFAPresent),
+    isSignaturesPresent: Boolean(info.IsSignaturesPresent),
+    pageLabels: await pdf.getPageLabels(),
+    outline: outline ? await buildOutline(pdf, outline) : []
+  };
+}
+
+/**
+ * Document metadata and outline extraction
+ * Reads only document-level structures, no page content is parsed
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Loading options
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {boolean} options.tolerant - Let pdf.js skip broken objects instead of failing (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{pdfVersion: string, totalPages: number, info: Object, xmp: Object|null, pageLabels: string[]|null, outline: Array}>}
+ */
+export async function extractPdfMetadata(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('extractPdfMetadata', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  
+  let result;
+  try {
+    await abortScope.checkpoint();
+    result = await collectMetadata(pdf);
+  } finally {
+    await destroyDocument(pdf);
+  }
+  if (transport) result.loading = transport.getStats();
+  
+  return cacheEntry.save(result);
+}
+
+/**
+ * Converts a pdf.js annotation rect to a box in PDF points (origin bottom-left)
+ * @param {number[]} rect - [x1, y1, x2, y2]
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function rectToBbox([x1, y1, x2, y2]) {
+  return {
+    x: Math.min(x1, x2),
+    y: Math.min(y1, y2),
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1)
+  };
+}
+
+/**
+ * Maps a pdf.js widget annotation to a form field type
+ * @param {Object} widget - Widget annotation from page.getAnnotations()
+ * @returns {string} 'text', 'checkbox', 'radio', 'button', 'combo', 'list', 'signature' or 'unknown'
+ */
+function getFieldType(widget) {
+  switch (widget.fieldType) {
+    case 'Tx': return 'text';
+    case 'Btn': return widget.checkBox ? 'checkbox' : widget.radioButton ? 'radio' : 'button';
+    case 'Ch': return widget.combo ? 'combo' : 'list';
+    case 'Sig': return 'signature';
+    default: return 'unknown';
+  }
+}
+
+/**
+ * Reads the current value of a form field widget
+ * Unchecked check boxes and radio groups without a selection have the value null.
+ * @param {Object} widget - Widget annotation from page.getAnnotations()
+ * @returns {string|string[]|null}
+ */
+function getFieldValue(widget) {
+  const value = widget.fieldValue;
+  if (widget.fieldType === 'Btn') {
+    return typeof value === 'string' && value !== 'Off' ? value : null;
+  }
+  if (widget.fieldType === 'Ch') {
+    const selected = Array.isArray(value) ? value : value != null ? [value] : [];
+    return widget.multiSelect ? selected : selected[0] ?? null;
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Collects comments, links and form fields of a page
+ * Popup annotations only repeat the contents of their parent and are left out.
+ * Widgets of one field (radio buttons of a group) are merged into a single field.
+ * @param {Object} pdf - PDF.js document proxy
+ * @param {Object} page - PDF.js page proxy
+ * @param {number} pageNum - Page number
+ * @returns {Promise<{annotations: Array, fields: Array}>}
+ */
+async function collectPageAnnotations(pdf, page, pageNum) {
+  // 'any' also returns hidden annotations, which the display intent skips
+  const items = await page.getAnnotations({ intent: 'any' });
+  
+  const annotations = [];
+  const fields = new Map();
+  for (const item of items) {
+    if (item.subtype === 'Popup') continue;
+    
+    if (item.subtype !== 'Widget') {
+      annotations.push({
+        pageNum,
+        type: item.subtype,
+        bbox: rectToBbox(item.rect),
+        author: item.titleObj?.str || null,
+        contents: item.contentsObj?.str || null,
+        modificationDate: normalizePdfDate(item.modificationDate),
+        text: item.overlaidText || null,
+        url: item.url || item.unsafeUrl || null,
+        dest: typeof item.dest === 'string' ? item.dest : null,
+        destPageNum: await resolveDestinationPage(pdf, item.dest)
+      });
+      continue;
+    }
+    
+    const type = getFieldType(item);
+    let field = fields.get(item.fieldName);
+    if (!field) {
+      field = {
+        pageNum,
+        name: item.fieldName,
+        type,
+        label: item.alternativeText || null,
+        value: getFieldValue(item),
+        readOnly: Boolean(item.readOnly),
+        required: Boolean(item.required),
+        bbox: rectToBbox(item.rect)
+      };
+      if (type === 'combo' || type === 'list') {
+        field.options = (item.options || []).map(option => ({ value: option.exportValue, label: option.displayValue }));
+      } else if (type === 'checkbox' || type === 'radio') {
+        field.options = [];
+      }
+      fields.set(item.fieldName, field);
+    }
+    
+    // Export values of check boxes and radio buttons are spread over their widgets
+    const exportValue = item.checkBox ? item.exportValue : item.radioButton ? item.buttonValue : null;
+    if (field.options && exportValue != null && !field.options.some(option => option.value === exportValue)) {
+      field.options.push({ value: exportValue, label: exportValue });
+    }
+  }
+  
+  return { annotations, fields: [...fields.values()] };
+}
+
+/**
+ * Annotation and form field extraction
+ * Returns comments and markup (author, contents, date), link targets and AcroForm
+ * fields with their current values. Annotation boxes are in PDF points with the
+ * origin at the bottom-left corner. XFA forms are not read (enableXfa is off),
+ * so documents whose form exists only as XFA have no fields.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Processing options
+ * @param {number[]|string} options.pages - Pages to process, as numbers or a range string ("1-3,7")
+ * @param {number} options.firstPage - First page to process (default: 1)
+ * @param {number} options.lastPage - Last page to process (default: last page)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {boolean} options.tolerant - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{annotations: Array, fields: Array, pages: number, processedPages: number[], warnings?: Array}>}
+ */
+export async function extractPdfAnnotations(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const { tolerant = false } = options;
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('extractPdfAnnotations', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  
+  const annotations = [];
+  const fields = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const result = {
+      annotations,
+      fields,
+      pages: pdf.numPages,
+      processedPages: [...processedPages]
+    };
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    return result;
+  };
+  
+  for (const pageNum of pageNumbers) {
+    await abortScope.checkpoint(pdf, buildResult);
+    let page = null;
+    let pageAnnotations;
+    try {
+      page = await pdf.getPage(pageNum);
+      pageAnnotations = await collectPageAnnotations(pdf, page, pageNum);
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    annotations.push(...pageAnnotations.annotations);
+    fields.push(...pageAnnotations.fields);
+    
+    page.cleanup();
+    processedPages.push(pageNum);
+  }
+  
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult());
+}
+
+// Paint operators whose paths are visible (clipping-only paths end with endPath)
+const PAINT_OPS = new Set([
+  pdfjsLib.OPS.stroke,
+  pdfjsLib.OPS.closeStroke,
+  pdfjsLib.OPS.fill,
+  pdfjsLib.OPS.eoFill,
+  pdfjsLib.OPS.fillStroke,
+  pdfjsLib.OPS.eoFillStroke,
+  pdfjsLib.OPS.closeFillStroke,
+  pdfjsLib.OPS.closeEOFillStroke
+]);
+
+const STROKE_OPS = new Set([
+  pdfjsLib.OPS.stroke,
+  pdfjsLib.OPS.closeStroke,
+  pdfjsLib.OPS.fillStroke,
+  pdfjsLib.OPS.eoFillStroke,
+  pdfjsLib.OPS.closeFillStroke,
+  pdfjsLib.OPS.closeEOFillStroke
+]);
+
+// Geometry tolerances for table detection, in PDF points
+const RULING_TOLERANCE = 2;
+const MIN_RULING_LENGTH = 5;
+const MAX_RULING_THICKNESS = 3;
+
+/**
+ * Walks an operator list while tracking the current transformation matrix
+ * State operators (save/restore/transform, form begin/end) are consumed here,
+ * all other operators are passed to the callback.
+ * @param {Object} ops - Operator list from PDF page
+ * @param {Function} callback - `(fn, args, ctm) => void`
+ */
+function forEachOperator(ops, callback) {
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  
+  for (let i = 0; i < ops.fnArray.length; i++) {
+    const fn = ops.fnArray[i];
+    const args = ops.argsArray[i];
+    
+    if (fn === pdfjsLib.OPS.save) {
+      stack.push(ctm);
+    } else if (fn === pdfjsLib.OPS.restore) {
+      ctm = stack.pop() || ctm;
+    } else if (fn === pdfjsLib.OPS.transform) {
+      ctm = pdfjsLib.Util.transform(ctm, args);
+    } else if (fn === pdfjsLib.OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (Array.isArray(args?.[0]) || ArrayBuffer.isView(args?.[0])) {
+        ctm = pdfjsLib.Util.transform(ctm, args[0]);
+      }
+    } else if (fn === pdfjsLib.OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() || ctm;
+    } else {
+      callback(fn, args, ctm);
+    }
+  }
+}
+
+/**
+ * Applies a transformation matrix to a point
+ * @param {number[]} m - Matrix [a, b, c, d, e, f]
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number[]} [x, y]
+ */
+function applyMatrix(m, x, y) {
+  return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+/**
+ * Splits a pdf.js constructPath buffer into subpaths of points
+ * Curves are reduced to their end points, which is enough to recognize straight rulings.
+ * @param {ArrayLike<number>} data - Path buffer (DrawOPS codes followed by coordinates)
+ * @param {number[]} ctm - Current transformation matrix
+ * @returns {Array<{points: number[][], closed: boolean}>}
+ */
+function parsePathData(data, ctm) {
+  const subpaths = [];
+  let current = null;
+  
+  for (let i = 0; i < data.length;) {
+    switch (data[i++]) {
+      case 0: // moveTo
+        current = { points: [applyMatrix(ctm, data[i], data[i + 1])], closed: false };
+        subpaths.push(current);
+        i += 2;
+        break;
+      case 1: // lineTo
+        current?.points.push(applyMatrix(ctm, data[i], data[i + 1]));
+        i += 2;
+        break;
+      case 2: // curveTo
+        current?.points.push(null, applyMatrix(ctm, data[i + 4], data[i + 5]));
+        i += 6;
+        break;
+      case 3: // quadraticCurveTo
+        current?.points.push(null, applyMatrix(ctm, data[i + 2], data[i + 3]));
+        i += 4;
+        break;
+      case 4: // closePath
+        if (current) current.closed = true;
+        break;
+      default:
+        return subpaths;
+    }
+  }
+  
+  return subpaths;
+}
+
+/**
+ * Collects horizontal and vertical ruling lines from a page operator list
+ * Stroked straight segments and thin filled rectangles count as rulings.
+ * @param {Object} ops - Operator list from PDF page
+ * @returns {{horizontal: Array<{y: number, x1: number, x2: number}>, vertical: Array<{x: number, y1: number, y2: number}>}}
+ */
+function extractRulings(ops) {
+  const horizontal = [];
+  const vertical = [];
+  
+  const addSegment = ([x1, y1], [x2, y2]) => {
+    if (Math.abs(y1 - y2) <= RULING_TOLERANCE / 2 && Math.abs(x2 - x1) >= MIN_RULING_LENGTH) {
+      horizontal.push({ y: (y1 + y2) / 2, x1: Math.min(x1, x2), x2: Math.max(x1, x2) });
+    } else if (Math.abs(x1 - x2) <= RULING_TOLERANCE / 2 && Math.abs(y2 - y1) >= MIN_RULING_LENGTH) {
+      vertical.push({ x: (x1 + x2) / 2, y1: Math.min(y1, y2), y2: Math.max(y1, y2) });
+    }
+  };
+  
+  forEachOperator(ops, (fn, args, ctm) => {
+    if (fn === pdfjsLib.OPS.constructPath) {
+      const [paintOp, [data] = []] = args;
+      if (!PAINT_OPS.has(paintOp) || !data) return;
+      
+      for (const { points, closed } of parsePathData(data, ctm)) {
+        if (STROKE_OPS.has(paintOp)) {
+          for (let k = 1; k < points.length; k++) {
+            if (points[k] && points[k - 1]) addSegment(points[k - 1], points[k]);
+          }
+          if (closed && points.length > 2 && points[points.length - 1]) {
+            addSegment(points[points.length - 1], points[0]);
+          }
+          continue;
+        }
+        
+        // Filled path: thin axis-aligned rectangles are drawn rulings
+        const corners = points.filter(Boolean);
+        if (corners.length < 4 || corners.length > 5 || points.includes(null)) continue;
+        const xs = corners.map(p => p[0]);
+        const ys = corners.map(p => p[1]);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const isAxisAligned = corners.every(([x, y]) =>
+          (Math.abs(x - minX) < 0.5 || Math.abs(x - maxX) < 0.5) &&
+          (Math.abs(y - minY) < 0.5 || Math.abs(y - maxY) < 0.5));
+        if (!isAxisAligned) continue;
+        
+        if (maxY - minY <= MAX_RULING_THICKNESS && maxX - minX >= MIN_RULING_LENGTH) {
+          horizontal.push({ y: (minY + maxY) / 2, x1: minX, x2: maxX });
+        } else if (maxX - minX <= MAX_RULING_THICKNESS && maxY - minY >= MIN_RULING_LENGTH) {
+          vertical.push({ x: (minX + maxX) / 2, y1: minY, y2: maxY });
+        }
+      }
+    }
+  });
+  
+  return {
+    horizontal: mergeRulings(horizontal, 'y', 'x1', 'x2'),
+    vertical: mergeRulings(vertical, 'x', 'y1', 'y2')
+  };
+}
+
+/**
+ * Merges collinear, overlapping or touching rulings
+ * @param {Array} rulings - Rulings to merge
+ * @param {string} pos - Key of the fixed coordinate
+ * @param {string} start - Key of the start coordinate
+ * @param {string} end - Key of the end coordinate
+ * @returns {Array}
+ */
+function mergeRulings(rulings, pos, start, end) {
+  const sorted = [...rulings].sort((a, b) => a[pos] - b[pos] || a[start] - b[start]);
+  const merged = [];
+  
+  for (const ruling of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && Math.abs(last[pos] - ruling[pos]) <= RULING_TOLERANCE &&
+        ruling[start] <= last[end] + RULING_TOLERANCE) {
+      last[end] = Math.max(last[end], ruling[end]);
+    } else {
+      merged.push({ ...ruling });
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Clusters nearby coordinates into distinct values
+ * @param {number[]} values - Coordinates
+ * @param {number} tolerance - Maximum distance within a cluster
+ * @returns {number[]} Cluster averages in ascending order
+ */
+function clusterValues(values, tolerance) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+  
+  for (const value of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && value - last.max <= tolerance) {
+      last.sum += value;
+      last.count++;
+      last.max = value;
+    } else {
+      clusters.push({ sum: value, count: 1, max: value });
+    }
+  }
+  
+  return clusters.map(cluster => cluster.sum / cluster.count);
+}
+
+/**
+ * Splits text runs into words with interpolated positions
+ * @param {Array} runs - Positioned text runs
+ * @returns {Array<{str: string, x: number, y: number, width: number, fontSize: number}>}
+ */
+function splitRunsIntoWords(runs) {
+  const words = [];
+  for (const run of runs) {
+    const charWidth = run.width / run.str.length;
+    for (const match of run.str.matchAll(/\S+/g)) {
+      words.push({
+        str: match[0],
+        x: run.x + match.index * charWidth,
+        y: run.y,
+        width: match[0].length * charWidth,
+        fontSize: run.fontSize
+      });
+    }
+  }
+  return words;
+}
+
+/**
+ * Joins the words of one cell in reading order
+ * @param {Array} words - Words inside the cell
+ * @returns {string}
+ */
+function cellText(words) {
+  return groupIntoLines(words)
+    .map(line => line.runs.map(word => word.str).join(' '))
+    .join(' ');
+}
+
+/**
+ * Formats table rows as CSV (RFC 4180 quoting)
+ * @param {string[][]} rows - Table rows
+ * @returns {string}
+ */
+function tableToCsv(rows) {
+  return rows
+    .map(row => row.map(cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(','))
+    .join('\n');
+}
+
+/**
+ * Detects tables formed by ruling lines and fills their cells with words
+ * @param {Object} rulings - Horizontal and vertical rulings from extractRulings
+ * @param {Array} words - Positioned words (consumed words are removed)
+ * @returns {Array<{method: string, bbox: Object, rows: string[][]}>}
+ */
+function detectRuledTables(rulings, words) {
+  const { horizontal, vertical } = rulings;
+  const segments = [...horizontal, ...vertical];
+  const parent = segments.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  
+  // Connect every horizontal ruling with the vertical rulings it touches
+  for (let h = 0; h < horizontal.length; h++) {
+    for (let v = 0; v < vertical.length; v++) {
+      const hr = horizontal[h];
+      const vr = vertical[v];
+      if (vr.x >= hr.x1 - RULING_TOLERANCE && vr.x <= hr.x2 + RULING_TOLERANCE &&
+          hr.y >= vr.y1 - RULING_TOLERANCE && hr.y <= vr.y2 + RULING_TOLERANCE) {
+        parent[find(h)] = find(horizontal.length + v);
+      }
+    }
+  }
+  
+  const components = new Map();
+  segments.forEach((segment, i) => {
+    const root = find(i);
+    if (!components.has(root)) components.set(root, { horizontal: [], vertical: [] });
+    components.get(root)[i < horizontal.length ? 'horizontal' : 'vertical'].push(segment);
+  });
+  
+  const tables = [];
+  for (const component of components.values()) {
+    const xs = clusterValues(component.vertical.map(ruling => ruling.x), RULING_TOLERANCE);
+    const ys = clusterValues(component.horizontal.map(ruling => ruling.y), RULING_TOLERANCE).reverse();
+    if (xs.length < 2 || ys.length < 2) continue;
+    
+    const cells = Array.from({ length: ys.length - 1 }, () =>
+      Array.from({ length: xs.length - 1 }, () => []));
+    
+    for (let i = words.length - 1; i >= 0; i--) {
+      const word = words[i];
+      const cx = word.x + word.width / 2;
+      const cy = word.y + word.fontSize * 0.3;
+      const col = xs.findIndex((x, k) => k < xs.length - 1 && cx >= x && cx < xs[k + 1]);
+      const row = ys.findIndex((y, k) => k < ys.length - 1 && cy <= y && cy > ys[k + 1]);
+      if (col === -1 || row === -1) continue;
+      cells[row][col].push(word);
+      words.splice(i, 1);
+    }
+    
+    tables.push({
+      method: 'rulings',
+      bbox: { x: xs[0], y: ys[ys.length - 1], width: xs[xs.length - 1] - xs[0], height: ys[0] - ys[ys.length - 1] },
+      rows: cells.map(row => row.map(cellText))
+    });
+  }
+  
+  return tables;
+}
+
+/**
+ * Detects borderless tables from text alignment
+ * Consecutive lines split into two or more short cells by wide gaps, whose
+ * cells start at shared column positions, form a table.
+ * @param {Array} words - Positioned words not belonging to ruled tables
+ * @param {number} minRows - Minimum number of rows
+ * @param {number} minColumns - Minimum number of columns
+ * @returns {Array<{method: string, bbox: Object, rows: string[][]}>}
+ */
+function detectAlignedTables(words, minRows, minColumns) {
+  const lines = groupIntoLines(words).map(line => {
+    const cells = [];
+    for (const word of line.runs) {
+      const cell = cells[cells.length - 1];
+      // A gap wider than one em separates cells, a normal space does not
+      if (cell && word.x - cell.x2 <= word.fontSize) {
+        cell.words.push(word);
+        cell.x2 = word.x + word.width;
+      } else {
+        cells.push({ x1: word.x, x2: word.x + word.width, words: [word] });
+      }
+    }
+    return { ...line, cells };
+  });
+  
+  // Blocks of consecutive multi-cell lines with regular spacing
+  const blocks = [];
+  let block = [];
+  for (const line of lines) {
+    const prev = block[block.length - 1];
+    const isContinuation = prev && prev.y - line.y <= line.fontSize * 2.5;
+    if (line.cells.length >= 2 && (block.length === 0 || isContinuation)) {
+      block.push(line);
+      continue;
+    }
+    if (block.length >= minRows) blocks.push(block);
+    block = line.cells.length >= 2 ? [line] : [];
+  }
+  if (block.length >= minRows) blocks.push(block);
+  
+  const tables = [];
+  for (const rowsOfBlock of blocks) {
+    // Side-by-side prose columns align too, but their cells hold whole sentences
+    const wordsPerCell = median(rowsOfBlock.flatMap(line => line.cells.map(cell => cell.words.length)));
+    if (wordsPerCell > 3) continue;
+    
+    const fontSize = median(rowsOfBlock.map(line => line.fontSize));
+    // Column anchors are left edges shared by at least half of the rows
+    const anchors = clusterValues(rowsOfBlock.flatMap(line => line.cells.map(cell => cell.x1)), fontSize)
+      .filter(anchor => rowsOfBlock.filter(line =>
+        line.cells.some(cell => Math.abs(cell.x1 - anchor) <= fontSize)).length >= rowsOfBlock.length / 2);
+    if (anchors.length < minColumns) continue;
+    
+    const rows = rowsOfBlock.map(line => {
+      const row = anchors.map(() => []);
+      for (const cell of line.cells) {
+        const center = (cell.x1 + cell.x2) / 2;
+        let col = 0;
+        for (let k = 1; k < anchors.length; k++) {
+          if (center >= anchors[k] - fontSize) col = k;
+        }
+        row[col].push(...cell.words);
+      }
+      return row.map(cellText);
+    });
+    
+    const x1 = Math.min(...rowsOfBlock.flatMap(line => line.cells.map(cell => cell.x1)));
+    const x2 = Math.max(...rowsOfBlock.flatMap(line => line.cells.map(cell => cell.x2)));
+    const top = rowsOfBlock[0].y + rowsOfBlock[0].fontSize;
+    const bottom = rowsOfBlock[rowsOfBlock.length - 1].y;
+    tables.push({
+      method: 'alignment',
+      bbox: { x: x1, y: bottom, width: x2 - x1, height: top - bottom },
+      rows
+    });
+  }
+  
+  return tables;
+}
+
+// Supported table detection strategies
+const TABLE_STRATEGIES = ['auto', 'rulings', 'alignment'];
+
+/**
+ * Table extraction from vector rulings and text alignment
+ * Ruled tables are built from stroked lines and thin filled rectangles; with the
+ * 'alignment' strategy, borderless tables are inferred from column-aligned text.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Processing options
+ * @param {string} options.strategy - 'auto' (rulings, then alignment; default), 'rulings' or 'alignment'
+ * @param {number} options.minRows - Minimum rows of a borderless table (default: 3)
+ * @param {number} options.minColumns - Minimum columns of a borderless table, at least 2 (default: 2)
+ * @param {number[]|string} options.pages - Pages to process, as numbers or a range string ("1-3,7")
+ * @param {number} options.firstPage - First page to process (default: 1)
+ * @param {number} options.lastPage - Last page to process (default: last page)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {boolean} options.tolerant - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{tables: Array<{pageNum: number, method: string, bbox: Object, rowCount: number, columnCount: number, rows: string[][], csv: string}>, pages: number, processedPages: number[], warnings?: Array}>}
+ */
+export async function extractPdfTables(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const { strategy = 'auto', minRows = 3, minColumns = 2, tolerant = false } = options;
+  if (!TABLE_STRATEGIES.includes(strategy)) {
+    throw new TypeError(`strategy must be one of ${TABLE_STRATEGIES.join(', ')}, got ${strategy}`);
+  }
+  if (!Number.isInteger(minRows) || minRows < 1) {
+    throw new RangeError(`minRows must be a positive integer, got ${minRows}`);
+  }
+  // A single column is a list, not a table
+  if (!Number.isInteger(minColumns) || minColumns < 2) {
+    throw new RangeError(`minColumns must be an integer of at least 2, got ${minColumns}`);
+  }
+  
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('extractPdfTables', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  
+  const tables = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const result = {
+      tables,
+      pages: pdf.numPages,
+      processedPages: [...processedPages]
+    };
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    return result;
+  };
+  
+  for (const pageNum of pageNumbers) {
+    await abortScope.checkpoint(pdf, buildResult);
+    let page = null;
+    let words;
+    const pageTables = [];
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      const textContent = await abortScope.run(page.getTextContent({
+        disableCombineTextItems: true,
+        includeMarkedContent: false
+      }));
+      words = splitRunsIntoWords(toTextRuns(textContent.items));
+      textContent.items = null;
+      
+      if (strategy !== 'alignment') {
+        const ops = await abortScope.run(page.getOperatorList({
+          intent: 'display',
+          annotationMode: pdfjsLib.AnnotationMode.DISABLE
+        }));
+        pageTables.push(...detectRuledTables(extractRulings(ops), words));
+        ops.fnArray = null;
+        ops.argsArray = null;
+      }
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
+    if (strategy !== 'rulings') {
+      pageTables.push(...detectAlignedTables(words, minRows, minColumns));
+    }
+    
+    // Top to bottom
+    pageTables.sort((a, b) => (b.bbox.y + b.bbox.height) - (a.bbox.y + a.bbox.height));
+    for (const table of pageTables) {
+      tables.push({
+        pageNum,
+        method: table.method,
+        bbox: table.bbox,
+        rowCount: table.rows.length,
+        columnCount: table.rows[0]?.length ?? 0,
+        rows: table.rows,
+        csv: tableToCsv(table.rows)
+      });
+    }
+    
+    page.cleanup();
+    processedPages.push(pageNum);
+  }
+  
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult());
+}
+
+/**
+ * Renders a page to an encoded image with @napi-rs/canvas
+ * The canvas is released before returning, so only one page bitmap is alive at a time.
+ * @param {Object} page - PDF.js page proxy
+ * @param {Object} options - Rendering options
+ * @param {number} options.scale - Scale factor (1 = 72 DPI)
+ * @param {string} options.format - 'png', 'jpeg' or 'webp'
+ * @param {number} options.quality - JPEG/WebP quality (0-100)
+ * @param {Object} options.abortScope - Cancels the render task when the call is cancelled
+ * @returns {Promise<{data: Buffer, width: number, height: number, mimeType: string}>}
+ */
+async function renderPageImage(page, { scale = 1, format = 'png', quality = 90, abortScope = null } = {}) {
+  const { createCanvas } = await import('@napi-rs/canvas');
+  
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  
+  try {
+    const renderTask = page.render({
+      canvas,
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+      annotationMode: pdfjsLib.AnnotationMode.ENABLE
+    });
+    await (abortScope ? abortScope.run(renderTask.promise, () => renderTask.cancel()) : renderTask.promise);
+    
+    const data = format === 'png' ? await canvas.encode('png') : await canvas.encode(format, quality);
+    return { data, width: canvas.width, height: canvas.height, mimeType: `image/${format}` };
+  } finally {
+    // Free the bitmap right away instead of waiting for GC
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+// Supported output formats for page rendering
+const RENDER_FORMATS = ['png', 'jpeg', 'webp'];
+
+/**
+ * Page rendering to PNG, JPEG or WebP images (e.g. thumbnails)
+ * Renders one page at a time and releases its canvas before the next one.
+ * 
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Rendering options
+ * @param {string} options.format - 'png' (default), 'jpeg' or 'webp'
+ * @param {number} options.quality - JPEG/WebP quality 0-100 (default: 90)
+ * @param {number} options.scale - Scale factor, 1 = 72 DPI (default: 1)
+ * @param {number} options.maxWidth - Fit pages into this width in pixels (overrides scale)
+ * @param {number} options.maxHeight - Fit pages into this height in pixels (overrides scale)
+ * @param {Function} options.onPage - Called with each image instead of collecting them in `images`
+ * @param {number[]|string} options.pages - Pages to render, as numbers or a range string ("1-3,7")
+ * @param {number} options.firstPage - First page to render (default: 1)
+ * @param {number} options.lastPage - Last page to render (default: last page)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {boolean} options.tolerant - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{images: Array<{pageNum: number, data: Buffer, width: number, height: number, mimeType: string}>, pages: number, processedPages: number[], warnings?: Array}>}
+ */
+export async function renderPdfPages(pdfSource, options = {}) {
+  // Setup canvas polyfill for Node.js
+  await setupCanvasPolyfill();
+  
+  const {
+    format = 'png',
+    quality = 90,
+    scale = 1,
+    maxWidth = null,
+    maxHeight = null,
+    onPage = null,
+    tolerant = false
+  } = options;
+  if (!RENDER_FORMATS.includes(format)) {
+    throw new TypeError(`format must be one of ${RENDER_FORMATS.join(', ')}, got ${format}`);
+  }
+  for (const [name, value] of [['scale', scale], ['maxWidth', maxWidth], ['maxHeight', maxHeight]]) {
+    if (value !== null && !(value > 0)) {
+      throw new RangeError(`${name} must be a positive number, got ${value}`);
+    }
+  }
+  
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('renderPdfPages', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
+  
+  const images = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const result = {
+      images,
+      pages: pdf.numPages,
+      processedPages: [...processedPages]
+    };
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    return result;
+  };
+  
+  try {
+    for (let i = 0; i < pageNumbers.length; i++) {
+      await abortScope.checkpoint(pdf, buildResult);
+      const pageNum = pageNumbers[i];
+      let page = null;
+      let image;
+      try {
+        page = await pdf.getPage(pageNum);
+        
+        // Fit into maxWidth/maxHeight; the unscaled viewport already includes rotation
+        let pageScale = scale;
+        if (maxWidth !== null || maxHeight !== null) {
+          const { width, height } = page.getViewport({ scale: 1 });
+          pageScale = Math.min(
+            maxWidth !== null ? maxWidth / width : Infinity,
+            maxHeight !== null ? maxHeight / height : Infinity
+          );
+        }
+        
+        image = { pageNum, ...await renderPageImage(page, { scale: pageScale, format, quality, abortScope }) };
+      } catch (error) {
+        warnings.push(await recoverPageError(error, pageNum, { tolerant, page }));
+        continue;
+      }
+      page.cleanup();
+      processedPages.push(pageNum);
+      
+      if (onPage) {
+        await onPage(image);
+      } else {
+        images.push(image);
+      }
+      
+      // GC every 5 pages for maximum RAM savings
+      if ((i + 1) % 5 === 0 && global.gc) {
+        global.gc();
+      }
+    }
+  } finally {
+    await destroyDocument(pdf);
+  }
   
-  const textChunks = [];
-  let totalImages = 0;
-  let totalVectors = 0;
+  return cacheEntry.save(buildResult());
+}
+
+// Output modes of extractPdfImages
+const IMAGE_OUTPUTS = ['inventory', 'raw', 'png'];
+
+// MIME types of image encodings whose data, with other filters undone, is a standalone image file
+const RAW_IMAGE_TYPES = {
+  DCTDecode: 'image/jpeg',
+  JPXDecode: 'image/jp2'
+};
+
+/**
+ * Maps the image streams a page can draw to their resource names
+ * Follows inherited resources and nested Form XObjects. An image reachable under
+ * several names keeps the first one found, names on the page before names in forms.
+ * @param {Object} reader - Object reader
+ * @param {Object} pageRef - Page reference ({num, gen})
+ * @returns {Promise<Map<string, string>>} Reference (e.g. '12 0 R') -> resource name
+ */
+async function collectImageNames(reader, pageRef) {
+  // Resources are inherited from the page tree
+  let node = await reader.resolve(new PdfRef(pageRef.num, pageRef.gen));
+  let resources = null;
+  for (let depth = 0; isDictionary(node) && depth < 32 && !resources; depth++) {
+    resources = node.Resources ?? null;
+    node = await reader.resolve(node.Parent);
+  }
   
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    
-    // Extract text only if requested
-    if (extractText) {
-      const textContent = await page.getTextContent({
-        disableCombineTextItems: true,
-        includeMarkedContent: false
-      });
-      const pageText = textContent.items.map(item => item.str).join(' ');
-      textChunks.push(pageText);
-      textContent.items = null;
-    }
-    
-    const ops = await page.getOperatorList({
-      intent: 'display',
-      annotationMode: pdfjsLib.AnnotationMode.DISABLE
-    });
-    const { imageCount, vectorCount } = countGraphicsObjects(ops);
-    totalImages += imageCount;
-    totalVectors += vectorCount;
-    
-    ops.fnArray = null;
-    ops.argsArray = null;
-    
-    page.cleanup();
+  const names = new Map();
+  const visited = new Set();
+  const queue = [resources];
+  while (queue.length > 0) {
+    const dict = await reader.resolve(queue.shift());
+    const xobjects = isDictionary(dict) ? await reader.resolve(dict.XObject) : null;
+    if (!isDictionary(xobjects)) continue;
     
-    // Callback for monitoring progress
-    if (onPageProcessed) {
-      onPageProcessed({
-        pageNum,
-        totalPages: pdf.numPages,
-        currentImages: imageCount,
-        currentVectors: vectorCount
-      });
+    for (const [name, ref] of Object.entries(xobjects)) {
+      if (!(ref instanceof PdfRef) || visited.has(String(ref))) continue;
+      visited.add(String(ref));
+      
+      const xobject = await reader.resolve(ref);
+      if (!(xobject instanceof PdfStream)) continue;
+      if (xobject.dict.Subtype === 'Image') names.set(String(ref), name);
+      else if (xobject.dict.Subtype === 'Form') queue.push(xobject.dict.Resources);
     }
   }
   
-  await pdf.destroy();
+  return names;
+}
+
+/**
+ * Reads the encoding details of an image stream
+ * @param {Object} reader - Object reader
+ * @param {PdfStream} image - Image XObject stream
+ * @returns {Promise<{bitsPerComponent: number|null, colorSpace: string|null, filter: string|null, byteSize: number}>}
+ */
+async function describeImageDictionary(reader, image) {
+  const { dict } = image;
+  const bitsPerComponent = await reader.resolve(dict.BitsPerComponent);
+  
+  // Color space: a name, an array starting with a name, or a reference to either
+  let colorSpace = await reader.resolve(dict.ColorSpace);
+  if (Array.isArray(colorSpace)) colorSpace = await reader.resolve(colorSpace[0]);
+  // The last filter in a chain is the actual image encoding
+  const filters = [].concat(await reader.resolve(dict.Filter) ?? []);
+  const filter = await reader.resolve(filters[filters.length - 1]);
   
   return {
-    text: extractText ? textChunks.join('\n').trim() : '',
-    imageCount: totalImages,
-    vectorCount: totalVectors
+    bitsPerComponent: typeof bitsPerComponent === 'number' ? bitsPerComponent : null,
+    colorSpace: typeof colorSpace === 'string' ? colorSpace : null,
+    filter: typeof filter === 'string' ? filter : null,
+    // Stored size, also when /Length is wrong
+    byteSize: image.length
   };
 }
 
 /**
- * Ultra-RAM optimized extraction with statistics only
- * Does not use getOperatorList which loads image data into memory
- * Uses direct access to PDF dictionary for counting objects
- * 
- * @param {string|Buffer|Uint8Array} pdfSource - Path to PDF file, Buffer, or Uint8Array
- * @param {Object} options - Processing options
- * @param {boolean} options.extractText - Whether to extract text
- * @param {Function} options.onPageProcessed - Callback for progress
- * @returns {Promise<{text: string, imageCount: number, vectorCount: number, pages: number}>}
+ * Collects image placements from an operator list
+ * @param {Object} ops - Operator list from PDF page
+ * @returns {Array<{objId: string|null, imgData: Object|null, imageMask: boolean, width: number, height: number, ctm: number[]}>}
  */
-export async function extractPdfStats(pdfSource, options = {}) {
-  // Setup canvas polyfill for Node.js
-  await setupCanvasPolyfill();
-  
-  const { extractText = true, onPageProcessed = null } = options;
-  const data = loadPdfData(pdfSource);
+function collectImagePlacements(ops) {
+  const placements = [];
   
-  const loadingTask = pdfjsLib.getDocument({
-    data,
-    isEvalSupported: false,
-    useSystemFonts: true,
-    disableFontFace: true,
-    cMapUrl: null,
-    cMapPacked: false,
-    standardFontDataUrl: null,
-    stopAtErrors: true,
-    pdfBug: false,
-    // KLÍČOVÉ: Zakázat načítání dat pro rendering
-    enableXfa: false,
-    fontExtraProperties: false
+  forEachOperator(ops, (fn, args, ctm) => {
+    if (fn === pdfjsLib.OPS.paintImageXObject) {
+      placements.push({ objId: args[0], imgData: null, imageMask: false, width: args[1], height: args[2], ctm });
+    } else if (fn === pdfjsLib.OPS.paintImageXObjectRepeat) {
+      // Repeated image: [objId, scaleX, scaleY, positions]
+      const [objId, scaleX, scaleY, positions] = args;
+      for (let k = 0; k < positions.length; k += 2) {
+        const matrix = pdfjsLib.Util.transform(ctm, [scaleX, 0, 0, scaleY, positions[k], positions[k + 1]]);
+        placements.push({ objId, imgData: null, imageMask: false, width: null, height: null, ctm: matrix });
+      }
+    } else if (fn === pdfjsLib.OPS.paintInlineImageXObject) {
+      const [imgData] = args;
+      placements.push({ objId: null, imgData, imageMask: false, width: imgData.width, height: imgData.height, ctm });
+    } else if (fn === pdfjsLib.OPS.paintInlineImageXObjectGroup) {
+      // Small inline images merged into one bitmap: [imgData, map]
+      for (const entry of args[1]) {
+        const matrix = pdfjsLib.Util.transform(ctm, entry.transform);
+        placements.push({ objId: null, imgData: null, imageMask: false, width: entry.w, height: entry.h, ctm: matrix });
+      }
+    } else if (fn === pdfjsLib.OPS.paintImageMaskXObject) {
+      const [mask] = args;
+      placements.push({ objId: mask.data, imgData: null, imageMask: true, width: mask.width, height: mask.height, ctm });
+    } else if (fn === pdfjsLib.OPS.paintImageMaskXObjectGroup) {
+      for (const mask of args[0]) {
+        const matrix = pdfjsLib.Util.transform(ctm, mask.transform);
+        placements.push({ objId: mask.data, imgData: null, imageMask: true, width: mask.width, height: mask.height, ctm: matrix });
+      }
+    } else if (fn === pdfjsLib.OPS.paintImageMaskXObjectRepeat) {
+      // Repeated mask: [mask, a, b, c, d, positions]
+      const [mask, a, b, c, d, positions] = args;
+      for (let k = 0; k < positions.length; k += 2) {
+        const matrix = pdfjsLib.Util.transform(ctm, [a, b, c, d, positions[k], positions[k + 1]]);
+        placements.push({ objId: mask.data, imgData: null, imageMask: true, width: mask.width, height: mask.height, ctm: matrix });
+      }
+    }
   });
   
-  const pdf = await loadingTask.promise;
-  
-  let fullText = '';
-  let totalImages = 0;
-  let totalVectors = 0;
+  return placements;
+}
+
+/**
+ * Waits for a decoded image sent by the pdf.js worker
+ * @param {Object} page - PDF.js page proxy
+ * @param {string} objId - Image object id from the operator list
+ * @returns {Promise<Object|null>}
+ */
+function getDecodedImage(page, objId) {
+  // Images shared between pages live in the document-wide object store
+  const objs = objId.startsWith('g_') ? page.commonObjs : page.objs;
+  return new Promise(resolve => objs.get(objId, resolve));
+}
+
+/**
+ * Converts decoded pdf.js image data to RGBA pixels
+ * @param {Object} imgData - Decoded image ({width, height, kind, data})
+ * @param {boolean} imageMask - Whether the image is a stencil mask
+ * @returns {Uint8ClampedArray}
+ */
+function decodedImageToRgba(imgData, imageMask) {
+  const { width, height, data } = imgData;
+  const rgba = new Uint8ClampedArray(width * height * 4);
   
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    
-    // Extract text if requested
-    if (extractText) {
-      const textContent = await page.getTextContent({
-        disableCombineTextItems: true,
-        includeMarkedContent: false
-      });
-      const pageText = textContent.items.map(item => item.str).join(' ');
-      fullText += pageText + '\n';
-      textContent.items = null;
-    }
-    
-    // Používáme getOperatorList pro přesné počítání, ale s agresivním uvolňováním paměti
-    const ops = await page.getOperatorList({
-      intent: 'print',
-      annotationMode: pdfjsLib.AnnotationMode.DISABLE
-    });
-    
-    // Počítáme obrázky a vektory
-    const counts = countGraphicsObjects(ops);
-    totalImages += counts.imageCount;
-    totalVectors += counts.vectorCount;
-    
-    // KRITICKÉ: Explicitně uvolnit veškerá data operator listu
-    ops.fnArray = null;
-    ops.argsArray = null;
-    if (ops.commonObjs) ops.commonObjs = null;
-    if (ops.objs) ops.objs = null;
-    
-    // Explicitně uvolnit stránku
-    page.cleanup();
-    
-    if (onPageProcessed) {
-      onPageProcessed({
-        pageNum,
-        totalPages: pdf.numPages,
-        currentImages: counts.imageCount,
-        currentVectors: counts.vectorCount
-      });
+  if (imageMask || imgData.kind === pdfjsLib.ImageKind.GRAYSCALE_1BPP) {
+    // 1 bit per pixel, rows padded to whole bytes; masks paint black where the bit is 0
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        const offset = (y * width + x) * 4;
+        const value = imageMask ? 0 : bit * 255;
+        rgba[offset] = rgba[offset + 1] = rgba[offset + 2] = value;
+        rgba[offset + 3] = imageMask && bit ? 0 : 255;
+      }
     }
-    
-    // KLÍČOVÉ: Agresivní GC po každých 5 stránkách pro minimální paměť
-    if (pageNum % 5 === 0 && global.gc) {
-      global.gc();
+  } else if (imgData.kind === pdfjsLib.ImageKind.RGB_24BPP) {
+    for (let src = 0, dest = 0; dest < rgba.length; src += 3, dest += 4) {
+      rgba[dest] = data[src];
+      rgba[dest + 1] = data[src + 1];
+      rgba[dest + 2] = data[src + 2];
+      rgba[dest + 3] = 255;
     }
+  } else {
+    rgba.set(data.subarray(0, rgba.length));
   }
   
-  await pdf.destroy();
+  return rgba;
+}
+
+/**
+ * Encodes RGBA pixels as PNG with @napi-rs/canvas
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Uint8ClampedArray} rgba - Pixel data
+ * @returns {Promise<Buffer>}
+ */
+async function encodeRgbaAsPng(width, height, rgba) {
+  const { createCanvas } = await import('@napi-rs/canvas');
+  
+  const canvas = createCanvas(width, height);
+  try {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(rgba);
+    ctx.putImageData(imageData, 0, 0);
+    return await canvas.encode('png');
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * Builds the inventory entry of one image placement
+ * @param {number} pageNum - Page number
+ * @param {Object} placement - Image placement
+ * @param {string|null} placement.name - Resource name
+ * @param {PdfRef|null} placement.ref - Image stream reference
+ * @param {boolean} placement.inline - Whether the image is inline
+ * @param {Object} placement.details - Result of describeImageDictionary
+ * @param {number[]} placement.ctm - Matrix mapping the unit square onto the page
+ * @returns {Object}
+ */
+function describeImagePlacement(pageNum, { name, ref, inline, details, ctm }) {
+  const { width, height } = details;
+  const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => applyMatrix(ctm, x, y));
+  const xs = corners.map(p => p[0]);
+  const ys = corners.map(p => p[1]);
+  const displayWidth = Math.hypot(ctm[0], ctm[1]);
+  const displayHeight = Math.hypot(ctm[2], ctm[3]);
   
   return {
-    text: fullText.trim(),
-    imageCount: totalImages,
-    vectorCount: totalVectors,
-    pages: pdf.numPages
+    pageNum,
+    name,
+    ref: ref ? String(ref) : null,
+    inline,
+    imageMask: details.imageMask,
+    width,
+    height,
+    bitsPerComponent: details.bitsPerComponent,
+    colorSpace: details.colorSpace,
+    filter: details.filter,
+    byteSize: details.byteSize,
+    placement: {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys)
+    },
+    dpiX: displayWidth > 0 && width ? parseFloat((width / (displayWidth / 72)).toFixed(1)) : null,
+    dpiY: displayHeight > 0 && height ? parseFloat((height / (displayHeight / 72)).toFixed(1)) : null
   };
 }
 
 /**
- * Ultra-RAM efficient PDF document type analysis
- * Detects whether PDF is a scan, vector document, or pure text
- * Does not use getOperatorList - only analyzes PDF dictionary structure
+ * Embedded image extraction and inventory
+ * Reports every image placement with its encoding details and the effective
+ * resolution at which it is drawn on the page, optionally with image bytes.
  * 
- * @param {string|Buffer|Uint8Array} pdfSource - Path to PDF file, Buffer, or Uint8Array
- * @param {Object} options - Analysis options
- * @param {number} options.samplePages - Number of pages to analyze (default: 5)
- * @returns {Promise<{type: string, confidence: number, stats: Object}>}
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {Object} options - Extraction options
+ * @param {string} options.output - 'inventory' (details only, default), 'raw' (stored stream bytes) or 'png' (decoded and re-encoded)
+ * @param {number[]|string} options.pages - Pages to process, as numbers or a range string ("1-3,7")
+ * @param {number} options.firstPage - First page to process (default: 1)
+ * @param {number} options.lastPage - Last page to process (default: last page)
+ * @param {Function} options.pageFilter - Predicate `(pageNum, totalPages) => boolean` selecting pages
+ * @param {boolean} options.rangeLoading - Read file paths lazily in ranges instead of all at once (default: false)
+ * @param {number} options.rangeChunkSize - Range chunk size in bytes (default: 65536)
+ * @param {string} options.password - Password for encrypted documents
+ * @param {Function} options.onPassword - `({reason, attempt}) => string|null` called to ask for a (new) password
+ * @param {AbortSignal} options.signal - Cancels processing between pages and while waiting for pdf.js; rejects with AbortError
+ * @param {number} options.timeoutMs - Time limit in ms, enforced like `signal`; 0 = none (default: 0)
+ * @param {boolean} options.tolerant - Skip unreadable pages and list them in `warnings` instead of throwing CorruptPageError (default: false)
+ * @param {Object} options.cache - Result cache from createPdfCache
+ * @returns {Promise<{images: Array, pages: number, processedPages: number[], warnings?: Array}>}
  */
-export async function analyzePdfType(pdfSource, options = {}) {
+export async function extractPdfImages(pdfSource, options = {}) {
   // Setup canvas polyfill for Node.js
   await setupCanvasPolyfill();
   
-  const { samplePages = 5 } = options;
-  const data = loadPdfData(pdfSource);
-  
-  const loadingTask = pdfjsLib.getDocument({
-    data,
-    isEvalSupported: false,
-    useSystemFonts: true,
-    disableFontFace: true,
-    cMapUrl: null,
-    cMapPacked: false,
-    standardFontDataUrl: null,
-    stopAtErrors: true,
-    pdfBug: false,
-    enableXfa: false,
-    fontExtraProperties: false
-  });
+  const { output = 'inventory', tolerant = false } = options;
+  if (!IMAGE_OUTPUTS.includes(output)) {
+    throw new TypeError(`output must be one of ${IMAGE_OUTPUTS.join(', ')}, got ${output}`);
+  }
   
-  const pdf = await loadingTask.promise;
+  const abortScope = createAbortScope(options);
+  const cacheEntry = await openCacheEntry('extractPdfImages', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  const { pdf, transport } = await openPdfDocument(cacheEntry.source, { ...options, abortScope });
+  const pageNumbers = await selectPages(pdf, options);
   
-  let totalImages = 0;
-  let totalVectors = 0;
-  let totalText = 0;
-  let pagesWithLargeImages = 0;
+  const images = [];
+  const processedPages = [];
+  const warnings = [];
   
-  // Analyze only a sample of pages for maximum RAM efficiency
-  const pagesToAnalyze = Math.min(samplePages, pdf.numPages);
-  const step = Math.max(1, Math.floor(pdf.numPages / pagesToAnalyze));
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = () => {
+    const result = {
+      images,
+      pages: pdf.numPages,
+      processedPages: [...processedPages]
+    };
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    return result;
+  };
   
-  for (let i = 0; i < pagesToAnalyze; i++) {
-    const pageNum = Math.min(1 + i * step, pdf.numPages);
-    const page = await pdf.getPage(pageNum);
-    
-    // Text analysis - low RAM usage
-    const textContent = await page.getTextContent({
-      disableCombineTextItems: true,
-      includeMarkedContent: false
-    });
-    totalText += textContent.items.length;
-    textContent.items = null;
+  try {
+    // Names, image dictionaries and stored bytes are read from the file on demand;
+    // pdf.js only hands out the decoded images
+    let reader = null;
     
-    // Pro přesnou detekci použijeme getOperatorList
-    // Analýza jen 5 stránek = minimální spotřeba RAM
-    try {
-      const ops = await page.getOperatorList({
-        intent: 'display',
-        annotationMode: pdfjsLib.AnnotationMode.DISABLE
-      });
-      
-      // Počítání obrázků a vektorů včetně inline obrázků
-      const counts = countGraphicsObjects(ops);
-      totalImages += counts.imageCount;
-      totalVectors += counts.vectorCount;
-      
-      // Detekce velkých obrázků pro identifikaci skenů
-      // Pokud stránka má obrázek, zkusme zjistit rozměry z XObject
-      if (counts.imageCount > 0) {
-        const resources = page._pageDict?.get('Resources');
-        const xobjects = resources?.get('XObject');
+    for (let i = 0; i < pageNumbers.length; i++) {
+      await abortScope.checkpoint(pdf, buildResult);
+      const pageNum = pageNumbers[i];
+      let page = null;
+      const pageImages = [];
+      try {
+        page = await pdf.getPage(pageNum);
         
-        if (xobjects && xobjects.getKeys) {
-          const keys = xobjects.getKeys();
-          for (const key of keys) {
-            try {
-              const xobj = xobjects.get(key);
-              if (xobj?.get('Subtype')?.name === 'Image') {
-                const width = xobj.get('Width') || 0;
-                const height = xobj.get('Height') || 0;
-                
-                // Obrázek > 1000x1000 je pravděpodobně sken
-                if (width > 1000 && height > 1000) {
-                  pagesWithLargeImages++;
-                  break; // Stačí jeden velký obrázek na stránce
-                }
-              }
-            } catch (e) {}
+        const ops = await abortScope.run(page.getOperatorList({
+          intent: 'display',
+          annotationMode: pdfjsLib.AnnotationMode.DISABLE
+        }));
+        const placements = collectImagePlacements(ops);
+        ops.fnArray = null;
+        ops.argsArray = null;
+        let imageNames = null;
+        
+        for (const placement of placements) {
+          const imgData = placement.imgData || (placement.objId && await getDecodedImage(page, placement.objId));
+          const match = /^(\d+)R(\d*)$/.exec(imgData?.ref ?? '');
+          const ref = match ? new PdfRef(Number(match[1]), Number(match[2] || 0)) : null;
+          
+          let stream = null;
+          if (ref) {
+            reader ??= await openDocumentObjects(pdf);
+            imageNames ??= await collectImageNames(reader, page.ref);
+            stream = await reader.resolve(ref);
+          }
+          
+          // Inline images and stencil masks have no image stream pdf.js tells about
+          const details = stream instanceof PdfStream
+            ? await describeImageDictionary(reader, stream)
+            : { bitsPerComponent: null, colorSpace: null, filter: null, byteSize: null };
+          details.width = imgData?.width ?? placement.width;
+          details.height = imgData?.height ?? placement.height;
+          details.imageMask = placement.imageMask;
+          if (placement.imageMask) details.bitsPerComponent = 1;
+          
+          const image = describeImagePlacement(pageNum, {
+            name: ref ? imageNames.get(String(ref)) ?? null : null,
+            ref,
+            inline: placement.objId === null,
+            details,
+            ctm: placement.ctm
+          });
+          
+          if (output === 'raw') {
+            // JPEG and JPEG 2000 data behind other filters is unwrapped to a standalone file
+            const stored = stream instanceof PdfStream
+              ? await reader.readStream(stream, { decode: details.filter in RAW_IMAGE_TYPES })
+              : null;
+            image.data = stored?.data ?? null;
+            image.mimeType = stored ? (stored.filters.length === 1 && RAW_IMAGE_TYPES[stored.filters[0]]) || 'application/octet-stream' : null;
+          } else if (output === 'png') {
+            const { width, height } = details;
+            image.data = imgData?.data ? await encodeRgbaAsPng(width, height, decodedImageToRgba(imgData, placement.imageMask)) : null;
+            image.mimeType = image.data ? 'image/png' : null;
           }
-        } else if (counts.imageCount > 0) {
-          // Pokud nemáme XObject ale máme inline obrázky, pravděpodobně jde o sken
-          pagesWithLargeImages++;
+          pageImages.push(image);
         }
+      } catch (error) {
+        warnings.push(await recoverPageError(error, pageNum, { tolerant, page }));
+        continue;
       }
+      images.push(...pageImages);
       
-      // Explicitně uvolnit operator list
-      ops.fnArray = null;
-      ops.argsArray = null;
-      if (ops.commonObjs) ops.commonObjs = null;
-      if (ops.objs) ops.objs = null;
-    } catch (e) {
-      // Pokud analýza selže, pokračujeme
-    }
-    
-    page.cleanup();
-    
-    // GC po každé stránce pro minimální RAM
-    if (global.gc) {
-      global.gc();
+      page.cleanup();
+      processedPages.push(pageNum);
+      
+      // GC every 5 pages for maximum RAM savings
+      if ((i + 1) % 5 === 0 && global.gc) {
+        global.gc();
+      }
     }
+  } finally {
+    await destroyDocument(pdf);
   }
   
-  await pdf.destroy();
-  
-  // Document type classification
-  const avgImagesPerPage = totalImages / pagesToAnalyze;
-  const avgTextPerPage = totalText / pagesToAnalyze;
-  const avgVectorsPerPage = totalVectors / pagesToAnalyze;
-  const largeImageRatio = pagesWithLargeImages / pagesToAnalyze;
-  
-  let type = 'text';
-  let confidence = 0.8;
-  
-  // SCAN: low or near-zero text (< 30 items) and many images (0-100)
-  // Important: ignore > 100 images (probably detection error)
-  if (avgTextPerPage < 30 && avgImagesPerPage > 0 && avgImagesPerPage <= 100) {
-    type = 'scan';
-    confidence = Math.min(0.95, 0.7 + (avgImagesPerPage / 100) * 0.25);
-  }
-  // VECTOR: low or near-zero text (< 30 items), 0 images and vectors > 0
-  else if (avgTextPerPage < 30 && avgImagesPerPage === 0 && avgVectorsPerPage > 0) {
-    type = 'vector';
-    confidence = Math.min(0.9, 0.7 + (avgVectorsPerPage / 10) * 0.2);
-  }
-  // TEXT: anything else (default)
-  // - lots of text (>= 30 items)
-  // - or no images and vectors
-  else {
-    type = 'text';
-    confidence = Math.min(0.9, 0.6 + (avgTextPerPage / 100) * 0.3);
-  }
-  
-  return {
-    type,
-    confidence,
-    stats: {
-      totalPages: pdf.numPages,
-      sampledPages: pagesToAnalyze,
-      avgImagesPerPage: parseFloat(avgImagesPerPage.toFixed(2)),
-      avgVectorsPerPage: parseFloat(avgVectorsPerPage.toFixed(2)),
-      avgTextItemsPerPage: parseFloat(avgTextPerPage.toFixed(2)),
-      largeImageRatio: parseFloat(largeImageRatio.toFixed(2)),
-      estimatedTotalImages: Math.round(avgImagesPerPage * pdf.numPages),
-      estimatedTotalVectors: Math.round(avgVectorsPerPage * pdf.numPages)
-    }
-  };
+  return cacheEntry.save(buildResult());
 }
 
 /**
  * Efficient data extraction based on PDF type
  * Automatically selects the best method based on document type
  * 
- * @param {string|Buffer|Uint8Array} pdfSource - Path to PDF file, Buffer, or Uint8Array
- * @param {Object} options - Processing options
+ * @param {string|Buffer|Uint8Array|Readable|ReadableStream} pdfSource - Path to PDF file, Buffer, Uint8Array, or readable stream
+ * @param {ExtractOptions} options - Processing options
  * @param {Object} options.analysis - Pre-computed analysis from analyzePdfType (optional, skips analysis step)
  * @param {Function} options.onProgress - Progress callback
- * @returns {Promise<{text: string, imageCount: number, vectorCount: number, pages: number, pdfType: string}>}
+ * @param {Object|Function} options.classifier - Classifier config or function for the analysis step
+ * @param {boolean} options.includeMetadata - Whether to return document metadata and outline in `metadata`
+ * @param {Function} options.ocr - `async ({image, width, height, mimeType, pageNum, scale}) => string` called for scanned pages
+ * @param {number} options.ocrScale - Render scale for OCR images (default: 300 / 72, i.e. 300 DPI)
+ * @returns {Promise<{text: string, imageCount: number, vectorCount: number, pages: number, pdfType: string, processedPages: number[], ocrPages?: number[], pageResults?: Array, metadata?: Object, warnings?: Array, telemetry?: Object}>}
  */
 export async function extractPdfSmart(pdfSource, options = {}) {
   // Setup canvas polyfill for Node.js
   await setupCanvasPolyfill();
   
-  const { onProgress = null, analysis: precomputedAnalysis = null } = options;
+  const {
+    onProgress = null,
+    analysis: precomputedAnalysis = null,
+    includePages = false,
+    includeMetadata = false,
+    includeAnnotations = false,
+    textMode = 'plain',
+    ocr = null,
+    ocrScale = 300 / 72,
+    countingMode = 'operators',
+    tolerant = false
+  } = options;
+  assertTextMode(textMode);
+  assertCountingMode(countingMode);
+  if (ocr !== null && typeof ocr !== 'function') {
+    throw new TypeError('ocr must be a function');
+  }
+  const { config: classifierConfig, classify } = createClassifier(options.classifier);
+  // Analysis and extraction share one time limit
+  const abortScope = createAbortScope(options);
+  const budget = createMemoryBudget(options);
+  const cacheEntry = await openCacheEntry('extractPdfSmart', pdfSource, options);
+  if (cacheEntry.hit) return cacheEntry.result;
+  
+  // Streams can only be consumed once, so buffer them before analysis and extraction
+  const source = isStreamSource(cacheEntry.source) ? await readStreamSource(cacheEntry.source) : cacheEntry.source;
+  
+  // Remember the password accepted during analysis so onPassword is asked only once
+  let password = options.password;
+  const onPassword = options.onPassword && (async (request) => {
+    const newPassword = await options.onPassword(request);
+    if (typeof newPassword === 'string') password = newPassword;
+    return newPassword;
+  });
   
   let analysis;
   
@@ -567,7 +4767,19 @@ export async function extractPdfSmart(pdfSource, options = {}) {
     // First analyze PDF type (fast, low RAM)
     if (onProgress) onProgress({ stage: 'analyzing', progress: 0 });
     
-    analysis = await analyzePdfType(pdfSource, { samplePages: 5 });
+    try {
+      analysis = await analyzePdfType(source, {
+        ...options,
+        abortScope,
+        onPassword,
+        samplePages: 5,
+        contentHash: cacheEntry.contentHash ?? undefined
+      });
+    } catch (error) {
+      // No page has been extracted yet
+      if (error instanceof AbortError) error.partial = null;
+      throw error;
+    }
     
     if (onProgress) {
       onProgress({ 
@@ -579,105 +4791,355 @@ export async function extractPdfSmart(pdfSource, options = {}) {
     }
   }
   
-  // FOR ALL types: use ultra-efficient method WITHOUT getOperatorList
-  // This guarantees minimal RAM usage (< 100 MB) for any PDF
-  const data = loadPdfData(pdfSource);
-  
-  const loadingTask = pdfjsLib.getDocument({
-    data,
-    isEvalSupported: false,
-    useSystemFonts: true,
-    disableFontFace: true,
-    cMapUrl: null,
-    cMapPacked: false,
-    standardFontDataUrl: null,
-    stopAtErrors: true,
-    pdfBug: false,
-    enableXfa: false,
-    fontExtraProperties: false
-  });
-  
-  const pdf = await loadingTask.promise;
+  // Counted like the other extraction functions
+  const { pdf, transport } = await openPdfDocument(source, { ...options, abortScope, password, onPassword });
+  const pageNumbers = await selectPages(pdf, options);
+  const counter = createGraphicsCounter(countingMode, abortScope);
   
   let fullText = '';
-  let totalImages = 0;
-  let totalVectors = 0;
+  const pageResults = [];
+  const ocrPages = [];
+  const processedPages = [];
+  const warnings = [];
+  
+  // Result for the pages processed so far (also the partial result on abort)
+  const buildResult = (metadata = null) => {
+    const { imageCount: totalImages, vectorCount: totalVectors } = counter.totals();
+    const result = {
+      text: fullText.trim(),
+      imageCount: totalImages,
+      vectorCount: totalVectors,
+      pages: pdf.numPages,
+      pdfType: analysis.type,
+      confidence: analysis.confidence,
+      processedPages: [...processedPages]
+    };
+    if (ocr) result.ocrPages = ocrPages;
+    if (includeMetadata) result.metadata = metadata;
+    if (includePages) result.pageResults = pageResults;
+    if (tolerant) result.warnings = [...warnings];
+    if (transport) result.loading = transport.getStats();
+    if (budget.enabled) result.telemetry = budget.getStats(counter);
+    return result;
+  };
   
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
+  for (let i = 0; i < pageNumbers.length; i++) {
+    await abortScope.checkpoint(pdf, buildResult);
+    budget.startPage();
+    const pageNum = pageNumbers[i];
+    let page = null;
+    let pageText, textItemCount, pageImages, pageVectors;
+    let image = null;
+    let pageAnnotations = null;
+    try {
+      page = await pdf.getPage(pageNum);
+      
+      // Extract text
+      const textContent = await abortScope.run(page.getTextContent({
+        disableCombineTextItems: true,
+        includeMarkedContent: false
+      }));
+      pageText = buildPageText(textContent.items, textMode);
+      textItemCount = textContent.items.length;
+      const gibberishScore = ocr ? measureTextItems(textContent.items).gibberishScore : 0;
+      textContent.items = null;
+      
+      // OCR routing classifies this page from its own signals instead of the sampled analysis.
+      // pdf.js keeps the operator list until page.cleanup(), so counting below reuses it.
+      let scanPage = false;
+      if (ocr) {
+        const ops = await abortScope.run(page.getOperatorList({
+          intent: 'display',
+          annotationMode: pdfjsLib.AnnotationMode.DISABLE
+        }));
+        const signals = { textItems: textItemCount, gibberishScore, ...measureOperatorSignals(ops, classifierConfig) };
+        scanPage = classify(signals).type === 'scan';
+      }
+      
+      // Count images and vectors of the page
+      ({ imageCount: pageImages, vectorCount: pageVectors } = await counter.countPage(page));
+      
+      // Scanned pages are rendered for the OCR engine
+      if (scanPage) {
+        image = await renderPageImage(page, { scale: ocrScale, abortScope });
+      }
+      
+      if (includePages && includeAnnotations) {
+        pageAnnotations = await collectPageAnnotations(pdf, page, pageNum);
+      }
+    } catch (error) {
+      warnings.push(await recoverPageError(error, pageNum, { tolerant, pdf, page }));
+      continue;
+    }
     
-    // Extract text
-    const textContent = await page.getTextContent({
-      disableCombineTextItems: true,
-      includeMarkedContent: false
-    });
-    const pageText = textContent.items.map(item => item.str).join(' ');
+    // Errors of the OCR engine are not page errors and always propagate
+    let source = 'native';
+    if (image) {
+      const ocrText = await ocr({
+        image: image.data,
+        width: image.width,
+        height: image.height,
+        mimeType: image.mimeType,
+        pageNum,
+        scale: ocrScale
+      });
+      
+      if (typeof ocrText === 'string') {
+        pageText = ocrText;
+        source = 'ocr';
+        ocrPages.push(pageNum);
+      }
+    }
     fullText += pageText + '\n';
-    textContent.items = null;
     
-    // Count images and vectors WITHOUT loading data - only from dictionary!
-    try {
-      const resources = page._pageDict?.get('Resources');
-      
-      if (resources) {
-        // XObjects (images and forms)
-        const xobjects = resources.get('XObject');
-        if (xobjects && xobjects.getKeys) {
-          const keys = xobjects.getKeys();
-          for (const key of keys) {
-            try {
-              const xobj = xobjects.get(key);
-              if (xobj && xobj.get) {
-                const subtype = xobj.get('Subtype')?.name;
-                if (subtype === 'Image') {
-                  totalImages++;
-                } else if (subtype === 'Form') {
-                  totalVectors++;
-                }
-              }
-            } catch (e) {}
-          }
-        }
-        
-        // Vector graphics (Pattern, Shading) - directly from resources
-        const patterns = resources.get('Pattern');
-        const shadings = resources.get('Shading');
-        if (patterns && patterns.getKeys) {
-          totalVectors += patterns.getKeys().length;
-        }
-        if (shadings && shadings.getKeys) {
-          totalVectors += shadings.getKeys().length;
-        }
-      }
-    } catch (e) {}
+    if (includePages) {
+      pageResults.push({
+        pageNum,
+        text: pageText.trim(),
+        imageCount: pageImages,
+        vectorCount: pageVectors,
+        textItemCount,
+        ...getPageGeometry(page),
+        ...(ocr && { source }),
+        ...pageAnnotations
+      });
+    }
     
     page.cleanup();
+    processedPages.push(pageNum);
     
     if (onProgress) {
       onProgress({
         stage: 'extracting',
-        progress: 0.1 + (pageNum / pdf.numPages) * 0.9,
+        progress: 0.1 + ((i + 1) / pageNumbers.length) * 0.9,
         currentPage: pageNum,
         totalPages: pdf.numPages
       });
     }
     
     // GC every 5 pages for maximum RAM savings
-    if (pageNum % 5 === 0 && global.gc) {
+    if ((i + 1) % 5 === 0 && global.gc) {
       global.gc();
     }
+    
+    await budget.endPage(pageNum, { pdf, getPartial: buildResult });
   }
   
-  await pdf.destroy();
+  const metadata = includeMetadata ? await collectMetadata(pdf) : null;
   
-  return {
-    text: fullText.trim(),
-    imageCount: totalImages,
-    vectorCount: totalVectors,
-    pages: pdf.numPages,
-    pdfType: analysis.type,
-    confidence: analysis.confidence
+  await destroyDocument(pdf);
+  
+  return cacheEntry.save(buildResult(metadata));
+}
+
+const BATCH_WORKER_URL = new URL('./batch-worker.js', import.meta.url);
+
+/**
+ * Runs one document in a worker and settles with its outcome, never rejecting
+ * Timeouts terminate the worker; `alive: false` means the worker must be replaced
+ * @param {Worker} worker - Batch worker
+ * @param {Object} message - `{fn, source, options}` for the worker
+ * @param {Object} limits - `{timeoutMs, workerHeapMB}`
+ * @param {boolean} starting - Worker has not reported ready yet; the timeout starts once it has
+ * @returns {Promise<{ok: boolean, result?: Object, error?: Object, alive: boolean}>}
+ */
+function runBatchTask(worker, message, { timeoutMs, workerHeapMB }, starting) {
+  return new Promise(resolve => {
+    let timer = null;
+    
+    const finish = outcome => {
+      clearTimeout(timer);
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+      resolve(outcome);
+    };
+    const onMessage = reply => {
+      if (reply.ready) startTimer();
+      else finish({ ...reply, alive: true });
+    };
+    const onError = error => finish({
+      ok: false,
+      error: error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? { name: 'MemoryLimitError', message: `Worker exceeded the ${workerHeapMB} MB heap limit` }
+        : { name: error.name, message: error.message },
+      alive: false
+    });
+    const onExit = code => finish({
+      ok: false,
+      error: { name: 'Error', message: `Worker exited with code ${code}` },
+      alive: false
+    });
+    
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+    
+    // Loading the library in a new worker does not count towards the timeout
+    const startTimer = () => {
+      if (timeoutMs <= 0) return;
+      timer = setTimeout(() => {
+        finish({
+          ok: false,
+          error: { name: 'TimeoutError', message: `Processing took longer than ${timeoutMs} ms` },
+          alive: false
+        });
+        worker.terminate();
+      }, timeoutMs);
+    };
+    if (!starting) startTimer();
+    
+    try {
+      worker.postMessage(message);
+    } catch (error) {
+      // Source could not be cloned (e.g. a stream)
+      finish({ ok: false, error: { name: error.name, message: error.message }, alive: true });
+    }
+  });
+}
+
+/**
+ * Processes documents on a pool of worker threads
+ * Results are yielded in completion order; each entry reports success or failure,
+ * so one malformed, oversized or hanging PDF does not stop the batch
+ * 
+ * @param {Iterable|AsyncIterable<string|Buffer|Uint8Array>} sources - PDF paths or buffers
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Number of worker threads (default: available CPUs - 1, at least 1)
+ * @param {string} options.fn - Library function to run per document (default: 'extractPdfSmart')
+ * @param {Object} options.options - Options passed to `fn`; must be cloneable, so no callbacks
+ * @param {number} options.timeoutMs - Per-document time limit, 0 = none (default: 0)
+ * @param {number} options.workerHeapMB - Per-worker heap limit in MB, 0 = Node default (default: 0)
+ * @param {AbortSignal} options.signal - Stops the batch: workers are terminated and the iterator rejects with AbortError
+ * @param {Object} options.cache - Cache from createPdfCache, consulted on the main thread before a document is sent to a worker
+ * @returns {AsyncGenerator<{index: number, source: string|Buffer|Uint8Array, ok: boolean, result?: Object, error?: {name: string, message: string}, durationMs: number}>}
+ */
+export function processPdfBatch(sources, options = {}) {
+  return runPdfBatch(sources, resolveBatchOptions(sources, options));
+}
+
+/**
+ * Worker pool behind processPdfBatch
+ * @param {Iterable|AsyncIterable} sources - PDF paths or buffers
+ * @param {Object} settings - Validated batch settings
+ */
+async function* runPdfBatch(sources, { concurrency, fn, fnOptions, timeoutMs, workerHeapMB, signal, cache }) {
+  const iterator = typeof sources[Symbol.asyncIterator] === 'function'
+    ? sources[Symbol.asyncIterator]()
+    : sources[Symbol.iterator]();
+  const workerOptions = workerHeapMB > 0 ? { resourceLimits: { maxOldGenerationSizeMb: workerHeapMB } } : {};
+  const workers = new Set();
+  const completed = [];
+  const waitingSlots = [];
+  let nextIndex = 0;
+  let stopped = false;
+  let failure = null;
+  let abortError = null;
+  let wakeConsumer = null;
+  
+  const notifyConsumer = () => {
+    if (wakeConsumer) wakeConsumer();
+    wakeConsumer = null;
+  };
+  const resumeSlots = () => {
+    for (const resume of waitingSlots.splice(0)) resume();
+  };
+  
+  // Each slot owns one worker and processes documents one after another
+  const runSlot = async () => {
+    let worker = null;
+    while (!stopped) {
+      // Do not run ahead of a slow consumer
+      while (completed.length >= concurrency && !stopped) {
+        await new Promise(resolve => waitingSlots.push(resolve));
+      }
+      
+      const { value: source, done } = await iterator.next();
+      if (done || stopped) break;
+      const index = nextIndex++;
+      const startTime = Date.now();
+      
+      // Sources that cannot be hashed go to the worker, which reports the error
+      const cacheEntry = cache ? await openCacheEntry(fn, source, { ...fnOptions, cache }).catch(() => null) : null;
+      if (cacheEntry?.hit) {
+        completed.push({ index, source, ok: true, durationMs: Date.now() - startTime, result: cacheEntry.result });
+        notifyConsumer();
+        continue;
+      }
+      
+      const starting = !worker;
+      if (starting) {
+        worker = new Worker(BATCH_WORKER_URL, workerOptions);
+        workers.add(worker);
+      }
+      
+      const { ok, result, error, alive } = await runBatchTask(
+        worker,
+        { fn, source, options: fnOptions },
+        { timeoutMs, workerHeapMB },
+        starting
+      );
+      if (ok) await cacheEntry?.save(result);
+      const entry = { index, source, ok, durationMs: Date.now() - startTime };
+      if (ok) entry.result = result;
+      else entry.error = error;
+      completed.push(entry);
+      notifyConsumer();
+      
+      if (!alive) {
+        // Crashed, out of memory or timed out - replace the worker for the next document
+        workers.delete(worker);
+        await worker.terminate();
+        worker = null;
+      }
+    }
+  };
+  
+  // Results of documents still in flight are dropped; yielded ones are the partial result
+  const onAbort = () => {
+    abortError = new AbortError('aborted', { cause: signal.reason });
+    stopped = true;
+    resumeSlots();
+    notifyConsumer();
+    for (const worker of workers) worker.terminate();
   };
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  
+  let running = concurrency;
+  for (let i = 0; i < concurrency; i++) {
+    runSlot()
+      .catch(error => {
+        // Errors of the source iterator end the batch
+        failure = failure || error;
+        stopped = true;
+        resumeSlots();
+      })
+      .finally(() => {
+        running--;
+        notifyConsumer();
+      });
+  }
+  
+  try {
+    while (running > 0 || completed.length > 0) {
+      if (abortError) throw abortError;
+      if (completed.length === 0) {
+        await new Promise(resolve => { wakeConsumer = resolve; });
+        continue;
+      }
+      const entry = completed.shift();
+      resumeSlots();
+      yield entry;
+    }
+    if (abortError) throw abortError;
+    if (failure) throw failure;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    stopped = true;
+    resumeSlots();
+    await Promise.all([...workers].map(worker => worker.terminate()));
+  }
 }
 
 export default extractPdfData;
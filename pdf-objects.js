@@ -0,0 +1,1368 @@
+/**
+ * Reader for the indirect objects of a PDF file
+ * pdf.js keeps stream dictionaries and stored stream data inside its worker, so image
+ * details and stored image bytes are read here. Objects are located through the
+ * cross-reference data, which is rebuilt by scanning the file when it is damaged, and
+ * read on demand through a few cached blocks, so the file is never read as a whole.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+// Character classes of the PDF syntax: 1 = white-space, 2 = delimiter, 0 = regular
+const CHAR_CLASS = new Uint8Array(256);
+for (const code of [0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]) CHAR_CLASS[code] = 1;
+for (const char of '()<>[]{}/%') CHAR_CLASS[char.charCodeAt(0)] = 2;
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const INTEGER = /^\d+$/;
+
+// Keywords that end a dictionary or array that was not closed
+const STRUCTURE_KEYWORDS = new Set(['obj', 'endobj', 'stream', 'endstream', 'xref', 'trailer', 'startxref']);
+
+/**
+ * Malformed or unsupported data found while reading objects
+ */
+export class PdfObjectError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PdfObjectError';
+  }
+}
+
+// The data ended inside a token or object; the reader retries with more data
+class TruncatedDataError extends PdfObjectError {
+  constructor() {
+    super('Unexpected end of data');
+  }
+}
+
+/**
+ * Reference to an indirect object
+ */
+export class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+  
+  toString() {
+    return `${this.num} ${this.gen} R`;
+  }
+}
+
+/**
+ * Stream object: its dictionary and where its stored data lies in the file
+ */
+export class PdfStream {
+  constructor(dict, ref, offset, length) {
+    this.dict = dict;
+    this.ref = ref;
+    this.offset = offset;
+    this.length = length;
+  }
+}
+
+// Keyword found where a value was expected (e.g. ">>" or "endobj")
+class Keyword {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * Checks whether a parsed value is a dictionary
+ * @param {*} value - Parsed value
+ * @returns {boolean}
+ */
+export function isDictionary(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !Buffer.isBuffer(value) && !(value instanceof PdfRef) && !(value instanceof PdfStream);
+}
+
+/**
+ * Tokenizer and parser over bytes of PDF syntax
+ * Strings become Buffers, names become strings, dictionaries become plain objects
+ * and references become PdfRef instances.
+ */
+class Lexer {
+  /**
+   * @param {Buffer} bytes - Data
+   * @param {number} pos - Offset to start at
+   * @param {boolean} complete - Whether the data ends where the file (or stream) ends;
+   *   otherwise running out of data throws TruncatedDataError
+   */
+  constructor(bytes, pos = 0, complete = true) {
+    this.bytes = bytes;
+    this.pos = pos;
+    this.complete = complete;
+  }
+  
+  truncated() {
+    throw this.complete ? new PdfObjectError('Unexpected end of data') : new TruncatedDataError();
+  }
+  
+  skipSpace() {
+    const { bytes } = this;
+    while (this.pos < bytes.length) {
+      const code = bytes[this.pos];
+      if (CHAR_CLASS[code] === 1) {
+        this.pos++;
+      } else if (code === 0x25) {
+        // Comment up to the end of the line
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+  
+  /**
+   * Reads the next token
+   * @returns {{type: 'value'|'keyword', value: *, integer?: boolean}} Values are numbers, booleans,
+   *   null, names and strings; keywords include the delimiters "<<", ">>", "[" and "]"
+   */
+  next() {
+    this.skipSpace();
+    const { bytes } = this;
+    if (this.pos >= bytes.length) this.truncated();
+    
+    const code = bytes[this.pos];
+    switch (code) {
+      case 0x28:
+        return { type: 'value', value: this.readLiteralString() };
+      case 0x2f:
+        return { type: 'value', value: this.readName() };
+      case 0x3c:
+        if (this.pos + 1 >= bytes.length) this.truncated();
+        if (bytes[this.pos + 1] === 0x3c) {
+          this.pos += 2;
+          return { type: 'keyword', value: '<<' };
+        }
+        return { type: 'value', value: this.readHexString() };
+      case 0x3e:
+        if (this.pos + 1 >= bytes.length && !this.complete) this.truncated();
+        if (bytes[this.pos + 1] === 0x3e) {
+          this.pos += 2;
+          return { type: 'keyword', value: '>>' };
+        }
+        break;
+      default:
+        if (CHAR_CLASS[code] === 0) return this.readRegularToken();
+    }
+    
+    // Any other delimiter stands for itself
+    this.pos++;
+    return { type: 'keyword', value: String.fromCharCode(code) };
+  }
+  
+  readRegularToken() {
+    const { bytes } = this;
+    const start = this.pos;
+    while (this.pos < bytes.length && CHAR_CLASS[bytes[this.pos]] === 0) this.pos++;
+    if (this.pos >= bytes.length && !this.complete) this.truncated();
+    
+    const text = bytes.toString('latin1', start, this.pos);
+    if (NUMBER.test(text)) return { type: 'value', value: Number(text), integer: INTEGER.test(text) };
+    if (text === 'true' || text === 'false') return { type: 'value', value: text === 'true' };
+    if (text === 'null') return { type: 'value', value: null };
+    return { type: 'keyword', value: text };
+  }
+  
+  readLiteralString() {
+    const { bytes } = this;
+    const output = [];
+    let depth = 1;
+    let pos = this.pos + 1;
+    
+    for (;;) {
+      if (pos >= bytes.length) this.truncated();
+      const code = bytes[pos++];
+      
+      if (code === 0x5c) {
+        if (pos >= bytes.length) this.truncated();
+        const escaped = bytes[pos++];
+        switch (escaped) {
+          case 0x6e: output.push(0x0a); break;
+          case 0x72: output.push(0x0d); break;
+          case 0x74: output.push(0x09); break;
+          case 0x62: output.push(0x08); break;
+          case 0x66: output.push(0x0c); break;
+          case 0x0d:
+            // Line continuation: the backslash and the end of line are dropped
+            if (bytes[pos] === 0x0a) pos++;
+            break;
+          case 0x0a:
+            break;
+          default:
+            if (escaped >= 0x30 && escaped <= 0x37) {
+              // Up to three octal digits
+              let value = escaped - 0x30;
+              for (let k = 0; k < 2 && bytes[pos] >= 0x30 && bytes[pos] <= 0x37; k++) value = value * 8 + bytes[pos++] - 0x30;
+              output.push(value & 0xff);
+            } else {
+              // \( \) \\ and unknown escapes stand for the character itself
+              output.push(escaped);
+            }
+        }
+      } else if (code === 0x28) {
+        depth++;
+        output.push(code);
+      } else if (code === 0x29) {
+        if (--depth === 0) break;
+        output.push(code);
+      } else if (code === 0x0d) {
+        // Every end of line inside a string reads as a line feed
+        if (bytes[pos] === 0x0a) pos++;
+        output.push(0x0a);
+      } else {
+        output.push(code);
+      }
+    }
+    
+    this.pos = pos;
+    return Buffer.from(output);
+  }
+  
+  readHexString() {
+    const { bytes } = this;
+    const digits = [];
+    let pos = this.pos + 1;
+    
+    for (;;) {
+      if (pos >= bytes.length) this.truncated();
+      const code = bytes[pos++];
+      if (code === 0x3e) break;
+      const digit = hexDigit(code);
+      // White-space and invalid characters are skipped, like pdf.js does
+      if (digit !== -1) digits.push(digit);
+    }
+    // An odd number of digits is completed with a 0
+    if (digits.length % 2 === 1) digits.push(0);
+    
+    this.pos = pos;
+    const output = Buffer.alloc(digits.length / 2);
+    for (let i = 0; i < output.length; i++) output[i] = digits[i * 2] * 16 + digits[i * 2 + 1];
+    return output;
+  }
+  
+  readName() {
+    const { bytes } = this;
+    const start = this.pos + 1;
+    let pos = start;
+    while (pos < bytes.length && CHAR_CLASS[bytes[pos]] === 0) pos++;
+    if (pos >= bytes.length && !this.complete) this.truncated();
+    this.pos = pos;
+    
+    const raw = bytes.subarray(start, pos);
+    if (!raw.includes(0x23)) return raw.toString('latin1');
+    
+    // #xx escapes
+    const output = [];
+    for (let i = 0; i < raw.length; i++) {
+      const high = raw[i] === 0x23 && i + 2 < raw.length ? hexDigit(raw[i + 1]) : -1;
+      const low = high !== -1 ? hexDigit(raw[i + 2]) : -1;
+      if (low !== -1) {
+        output.push(high * 16 + low);
+        i += 2;
+      } else {
+        output.push(raw[i]);
+      }
+    }
+    return Buffer.from(output).toString('latin1');
+  }
+  
+  /**
+   * Parses the next object
+   * @returns {*} Value, or a Keyword when a keyword is found instead
+   */
+  parseValue() {
+    const token = this.next();
+    if (token.type === 'value') return token.integer ? this.readReference(token.value) : token.value;
+    if (token.value === '<<') return this.parseDictionary();
+    if (token.value === '[') return this.parseArray();
+    return new Keyword(token.value);
+  }
+  
+  // An integer may start a reference ("12 0 R")
+  readReference(num) {
+    const start = this.pos;
+    try {
+      const gen = this.next();
+      if (gen.integer) {
+        const keyword = this.next();
+        if (keyword.type === 'keyword' && keyword.value === 'R') return new PdfRef(num, gen.value);
+      }
+    } catch (error) {
+      // Not enough data to decide; the end of complete data ends the number
+      if (error instanceof TruncatedDataError) throw error;
+    }
+    this.pos = start;
+    return num;
+  }
+  
+  parseDictionary() {
+    const dict = {};
+    for (;;) {
+      const key = this.parseValue();
+      if (key instanceof Keyword) {
+        if (key.name === '>>') return dict;
+        if (STRUCTURE_KEYWORDS.has(key.name)) throw new PdfObjectError(`Unterminated dictionary before ${key.name}`);
+        continue;
+      }
+      // Keys must be names; anything else is skipped
+      if (typeof key !== 'string') continue;
+      
+      const value = this.parseValue();
+      if (value instanceof Keyword) {
+        if (value.name === '>>') return dict;
+        if (STRUCTURE_KEYWORDS.has(value.name)) throw new PdfObjectError(`Unterminated dictionary before ${value.name}`);
+        continue;
+      }
+      // Keeps a "__proto__" key an own property
+      Object.defineProperty(dict, key, { value, enumerable: true, writable: true, configurable: true });
+    }
+  }
+  
+  parseArray() {
+    const array = [];
+    for (;;) {
+      const item = this.parseValue();
+      if (item instanceof Keyword) {
+        if (item.name === ']') return array;
+        if (STRUCTURE_KEYWORDS.has(item.name)) throw new PdfObjectError(`Unterminated array before ${item.name}`);
+        continue;
+      }
+      array.push(item);
+    }
+  }
+}
+
+/**
+ * Value of a hexadecimal digit
+ * @param {number} code - Character code
+ * @returns {number} 0-15, or -1 for other characters
+ */
+function hexDigit(code) {
+  if (code >= 0x30 && code <= 0x39) return code - 0x30;
+  if (code >= 0x41 && code <= 0x46) return code - 0x37;
+  if (code >= 0x61 && code <= 0x66) return code - 0x57;
+  return -1;
+}
+
+/**
+ * Parses one object from bytes of PDF syntax
+ * @param {Buffer} bytes - Data
+ * @param {number} offset - Offset to start parsing at
+ * @returns {{value: *, end: number}}
+ */
+export function parsePdfValue(bytes, offset = 0) {
+  const lexer = new Lexer(bytes, offset);
+  const value = lexer.parseValue();
+  if (value instanceof Keyword) throw new PdfObjectError(`Unexpected ${value.name}`);
+  return { value, end: lexer.pos };
+}
+
+/**
+ * Parses an indirect object ("12 0 obj ... endobj") up to the start of its stream data
+ * @param {Buffer} bytes - Data starting at the object
+ * @param {boolean} complete - Whether the data ends where the file ends
+ * @returns {{num: number, gen: number, value: *, streamStart: number|null}|null} Null if no object starts there
+ */
+function parseIndirectObject(bytes, complete) {
+  const lexer = new Lexer(bytes, 0, complete);
+  const num = lexer.next();
+  const gen = lexer.next();
+  const keyword = lexer.next();
+  if (!num.integer || !gen.integer || keyword.type !== 'keyword' || keyword.value !== 'obj') return null;
+  
+  let value = lexer.parseValue();
+  if (value instanceof Keyword) {
+    if (value.name !== 'endobj') throw new PdfObjectError(`Unexpected ${value.name} in object ${num.value} ${gen.value}`);
+    // Empty object
+    return { num: num.value, gen: gen.value, value: null, streamStart: null };
+  }
+  
+  let streamStart = null;
+  if (isDictionary(value)) {
+    lexer.skipSpace();
+    if (lexer.pos + 7 > bytes.length && !complete) lexer.truncated();
+    if (bytes.toString('latin1', lexer.pos, lexer.pos + 6) === 'stream') {
+      // The data starts after CRLF or LF (a lone CR is accepted too)
+      streamStart = lexer.pos + 6;
+      if (bytes[streamStart] === 0x0d) streamStart++;
+      if (bytes[streamStart] === 0x0a) streamStart++;
+    }
+  }
+  return { num: num.value, gen: gen.value, value, streamStart };
+}
+
+// Filter abbreviations that pdf.js accepts in stream dictionaries too
+const FILTER_ABBREVIATIONS = {
+  AHx: 'ASCIIHexDecode',
+  A85: 'ASCII85Decode',
+  LZW: 'LZWDecode',
+  Fl: 'FlateDecode',
+  RL: 'RunLengthDecode',
+  CCF: 'CCITTFaxDecode',
+  DCT: 'DCTDecode'
+};
+
+// Filters that encode image data; decoding stops there
+const IMAGE_FILTERS = new Set(['DCTDecode', 'JPXDecode', 'JBIG2Decode', 'CCITTFaxDecode']);
+
+/**
+ * Reverses the TIFF predictor (Predictor 2) of decoded rows
+ * @param {Buffer} data - Predicted rows
+ * @param {number} colors - Components per pixel
+ * @param {number} bits - Bits per component
+ * @param {number} columns - Pixels per row
+ * @returns {Buffer}
+ */
+function undoTiffPredictor(data, colors, bits, columns) {
+  const rowLength = Math.ceil(columns * colors * bits / 8);
+  const output = Buffer.from(data);
+  const rows = Math.floor(output.length / rowLength);
+  const mask = (1 << bits) - 1;
+  
+  for (let row = 0; row < rows; row++) {
+    const base = row * rowLength;
+    if (bits === 8) {
+      for (let i = colors; i < rowLength; i++) output[base + i] = (output[base + i] + output[base + i - colors]) & 0xff;
+    } else if (bits === 16) {
+      for (let i = colors * 2; i + 1 < rowLength; i += 2) {
+        const value = output.readUInt16BE(base + i) + output.readUInt16BE(base + i - colors * 2);
+        output.writeUInt16BE(value & 0xffff, base + i);
+      }
+    } else {
+      // 1, 2 or 4 bits: components are packed into bytes
+      const get = (k) => (output[base + ((k * bits) >> 3)] >> (8 - bits - ((k * bits) & 7))) & mask;
+      const set = (k, value) => {
+        const index = base + ((k * bits) >> 3);
+        const shift = 8 - bits - ((k * bits) & 7);
+        output[index] = (output[index] & ~(mask << shift)) | ((value & mask) << shift);
+      };
+      for (let k = colors; k < columns * colors; k++) set(k, get(k) + get(k - colors));
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Reverses PNG row prediction (Predictor 10-15) of decoded data
+ * @param {Buffer} data - Predicted rows, each with a leading filter type byte
+ * @param {number} colors - Components per pixel
+ * @param {number} bits - Bits per component
+ * @param {number} columns - Pixels per row
+ * @returns {Buffer}
+ */
+function undoPngPredictor(data, colors, bits, columns) {
+  const bytesPerPixel = Math.max(1, Math.ceil(colors * bits / 8));
+  const rowLength = Math.ceil(columns * colors * bits / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+  
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const input = row * (rowLength + 1) + 1;
+    const out = row * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? output[out + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[out - rowLength + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[out - rowLength + i - bytesPerPixel] : 0;
+      let value = data[input + i];
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += (left + up) >> 1;
+      else if (type === 4) {
+        // Paeth predictor
+        const estimate = left + up - upLeft;
+        const [a, b, c] = [left, up, upLeft].map(v => Math.abs(estimate - v));
+        value += a <= b && a <= c ? left : b <= c ? up : upLeft;
+      }
+      output[out + i] = value & 0xff;
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Reverses the predictor named in the decode parameters of a Flate or LZW filter
+ * @param {Buffer} data - Decoded data
+ * @param {Object|null} params - DecodeParms dictionary
+ * @returns {Buffer}
+ */
+function undoPredictor(data, params) {
+  const integer = (value, fallback) => (Number.isInteger(value) && value > 0 ? value : fallback);
+  const predictor = integer(params?.Predictor, 1);
+  if (predictor === 1) return data;
+  
+  const colors = integer(params.Colors, 1);
+  const bits = integer(params.BitsPerComponent, 8);
+  const columns = integer(params.Columns, 1);
+  if (![1, 2, 4, 8, 16].includes(bits)) throw new PdfObjectError(`Unsupported predictor bit depth ${bits}`);
+  if (predictor === 2) return undoTiffPredictor(data, colors, bits, columns);
+  if (predictor >= 10) return undoPngPredictor(data, colors, bits, columns);
+  throw new PdfObjectError(`Unsupported predictor ${predictor}`);
+}
+
+/**
+ * Decodes LZWDecode data
+ * @param {Buffer} data - Encoded data
+ * @param {number} earlyChange - EarlyChange parameter (default: 1)
+ * @returns {Buffer}
+ */
+function lzwDecode(data, earlyChange = 1) {
+  // Table entries as prefix code + last byte; 256 = clear, 257 = end of data
+  const prefixes = new Int32Array(4096);
+  const suffixes = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  const firstBytes = new Uint8Array(4096);
+  for (let code = 0; code < 256; code++) {
+    prefixes[code] = -1;
+    suffixes[code] = code;
+    lengths[code] = 1;
+    firstBytes[code] = code;
+  }
+  
+  let output = Buffer.alloc(Math.max(1024, data.length * 4));
+  let outputLength = 0;
+  const write = (code) => {
+    const length = lengths[code];
+    if (outputLength + length > output.length) {
+      const grown = Buffer.alloc(Math.max(output.length * 2, outputLength + length));
+      output.copy(grown, 0, 0, outputLength);
+      output = grown;
+    }
+    for (let k = length - 1, c = code; k >= 0; k--, c = prefixes[c]) output[outputLength + k] = suffixes[c];
+    outputLength += length;
+  };
+  
+  let nextCode = 258;
+  let codeLength = 9;
+  let previous = -1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let pos = 0;
+  
+  const addEntry = (prefix, byte) => {
+    if (nextCode >= 4096) return;
+    prefixes[nextCode] = prefix;
+    suffixes[nextCode] = byte;
+    lengths[nextCode] = lengths[prefix] + 1;
+    firstBytes[nextCode] = firstBytes[prefix];
+    nextCode++;
+  };
+  
+  for (;;) {
+    while (bitCount < codeLength && pos < data.length) {
+      bitBuffer = ((bitBuffer << 8) | data[pos++]) & 0xffffff;
+      bitCount += 8;
+    }
+    // Missing end-of-data code
+    if (bitCount < codeLength) break;
+    const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+    bitCount -= codeLength;
+    
+    if (code === 256) {
+      nextCode = 258;
+      codeLength = 9;
+      previous = -1;
+      continue;
+    }
+    if (code === 257) break;
+    
+    if (previous === -1) {
+      if (code > 255) throw new PdfObjectError('Invalid LZW data');
+      write(code);
+    } else if (code < nextCode) {
+      write(code);
+      addEntry(previous, firstBytes[code]);
+    } else if (code === nextCode) {
+      addEntry(previous, firstBytes[previous]);
+      write(code);
+    } else {
+      throw new PdfObjectError('Invalid LZW data');
+    }
+    previous = code;
+    if (nextCode + earlyChange >= 1 << codeLength && codeLength < 12) codeLength++;
+  }
+  
+  return output.subarray(0, outputLength);
+}
+
+/**
+ * Decodes ASCIIHexDecode data
+ * @param {Buffer} data - Encoded data
+ * @returns {Buffer}
+ */
+function asciiHexDecode(data) {
+  const end = data.indexOf(0x3e);
+  return new Lexer(Buffer.concat([Buffer.from('<'), data.subarray(0, end === -1 ? data.length : end), Buffer.from('>')])).readHexString();
+}
+
+/**
+ * Decodes ASCII85Decode data
+ * @param {Buffer} data - Encoded data
+ * @returns {Buffer}
+ */
+function ascii85Decode(data) {
+  const output = [];
+  const group = [];
+  
+  const flush = (count) => {
+    // A final partial group is padded with "u" (84)
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    for (let k = 0; k < count; k++) output.push((value >>> (24 - k * 8)) & 0xff);
+    group.length = 0;
+  };
+  
+  for (let i = 0; i < data.length; i++) {
+    const code = data[i];
+    if (code === 0x7e) break;
+    if (CHAR_CLASS[code] === 1) continue;
+    if (code === 0x7a && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    if (code < 0x21 || code > 0x75) throw new PdfObjectError('Invalid ASCII85 data');
+    group.push(code - 0x21);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+  
+  return Buffer.from(output);
+}
+
+/**
+ * Decodes RunLengthDecode data
+ * @param {Buffer} data - Encoded data
+ * @returns {Buffer}
+ */
+function runLengthDecode(data) {
+  const parts = [];
+  for (let pos = 0; pos < data.length;) {
+    const length = data[pos++];
+    if (length === 128) break;
+    if (length < 128) {
+      parts.push(data.subarray(pos, pos + length + 1));
+      pos += length + 1;
+    } else {
+      parts.push(Buffer.alloc(257 - length, data[pos++] ?? 0));
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Undoes the general-purpose filters of stream data
+ * Decoding stops at the first image codec (DCT, JPX, JBIG2, CCITT), whose data is left
+ * as it is, so a JPEG behind a Flate filter comes out as a JPEG file.
+ * @param {Buffer} data - Stored stream data
+ * @param {string[]} filters - Filter names, in the order they are to be undone
+ * @param {Array<Object|null>} params - Decode parameters of each filter
+ * @returns {{data: Buffer, filters: string[]}} Decoded data and the filters still applied to it
+ */
+export function decodeStreamData(data, filters, params = []) {
+  for (let i = 0; i < filters.length; i++) {
+    const filter = FILTER_ABBREVIATIONS[filters[i]] ?? filters[i];
+    if (IMAGE_FILTERS.has(filter)) return { data, filters: filters.slice(i) };
+    
+    const parms = isDictionary(params[i]) ? params[i] : null;
+    switch (filter) {
+      case 'FlateDecode':
+        try {
+          // Like pdf.js, accept data that ends without a final block
+          data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (error) {
+          throw new PdfObjectError(`Cannot inflate stream data: ${error.message}`, { cause: error });
+        }
+        data = undoPredictor(data, parms);
+        break;
+      case 'LZWDecode':
+        data = undoPredictor(lzwDecode(data, parms?.EarlyChange === 0 ? 0 : 1), parms);
+        break;
+      case 'ASCIIHexDecode':
+        data = asciiHexDecode(data);
+        break;
+      case 'ASCII85Decode':
+        data = ascii85Decode(data);
+        break;
+      case 'RunLengthDecode':
+        data = runLengthDecode(data);
+        break;
+      case 'Crypt':
+        // Decryption is done by the reader, before the other filters
+        break;
+      default:
+        throw new PdfObjectError(`Unsupported filter ${filter}`);
+    }
+  }
+  
+  return { data, filters: [] };
+}
+
+// Padding of passwords for the standard security handler (ISO 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = Buffer.from('28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A', 'hex');
+
+const hash = (algorithm, ...parts) => {
+  const digest = crypto.createHash(algorithm);
+  for (const part of parts) digest.update(part);
+  return digest.digest();
+};
+
+const padPassword = password => Buffer.concat([password.subarray(0, 32), PASSWORD_PADDING]).subarray(0, 32);
+
+/**
+ * RC4 cipher (OpenSSL 3 no longer provides it by default)
+ * @param {Buffer} key - Key
+ * @param {Buffer} data - Data
+ * @returns {Buffer}
+ */
+function rc4(key, data) {
+  const state = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) state[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+  
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[k] = data[k] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+}
+
+/**
+ * Decrypts AES-CBC data that starts with its initialization vector
+ * @param {Buffer} key - 16 or 32 byte key
+ * @param {Buffer} data - IV followed by the encrypted data
+ * @returns {Buffer}
+ */
+function aesDecrypt(key, data) {
+  if (data.length < 32) return Buffer.alloc(0);
+  const iv = data.subarray(0, 16);
+  const body = data.subarray(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+  const algorithm = key.length === 32 ? 'aes-256-cbc' : 'aes-128-cbc';
+  
+  const run = (padding) => {
+    const decipher = crypto.createDecipheriv(algorithm, key, iv);
+    decipher.setAutoPadding(padding);
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+  };
+  try {
+    return run(true);
+  } catch {
+    // Invalid padding: keep all the data, like pdf.js does
+    return run(false);
+  }
+}
+
+/**
+ * Derives the file key of revisions 2-4 from a padded user password (Algorithm 2)
+ * @param {Buffer} password - User password
+ * @param {Object} params - Security handler parameters
+ * @returns {Buffer}
+ */
+function computeRc4FileKey(password, { O, P, fileId, revision, keyLength, encryptMetadata }) {
+  const permissions = Buffer.alloc(4);
+  permissions.writeUInt32LE(P >>> 0);
+  const parts = [padPassword(password), O.subarray(0, 32), permissions, fileId];
+  if (revision >= 4 && !encryptMetadata) parts.push(Buffer.from([0xff, 0xff, 0xff, 0xff]));
+  
+  let key = hash('md5', ...parts);
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) key = hash('md5', key.subarray(0, keyLength));
+  }
+  return key.subarray(0, keyLength);
+}
+
+/**
+ * Checks a file key against the /U entry (Algorithms 4 and 5)
+ * @param {Buffer} key - File key
+ * @param {Object} params - Security handler parameters
+ * @returns {boolean}
+ */
+function checkRc4FileKey(key, { U, fileId, revision }) {
+  if (revision === 2) return rc4(key, PASSWORD_PADDING).equals(U.subarray(0, 32));
+  
+  let value = rc4(key, hash('md5', PASSWORD_PADDING, fileId));
+  for (let i = 1; i <= 19; i++) value = rc4(key.map(byte => byte ^ i), value);
+  return value.equals(U.subarray(0, 16));
+}
+
+/**
+ * Recovers the padded user password from the owner password (Algorithm 7)
+ * @param {Buffer} ownerPassword - Owner password
+ * @param {Object} params - Security handler parameters
+ * @returns {Buffer}
+ */
+function recoverUserPassword(ownerPassword, { O, revision, keyLength }) {
+  let key = hash('md5', padPassword(ownerPassword));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) key = hash('md5', key);
+  }
+  key = key.subarray(0, revision === 2 ? 5 : keyLength);
+  
+  if (revision === 2) return rc4(key, O.subarray(0, 32));
+  let value = O.subarray(0, 32);
+  for (let i = 19; i >= 0; i--) value = rc4(key.map(byte => byte ^ i), value);
+  return value;
+}
+
+/**
+ * Password hash of revision 6 (ISO 32000-2, Algorithm 2.B)
+ * @param {Buffer} password - UTF-8 password
+ * @param {Buffer} salt - Validation or key salt
+ * @param {Buffer} userData - First 48 bytes of /U for owner passwords, otherwise empty
+ * @returns {Buffer}
+ */
+function hardenedHash(password, salt, userData) {
+  let key = hash('sha256', password, salt, userData);
+  let encrypted = null;
+  
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, key, userData]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    encrypted = Buffer.concat([cipher.update(Buffer.concat(new Array(64).fill(block))), cipher.final()]);
+    
+    // The first 16 bytes as a number modulo 3 (256 is 1 modulo 3, so the byte sum will do)
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += encrypted[i];
+    key = hash(['sha256', 'sha384', 'sha512'][sum % 3], encrypted);
+  }
+  
+  return key.subarray(0, 32);
+}
+
+/**
+ * Derives the AES-256 file key of revisions 5 and 6 from the user or owner password
+ * @param {Buffer} password - UTF-8 password
+ * @param {Object} params - Security handler parameters
+ * @returns {Buffer|null} File key, or null if the password matches neither
+ */
+function computeAes256FileKey(password, { O, U, OE, UE, revision }) {
+  const passwordHash = revision === 6 ? hardenedHash : (...parts) => hash('sha256', ...parts);
+  const userData = U.subarray(0, 48);
+  const none = Buffer.alloc(0);
+  
+  const unwrap = (key, wrapped) => {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.alloc(16));
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(wrapped.subarray(0, 32)), decipher.final()]);
+  };
+  
+  if (passwordHash(password, O.subarray(32, 40), userData).equals(O.subarray(0, 32))) {
+    return unwrap(passwordHash(password, O.subarray(40, 48), userData), OE);
+  }
+  if (passwordHash(password, U.subarray(32, 40), none).equals(U.subarray(0, 32))) {
+    return unwrap(passwordHash(password, U.subarray(40, 48), none), UE);
+  }
+  return null;
+}
+
+/**
+ * Creates the decryption of the standard security handler
+ * @param {Object} encrypt - /Encrypt dictionary, with /CF and its entries resolved
+ * @param {Buffer} fileId - First element of the trailer /ID
+ * @param {string} password - Password the document was opened with
+ * @returns {{decryptString: Function, decryptStream: Function, encryptMetadata: boolean}}
+ */
+function createSecurityHandler(encrypt, fileId, password) {
+  if (encrypt.Filter !== 'Standard') throw new PdfObjectError(`Unsupported security handler ${encrypt.Filter}`);
+  
+  const version = encrypt.V ?? 0;
+  const revision = encrypt.R;
+  const bytes = value => (Buffer.isBuffer(value) ? value : Buffer.alloc(0));
+  const params = {
+    O: bytes(encrypt.O),
+    U: bytes(encrypt.U),
+    OE: bytes(encrypt.OE),
+    UE: bytes(encrypt.UE),
+    P: Number.isInteger(encrypt.P) ? encrypt.P : 0,
+    fileId,
+    revision,
+    encryptMetadata: encrypt.EncryptMetadata !== false
+  };
+  
+  let fileKey = null;
+  if (version === 5 && (revision === 5 || revision === 6)) {
+    fileKey = computeAes256FileKey(Buffer.from(password, 'utf8').subarray(0, 127), params);
+  } else if ((version === 1 || version === 2 || version === 4) && revision >= 2 && revision <= 4) {
+    const bits = Number.isInteger(encrypt.Length) ? encrypt.Length : version === 4 ? 128 : 40;
+    params.keyLength = version === 1 || revision === 2 ? 5 : Math.min(16, Math.max(5, bits >> 3));
+    
+    const passwordBytes = Buffer.from(password, 'latin1');
+    for (const userPassword of [passwordBytes, recoverUserPassword(passwordBytes, params)]) {
+      const key = computeRc4FileKey(userPassword, params);
+      if (checkRc4FileKey(key, params)) {
+        fileKey = key;
+        break;
+      }
+    }
+  } else {
+    throw new PdfObjectError(`Unsupported standard security handler version ${version}, revision ${revision}`);
+  }
+  if (!fileKey) throw new PdfObjectError('The password does not decrypt the document');
+  
+  // Crypt filter method by crypt filter name; before version 4 everything is RC4
+  const cryptFilters = isDictionary(encrypt.CF) ? encrypt.CF : {};
+  const methodOf = (name) => {
+    if (version < 4) return 'V2';
+    if (name === 'Identity') return 'None';
+    return cryptFilters[name]?.CFM ?? 'None';
+  };
+  const stringMethod = methodOf(encrypt.StrF ?? 'Identity');
+  const streamFilter = encrypt.StmF ?? 'Identity';
+  
+  const objectKey = (ref, aes) => {
+    const suffix = Buffer.from([ref.num, ref.num >> 8, ref.num >> 16, ref.gen, ref.gen >> 8].map(byte => byte & 0xff));
+    const key = hash('md5', fileKey, suffix, Buffer.from(aes ? 'sAlT' : '', 'latin1'));
+    return key.subarray(0, Math.min(fileKey.length + 5, 16));
+  };
+  const decrypt = (data, ref, method) => {
+    switch (method) {
+      case 'None':
+        return data;
+      case 'V2':
+        return rc4(objectKey(ref, false), data);
+      case 'AESV2':
+        return aesDecrypt(objectKey(ref, true), data);
+      case 'AESV3':
+        return aesDecrypt(fileKey, data);
+      default:
+        throw new PdfObjectError(`Unsupported crypt filter method ${method}`);
+    }
+  };
+  
+  return {
+    decryptString: (data, ref) => decrypt(data, ref, stringMethod),
+    decryptStream: (data, ref, cryptFilter = streamFilter) => decrypt(data, ref, methodOf(cryptFilter)),
+    encryptMetadata: params.encryptMetadata
+  };
+}
+
+// Objects and decoded object streams kept by one reader
+const OBJECT_CACHE_SIZE = 1024;
+const OBJECT_STREAM_CACHE_SIZE = 4;
+// Data read for one object at first; grown until the object is complete
+const OBJECT_WINDOW = 1024;
+const OBJECT_MAX_SIZE = 16 * 1024 * 1024;
+// Small objects lie close together, so reads go through a few cached aligned blocks
+const BLOCK_SIZE = 4096;
+const BLOCK_CACHE_SIZE = 32;
+// Data scanned at a time when the cross-reference data has to be rebuilt
+const SCAN_CHUNK_SIZE = 1024 * 1024;
+const SCAN_OVERLAP = 1024;
+
+/**
+ * Adds an entry to a size-limited Map, dropping the oldest entry
+ * @param {Map} cache - Cache
+ * @param {*} key - Key
+ * @param {*} value - Value
+ * @param {number} maxSize - Maximum number of entries
+ */
+function setBounded(cache, key, value, maxSize) {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > maxSize) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * Opens a reader for the indirect objects of a document
+ * Encrypted documents are decrypted with the standard security handler (RC4 and AES),
+ * given the password the document was opened with.
+ * 
+ * @param {{length: number, read: Function}} source - Byte source; `read(begin, end)` resolves with a Buffer
+ * @param {Object} options - Reader options
+ * @param {string} options.password - User or owner password (default: '')
+ * @returns {Promise<{trailer: Object, resolve: Function, readStream: Function}>} `resolve(value)` reads
+ *   what a reference points to; `readStream(value, {decode})` reads the data of a stream
+ */
+export async function openObjectReader(source, { password = '' } = {}) {
+  // Object number -> {type: 0} (free), {type: 1, offset, gen} or {type: 2, stream, index}
+  const entries = new Map();
+  const objects = new Map();
+  const objectStreams = new Map();
+  const blocks = new Map();
+  let security = null;
+  let encryptRef = null;
+  let rebuilt = false;
+  
+  const readBytes = async (begin, end) => {
+    end = Math.min(end, source.length);
+    if (end <= begin) return Buffer.alloc(0);
+    const first = Math.floor(begin / BLOCK_SIZE);
+    const last = Math.floor((end - 1) / BLOCK_SIZE);
+    if (last - first >= BLOCK_CACHE_SIZE / 4) return source.read(begin, end);
+    
+    const parts = [];
+    for (let index = first; index <= last; index++) {
+      const block = blocks.get(index) ?? await source.read(index * BLOCK_SIZE, (index + 1) * BLOCK_SIZE);
+      setBounded(blocks, index, block, BLOCK_CACHE_SIZE);
+      parts.push(block);
+    }
+    const joined = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+    return joined.subarray(begin - first * BLOCK_SIZE, end - first * BLOCK_SIZE);
+  };
+  
+  // Parses an indirect object at an offset, reading more data until it is complete
+  const readObjectAt = async (offset) => {
+    for (let size = OBJECT_WINDOW; ; size *= 4) {
+      const end = Math.min(offset + size, source.length);
+      try {
+        const object = parseIndirectObject(await readBytes(offset, end), end === source.length);
+        if (object?.streamStart != null) {
+          const ref = new PdfRef(object.num, object.gen);
+          const dataStart = offset + object.streamStart;
+          object.value = new PdfStream(object.value, ref, dataStart, await locateStreamData(dataStart, object.value));
+        }
+        return object;
+      } catch (error) {
+        if (!(error instanceof TruncatedDataError)) throw error;
+        if (size >= OBJECT_MAX_SIZE) throw new PdfObjectError(`Object at offset ${offset} is larger than ${OBJECT_MAX_SIZE} bytes`);
+      }
+    }
+  };
+  
+  // Length of the stored data of a stream; a wrong /Length is replaced by the distance to "endstream"
+  const locateStreamData = async (dataStart, dict) => {
+    const length = await resolve(dict.Length);
+    if (Number.isInteger(length) && length >= 0 && dataStart + length <= source.length) {
+      const after = (await readBytes(dataStart + length, dataStart + length + 32)).toString('latin1');
+      if (/^[\0\t\n\f\r ]*endstream/.test(after)) return length;
+    }
+    
+    for (let pos = dataStart; pos < source.length; pos += SCAN_CHUNK_SIZE) {
+      const chunk = await source.read(pos, pos + SCAN_CHUNK_SIZE + 9);
+      const found = chunk.indexOf('endstream', 0, 'latin1');
+      if (found !== -1) {
+        // The end-of-line marker before "endstream" is not part of the data
+        let end = pos + found;
+        if (end > dataStart && chunk[end - pos - 1] === 0x0a) end--;
+        if (end > dataStart && chunk[end - pos - 1] === 0x0d) end--;
+        return end - dataStart;
+      }
+    }
+    throw new PdfObjectError(`Stream data at offset ${dataStart} has no end`);
+  };
+  
+  // Strings of encrypted objects are decrypted with the key of the object
+  const decryptStrings = (value, ref) => {
+    if (Buffer.isBuffer(value)) return security.decryptString(value, ref);
+    if (Array.isArray(value)) return value.map(item => decryptStrings(item, ref));
+    if (isDictionary(value)) {
+      for (const [key, item] of Object.entries(value)) value[key] = decryptStrings(item, ref);
+    } else if (value instanceof PdfStream) {
+      decryptStrings(value.dict, ref);
+    }
+    return value;
+  };
+  
+  const readUncompressedObject = async (offset, num, gen) => {
+    const object = await readObjectAt(offset);
+    if (!object || object.num !== num || object.gen !== gen) return undefined;
+    const isEncryptDict = encryptRef && encryptRef.num === num && encryptRef.gen === gen;
+    return security && !isEncryptDict ? decryptStrings(object.value, new PdfRef(num, gen)) : object.value;
+  };
+  
+  const readObjectStream = async (num) => {
+    let container = objectStreams.get(num);
+    if (container) return container;
+    
+    const stream = await readObject(num, 0);
+    if (!(stream instanceof PdfStream) || !Number.isInteger(stream.dict.First) || !Number.isInteger(stream.dict.N)) {
+      throw new PdfObjectError(`Object ${num} 0 is not an object stream`);
+    }
+    const { data } = await readStream(stream, { decode: true });
+    // Header: pairs of object number and offset relative to /First
+    const lexer = new Lexer(data.subarray(0, stream.dict.First));
+    const offsets = new Map();
+    const order = [];
+    for (let i = 0; i < stream.dict.N; i++) {
+      const objectNum = lexer.next();
+      const objectOffset = lexer.next();
+      if (!objectNum.integer || !objectOffset.integer) throw new PdfObjectError(`Invalid header of object stream ${num} 0`);
+      offsets.set(objectNum.value, stream.dict.First + objectOffset.value);
+      order.push(objectNum.value);
+    }
+    
+    container = { data, offsets, order };
+    setBounded(objectStreams, num, container, OBJECT_STREAM_CACHE_SIZE);
+    return container;
+  };
+  
+  const readCompressedObject = async ({ stream }, num) => {
+    const { data, offsets } = await readObjectStream(stream);
+    if (!offsets.has(num)) return undefined;
+    const value = new Lexer(data, offsets.get(num)).parseValue();
+    return value instanceof Keyword ? null : value;
+  };
+  
+  // Value of an object; undefined if the cross-reference data points to something else
+  const readEntry = async (num, gen) => {
+    const entry = entries.get(num);
+    if (entry?.type === 1 && entry.gen === gen) return readUncompressedObject(entry.offset, num, gen);
+    if (entry?.type === 2 && gen === 0) return readCompressedObject(entry, num);
+    return null;
+  };
+  
+  const readObject = async (num, gen) => {
+    const key = `${num} ${gen}`;
+    if (objects.has(key)) {
+      const value = objects.get(key);
+      setBounded(objects, key, value, OBJECT_CACHE_SIZE);
+      return value;
+    }
+    
+    let value;
+    try {
+      value = await readEntry(num, gen);
+    } catch (error) {
+      // Something else than an object at the offset is handled like a wrong offset, once
+      if (!(error instanceof PdfObjectError) || rebuilt) throw error;
+    }
+    if (value === undefined && !rebuilt) {
+      // Wrong offsets: like pdf.js, rebuild the cross-reference data from the file
+      const { objectStreams: streamNums } = await scanObjects();
+      await indexObjectStreams(streamNums);
+      value = await readEntry(num, gen);
+    }
+    
+    value ??= null;
+    setBounded(objects, key, value, OBJECT_CACHE_SIZE);
+    return value;
+  };
+  
+  const resolve = async value => (value instanceof PdfRef ? readObject(value.num, value.gen) : value);
+  
+  const readStream = async (value, { decode = false } = {}) => {
+    const stream = await resolve(value);
+    if (!(stream instanceof PdfStream)) return null;
+    
+    let data = await readBytes(stream.offset, stream.offset + stream.length);
+    const filters = [].concat(await resolve(stream.dict.Filter) ?? []);
+    const params = [].concat(await resolve(stream.dict.DecodeParms) ?? []);
+    for (let i = 0; i < filters.length; i++) filters[i] = await resolve(filters[i]);
+    for (let i = 0; i < params.length; i++) params[i] = await resolve(params[i]);
+    
+    // Cross-reference streams are never encrypted, metadata streams only if the handler says so
+    const type = stream.dict.Type;
+    if (security && type !== 'XRef' && !(type === 'Metadata' && !security.encryptMetadata)) {
+      const cryptIndex = filters.indexOf('Crypt');
+      const cryptFilter = cryptIndex === -1 ? undefined : params[cryptIndex]?.Name ?? 'Identity';
+      data = security.decryptStream(data, stream.ref, cryptFilter);
+    } else {
+      // Never hand out cached blocks
+      data = Buffer.from(data);
+    }
+    
+    return decode ? decodeStreamData(data, filters, params) : { data, filters };
+  };
+  
+  const setEntry = (num, entry) => {
+    // Sections are read newest first, so the first entry of an object wins
+    if (!entries.has(num)) entries.set(num, entry);
+  };
+  
+  const readXrefStream = async (offset) => {
+    const object = await readObjectAt(offset);
+    const stream = object?.value;
+    if (!(stream instanceof PdfStream) || stream.dict.Type !== 'XRef') {
+      throw new PdfObjectError(`No cross-reference stream at offset ${offset}`);
+    }
+    const { dict } = stream;
+    const widths = dict.W;
+    if (!Array.isArray(widths) || widths.length < 3 || !widths.every(width => Number.isInteger(width) && width >= 0)) {
+      throw new PdfObjectError('Invalid /W in cross-reference stream');
+    }
+    const { data } = await readStream(stream, { decode: true });
+    
+    const [typeWidth, firstWidth, secondWidth] = widths;
+    const rowLength = typeWidth + firstWidth + secondWidth;
+    const field = (pos, width, fallback) => {
+      if (width === 0) return fallback;
+      let value = 0;
+      for (let k = 0; k < width; k++) value = value * 256 + data[pos + k];
+      return value;
+    };
+    
+    const index = Array.isArray(dict.Index) ? dict.Index : [0, dict.Size];
+    let pos = 0;
+    for (let i = 0; i + 1 < index.length; i += 2) {
+      for (let n = 0; n < index[i + 1] && pos + rowLength <= data.length; n++, pos += rowLength) {
+        const type = field(pos, typeWidth, 1);
+        const first = field(pos + typeWidth, firstWidth, 0);
+        const second = field(pos + typeWidth + firstWidth, secondWidth, 0);
+        if (type === 1) setEntry(index[i] + n, { type, offset: first, gen: second });
+        else if (type === 2) setEntry(index[i] + n, { type, stream: first, index: second });
+        else setEntry(index[i] + n, { type: 0 });
+      }
+    }
+    return dict;
+  };
+  
+  const parseXrefTable = (bytes, complete) => {
+    const lexer = new Lexer(bytes, 0, complete);
+    const keyword = lexer.next();
+    if (keyword.value !== 'xref') throw new PdfObjectError('No cross-reference table');
+    
+    const tableEntries = [];
+    for (;;) {
+      const first = lexer.next();
+      if (first.type === 'keyword' && first.value === 'trailer') break;
+      const count = lexer.next();
+      if (!first.integer || !count.integer) throw new PdfObjectError('Invalid cross-reference subsection');
+      for (let i = 0; i < count.value; i++) {
+        const offset = lexer.next();
+        const gen = lexer.next();
+        const type = lexer.next();
+        if (!offset.integer || !gen.integer || (type.value !== 'n' && type.value !== 'f')) {
+          throw new PdfObjectError('Invalid cross-reference entry');
+        }
+        tableEntries.push([first.value + i, type.value === 'n' ? { type: 1, offset: offset.value, gen: gen.value } : { type: 0 }]);
+      }
+    }
+    
+    const trailer = lexer.parseValue();
+    if (!isDictionary(trailer)) throw new PdfObjectError('Invalid trailer');
+    return { tableEntries, trailer };
+  };
+  
+  const readXrefTable = async (offset) => {
+    for (let size = 65536; ; size *= 4) {
+      const end = Math.min(offset + size, source.length);
+      let table;
+      try {
+        table = parseXrefTable(await readBytes(offset, end), end === source.length);
+      } catch (error) {
+        if (error instanceof TruncatedDataError) continue;
+        throw error;
+      }
+      
+      for (const [num, entry] of table.tableEntries) setEntry(num, entry);
+      // Hybrid files list the objects in object streams in the /XRefStm stream
+      if (Number.isInteger(table.trailer.XRefStm)) await readXrefStream(table.trailer.XRefStm);
+      return table.trailer;
+    }
+  };
+  
+  const readCrossReferences = async () => {
+    const tail = (await readBytes(Math.max(0, source.length - 1024), source.length)).toString('latin1');
+    const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+    if (!startxref) throw new PdfObjectError('No startxref');
+    
+    let trailer = null;
+    const visited = new Set();
+    for (let offset = Number(startxref[1]); Number.isInteger(offset) && !visited.has(offset);) {
+      visited.add(offset);
+      const head = (await readBytes(offset, offset + 32)).toString('latin1');
+      const section = /^\s*xref/.test(head) ? await readXrefTable(offset) : await readXrefStream(offset);
+      // The newest trailer describes the document
+      trailer ??= section;
+      offset = section.Prev;
+    }
+    return trailer;
+  };
+  
+  // Rebuilds the cross-reference data by looking for "num gen obj" in the whole file
+  const scanObjects = async () => {
+    rebuilt = true;
+    entries.clear();
+    objects.clear();
+    objectStreams.clear();
+    
+    const trailerOffsets = [];
+    const candidates = { ObjStm: [], XRef: [], Catalog: [] };
+    for (let start = 0; start < source.length; start += SCAN_CHUNK_SIZE) {
+      const text = (await source.read(start, start + SCAN_CHUNK_SIZE + SCAN_OVERLAP)).toString('latin1');
+      for (const match of text.matchAll(/(?<![\d.+-])(\d{1,10})[\0\t\n\f\r ]+(\d{1,5})[\0\t\n\f\r ]+obj(?![^\0\t\n\f\r ()<>[\]{}/%])/g)) {
+        // Matches in the overlap are found again in the next chunk
+        if (match.index >= SCAN_CHUNK_SIZE) continue;
+        const num = Number(match[1]);
+        // Later definitions (incremental updates) win
+        entries.set(num, { type: 1, offset: start + match.index, gen: Number(match[2]) });
+        const type = /^[^]{0,512}?\/Type[\0\t\n\f\r ]*\/(ObjStm|XRef|Catalog)(?![^\0\t\n\f\r ()<>[\]{}/%])/.exec(text.slice(match.index, match.index + 512))?.[1];
+        if (type) candidates[type].push(num);
+      }
+      for (const match of text.matchAll(/trailer[\0\t\n\f\r ]*<</g)) {
+        if (match.index < SCAN_CHUNK_SIZE) trailerOffsets.push(start + match.index + 7);
+      }
+    }
+    
+    // The last trailer (or cross-reference stream) that names a catalog describes the document
+    const trailers = [];
+    for (const offset of trailerOffsets) {
+      try {
+        trailers.push(parsePdfValue(await readBytes(offset, offset + 4096)).value);
+      } catch (error) {
+        if (!(error instanceof PdfObjectError)) throw error;
+      }
+    }
+    for (const num of candidates.XRef) trailers.push((await readEntry(num, entries.get(num).gen))?.dict);
+    let trailer = trailers.filter(dict => isDictionary(dict) && dict.Root instanceof PdfRef).pop() ?? null;
+    if (!trailer && candidates.Catalog.length > 0) {
+      const num = candidates.Catalog[candidates.Catalog.length - 1];
+      trailer = { Root: new PdfRef(num, entries.get(num).gen) };
+    }
+    
+    return { trailer, objectStreams: candidates.ObjStm };
+  };
+  
+  // Adds the objects of object streams found by scanObjects; objects found in the file win
+  const indexObjectStreams = async (streamNums) => {
+    for (const num of streamNums) {
+      try {
+        const { order } = await readObjectStream(num);
+        order.forEach((objectNum, index) => setEntry(objectNum, { type: 2, stream: num, index }));
+      } catch (error) {
+        if (!(error instanceof PdfObjectError)) throw error;
+      }
+    }
+  };
+  
+  let trailer = null;
+  try {
+    trailer = await readCrossReferences();
+  } catch (error) {
+    if (!(error instanceof PdfObjectError)) throw error;
+  }
+  let streamNums = [];
+  if (!isDictionary(trailer) || !(trailer.Root instanceof PdfRef)) {
+    ({ trailer, objectStreams: streamNums } = await scanObjects());
+  }
+  if (!trailer) {
+    // Only objects in object streams left: look for the catalog there (no encryption without a trailer)
+    await indexObjectStreams(streamNums);
+    for (const [num, entry] of entries) {
+      if (entry.type === 2 && (await readObject(num, 0))?.Type === 'Catalog') trailer = { Root: new PdfRef(num, 0) };
+    }
+    if (!trailer) throw new PdfObjectError('No trailer or catalog found');
+  }
+  
+  if (trailer.Encrypt) {
+    encryptRef = trailer.Encrypt instanceof PdfRef ? trailer.Encrypt : null;
+    const encrypt = await resolve(trailer.Encrypt);
+    if (!isDictionary(encrypt)) throw new PdfObjectError('Invalid /Encrypt dictionary');
+    const cryptFilters = await resolve(encrypt.CF);
+    if (isDictionary(cryptFilters)) {
+      encrypt.CF = {};
+      for (const [name, filter] of Object.entries(cryptFilters)) encrypt.CF[name] = await resolve(filter);
+    }
+    const ids = await resolve(trailer.ID);
+    const fileId = Array.isArray(ids) && Buffer.isBuffer(ids[0]) ? ids[0] : Buffer.alloc(0);
+    security = createSecurityHandler(encrypt, fileId, password);
+  }
+  await indexObjectStreams(streamNums);
+  
+  return { trailer, resolve, readStream };
+}
@@ -0,0 +1,35 @@
+/**
+ * Stub OCR engine for pdf-efficient-loader
+ * Shared by the ES module and the CommonJS wrapper (see index.cjs)
+ */
+
+/**
+ * Minimal OCR engine for tests
+ * Returns fixed text for every page and records which pages it was called for,
+ * so OCR routing can be verified without a real OCR binary.
+ * 
+ * @param {Object} options - Stub options
+ * @param {string|Function} options.text - Text to return, or `(request) => string` (default: "OCR page <n>")
+ * @returns {Function} OCR function for the `ocr` option, with a `calls` array of `{pageNum, width, height, mimeType}`
+ */
+function createStubOcr(options = {}) {
+  const { text = ({ pageNum }) => `OCR page ${pageNum}` } = options;
+  const calls = [];
+  
+  const ocr = async (request) => {
+    calls.push({
+      pageNum: request.pageNum,
+      width: request.width,
+      height: request.height,
+      mimeType: request.mimeType
+    });
+    return typeof text === 'function' ? text(request) : text;
+  };
+  ocr.calls = calls;
+  
+  return ocr;
+}
+
+module.exports = {
+  createStubOcr
+};
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { Readable } from 'stream';
+import { AbortError, extractPdfData, extractPdfDataStreaming, renderPdfPages } from '../index.js';
+import { buildDocument, imagesPage, stream, textContent, textPage, writePdf, writeTempPdf } from './fixtures.js';
+
+const document = buildDocument([textPage(1), imagesPage(), textPage(2)]);
+
+test('an aborted signal rejects before the document is read', async () => {
+  const controller = new AbortController();
+  controller.abort(new Error('stop'));
+  await assert.rejects(extractPdfData(document, { signal: controller.signal }),
+    error => error instanceof AbortError && error.reason === 'aborted' && error.cause.message === 'stop' && error.partial === null);
+});
+
+test('aborting between pages keeps the pages finished so far', async () => {
+  const controller = new AbortController();
+  const result = extractPdfDataStreaming(document, {
+    signal: controller.signal,
+    onPageProcessed: ({ pageNum }) => pageNum === 1 && controller.abort()
+  });
+  await assert.rejects(result, error => error instanceof AbortError && error.partial.processedPages.length === 1);
+
+  const rendering = new AbortController();
+  await assert.rejects(renderPdfPages(document, { signal: rendering.signal, onPage: () => rendering.abort() }),
+    error => error instanceof AbortError && error.partial.processedPages.length === 1);
+});
+
+// Page 2 paints two large images that pdf.js reads one after the other
+const image = stream('/Subtype /Image /Width 1000 /Height 1000 /ColorSpace /DeviceGray /BitsPerComponent 8', Buffer.alloc(1e6), false);
+const rangeFile = writeTempPdf(writePdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 7 0 R >> >> /Contents 5 0 R >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im0 8 0 R /Im1 9 0 R >> >> /Contents 6 0 R >>',
+  stream('', textContent(['Range loading'])),
+  stream('', 'q 306 0 0 792 0 0 cm /Im0 Do Q q 306 0 0 792 306 0 cm /Im1 Do Q'),
+  '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  image,
+  image
+]));
+
+test('a page waiting for range reads is given up on without waiting for pdf.js', async () => {
+  const controller = new AbortController();
+  const result = extractPdfDataStreaming(rangeFile, {
+    signal: controller.signal,
+    rangeLoading: true,
+    onPageProcessed: ({ pageNum }) => pageNum === 1 && setImmediate(() => controller.abort())
+  });
+  await assert.rejects(result, error => error instanceof AbortError && error.partial.processedPages.length === 1
+    && error.partial.loading.bytesRead < error.partial.loading.fileSize);
+
+  const rendering = new AbortController();
+  const rendered = renderPdfPages(rangeFile, {
+    signal: rendering.signal,
+    rangeLoading: true,
+    onPage: () => setImmediate(() => rendering.abort())
+  });
+  await assert.rejects(rendered, error => error instanceof AbortError && error.partial.processedPages.length === 1
+    && error.partial.loading.bytesRead < error.partial.loading.fileSize);
+});
+
+test('timeoutMs stops a stalled stream and leaves no listeners behind', async () => {
+  const controller = new AbortController();
+  const source = new Readable({ read() {} });
+  source.push(document.subarray(0, 1000));
+  await assert.rejects(extractPdfData(source, { signal: controller.signal, timeoutMs: 50 }),
+    error => error instanceof AbortError && error.reason === 'timeout');
+  assert.ok(source.destroyed);
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+  await extractPdfData(document, { signal: controller.signal, timeoutMs: 60000 });
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
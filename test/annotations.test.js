@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfAnnotations, extractPdfData, iteratePdfPages } from '../index.js';
+import { stream, textContent, writePdf } from './fixtures.js';
+
+// Page 1: a comment with its popup, a web link, a highlight and a link to a named destination on page 2
+// Page 2: a text field, a read-only check box, a radio group of two buttons and a combo box
+const document = writePdf([
+  '<< /Type /Catalog /Pages 2 0 R /Names << /Dests << /Names [(terms) [6 0 R /Fit]] >> >>' +
+    ' /AcroForm << /Fields [12 0 R 13 0 R 14 0 R 17 0 R] >> >>',
+  '<< /Type /Pages /Kids [4 0 R 6 0 R] /Count 2 >>',
+  '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents 5 0 R' +
+    ' /Annots [7 0 R 8 0 R 9 0 R 10 0 R 11 0 R] >>',
+  stream('', textContent(['Visit the website', 'Important clause', 'See the terms'])),
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Annots [12 0 R 13 0 R 15 0 R 16 0 R 17 0 R] >>',
+  '<< /Type /Annot /Subtype /Text /Rect [400 700 420 720] /T (Reviewer A) /Contents (Check this) /Popup 8 0 R >>',
+  '<< /Type /Annot /Subtype /Popup /Rect [420 600 600 700] /Parent 7 0 R >>',
+  '<< /Type /Annot /Subtype /Link /Rect [70 716 170 732] /A << /S /URI /URI (https://example.com/) >> >>',
+  '<< /Type /Annot /Subtype /Highlight /Rect [70 700 170 716] /QuadPoints [72 714 165 714 72 702 165 702]' +
+    ' /T (Reviewer B) /Contents (Important) /M (D:20240102030405Z) >>',
+  '<< /Type /Annot /Subtype /Link /Rect [70 684 170 700] /Dest (terms) >>',
+  '<< /Type /Annot /Subtype /Widget /FT /Tx /T (name) /TU (Full name) /V (Jane Roe) /Ff 2 /Rect [72 700 300 720] /P 6 0 R >>',
+  '<< /Type /Annot /Subtype /Widget /FT /Btn /T (agree) /V /Yes /AS /Yes /Ff 1 /Rect [72 650 92 670]' +
+    ' /AP << /N << /Yes 18 0 R /Off 18 0 R >> >> /P 6 0 R >>',
+  '<< /FT /Btn /T (size) /Ff 49152 /V /M /Kids [15 0 R 16 0 R] >>',
+  '<< /Type /Annot /Subtype /Widget /Parent 14 0 R /AS /Off /Rect [72 600 92 620] /AP << /N << /S 18 0 R /Off 18 0 R >> >> /P 6 0 R >>',
+  '<< /Type /Annot /Subtype /Widget /Parent 14 0 R /AS /M /Rect [100 600 120 620] /AP << /N << /M 18 0 R /Off 18 0 R >> >> /P 6 0 R >>',
+  '<< /Type /Annot /Subtype /Widget /FT /Ch /T (country) /Ff 131072 /Opt [[(de) (Germany)] [(fr) (France)]] /V (fr)' +
+    ' /Rect [72 550 300 570] /P 6 0 R >>',
+  stream('/Type /XObject /Subtype /Form /BBox [0 0 10 10]', '')
+]);
+
+test('comments, markup and links are returned without their popups', async () => {
+  const { annotations, processedPages } = await extractPdfAnnotations(document);
+  assert.deepEqual(processedPages, [1, 2]);
+  assert.deepEqual(annotations.map(({ type, author, contents, text }) => [type, author, contents, text]), [
+    ['Text', 'Reviewer A', 'Check this', null],
+    ['Link', null, null, 'Visit the website'],
+    ['Highlight', 'Reviewer B', 'Important', 'Important clause'],
+    ['Link', null, null, 'See the terms']
+  ]);
+
+  const [, webLink, highlight, internalLink] = annotations;
+  assert.equal(webLink.url, 'https://example.com/');
+  assert.deepEqual(webLink.bbox, { x: 70, y: 716, width: 100, height: 16 });
+  assert.equal(highlight.modificationDate, '2024-01-02T03:04:05.000Z');
+  assert.deepEqual([internalLink.url, internalLink.dest, internalLink.destPageNum], [null, 'terms', 2]);
+});
+
+test('form fields have their current values and radio buttons form one field', async () => {
+  const { fields } = await extractPdfAnnotations(document, { pages: [2] });
+  assert.deepEqual(fields.map(({ name, type, value, readOnly, required }) => [name, type, value, readOnly, required]), [
+    ['name', 'text', 'Jane Roe', false, true],
+    ['agree', 'checkbox', 'Yes', true, false],
+    ['size', 'radio', 'M', false, false],
+    ['country', 'combo', 'fr', false, false]
+  ]);
+  assert.equal(fields[0].label, 'Full name');
+  assert.deepEqual(fields[2].options, [{ value: 'S', label: 'S' }, { value: 'M', label: 'M' }]);
+  assert.deepEqual(fields[3].options, [{ value: 'de', label: 'Germany' }, { value: 'fr', label: 'France' }]);
+});
+
+test('page results list the annotations and fields of their page on request', async () => {
+  const { annotations, fields } = await extractPdfAnnotations(document);
+  const data = await extractPdfData(document, { includePages: true, includeAnnotations: true });
+  assert.deepEqual(data.pageResults.map(page => page.annotations), [annotations, []]);
+  assert.deepEqual(data.pageResults.map(page => page.fields), [[], fields]);
+
+  for await (const page of iteratePdfPages(document)) {
+    assert.equal(page.annotations, undefined);
+  }
+});
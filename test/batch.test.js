@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { processPdfBatch } from '../index.js';
+import { buildDocument, textPage } from './fixtures.js';
+
+const require = createRequire(import.meta.url);
+const commonJs = require('../index.cjs');
+
+test('invalid options throw synchronously from both module formats', () => {
+  for (const batch of [processPdfBatch, commonJs.processPdfBatch]) {
+    assert.throws(() => batch([], { fn: 'deleteAll' }), TypeError);
+    assert.throws(() => batch(null), TypeError);
+    assert.throws(() => batch([], { workerHeapMB: -1 }), RangeError);
+    assert.throws(() => batch([], { options: { onPage: () => {} } }), TypeError);
+  }
+});
+
+test('each document reports success or failure on its own', async () => {
+  const sources = [buildDocument([textPage()]), Buffer.from('not a pdf')];
+  for (const batch of [processPdfBatch, commonJs.processPdfBatch]) {
+    const entries = [];
+    for await (const entry of batch(sources, { concurrency: 1, fn: 'extractPdfStats', workerHeapMB: 256 })) {
+      entries.push(entry);
+    }
+    entries.sort((a, b) => a.index - b.index);
+
+    assert.deepEqual(entries.map(entry => entry.ok), [true, false]);
+    assert.deepEqual(entries[0].result.processedPages, [1]);
+    assert.equal(entries[1].error.name, 'InvalidPdfError');
+  }
+});
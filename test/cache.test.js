@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPdfCache, extractPdfData, extractPdfSmart, renderPdfPages } from '../index.js';
+import { buildDocument, imagesPage, textPage, writeTempPdf } from './fixtures.js';
+
+const document = buildDocument([textPage(1), imagesPage()]);
+
+test('copies of a document are hits that return the same result', async () => {
+  const cache = createPdfCache();
+  const first = await extractPdfData(document, { cache });
+  const second = await extractPdfData(writeTempPdf(document), { cache });
+  assert.deepEqual(second, first);
+  // Other options are other entries
+  await extractPdfData(document, { cache, pages: [1] });
+  assert.deepEqual(cache.getStats(), { hits: 1, misses: 2, writes: 2, bypassed: 0, errors: 0, hitRate: 1 / 3 });
+});
+
+test('run-specific fields are not stored and progress is not reported on a hit', async () => {
+  const cache = createPdfCache();
+  const filePath = writeTempPdf(document);
+  const measured = await extractPdfSmart(filePath, { cache, telemetry: true, rangeLoading: true });
+  assert.ok(measured.telemetry && measured.loading);
+
+  const stages = [];
+  const hit = await extractPdfSmart(filePath, { cache, onProgress: ({ stage }) => stages.push(stage) });
+  assert.equal(cache.getStats().hits, 1);
+  assert.deepEqual(stages, []);
+  assert.equal(hit.telemetry, undefined);
+  assert.equal(hit.loading, undefined);
+  const { telemetry, loading, ...result } = measured;
+  assert.deepEqual(hit, result);
+});
+
+test('rendered pages count against the size limit of the memory store', async () => {
+  const rendered = await renderPdfPages(document);
+  const size = rendered.images.reduce((total, image) => total + image.data.length, 0);
+
+  const small = createPdfCache({ maxBytes: size });
+  await renderPdfPages(document, { cache: small });
+  await renderPdfPages(document, { cache: small });
+  assert.deepEqual([small.getStats().hits, small.getStats().misses], [0, 2]);
+
+  const large = createPdfCache({ maxBytes: size * 4 });
+  await renderPdfPages(document, { cache: large });
+  const hit = await renderPdfPages(document, { cache: large });
+  assert.equal(large.getStats().hits, 1);
+  assert.deepEqual(hit.images[0].data, rendered.images[0].data);
+});
+
+test('callbacks that shape the result bypass the cache', async () => {
+  const cache = createPdfCache();
+  await extractPdfData(document, { cache, pageFilter: pageNum => pageNum === 1 });
+  assert.deepEqual([cache.getStats().bypassed, cache.getStats().writes], [1, 0]);
+});
+
+test('the directory store keeps entries for other cache instances', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-efficient-loader-cache-'));
+  try {
+    const first = await extractPdfData(document, { cache: createPdfCache({ directory }) });
+    const cache = createPdfCache({ directory });
+    assert.deepEqual(await extractPdfData(document, { cache }), first);
+    assert.equal(cache.getStats().hits, 1);
+
+    // A corrupt entry is a miss, not a failure
+    for (const name of fs.readdirSync(directory)) fs.writeFileSync(path.join(directory, name), 'corrupt');
+    assert.deepEqual(await extractPdfData(document, { cache }), first);
+    assert.deepEqual([cache.getStats().errors, cache.getStats().misses], [1, 1]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('invalid cache options are rejected', async () => {
+  assert.throws(() => createPdfCache({ maxEntries: 0 }), RangeError);
+  assert.throws(() => createPdfCache({ store: {} }), TypeError);
+  await assert.rejects(extractPdfData(document, { cache: {} }), TypeError);
+});
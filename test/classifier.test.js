@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePdfType, calibratePdfClassifier } from '../index.js';
+import { buildDocument, scanPage, textContent, vectorPage } from './fixtures.js';
+
+// Scan with a visible OCR layer in which one word per line has a broken case (gibberish score 0.3)
+const garbledLines = Array.from({ length: 60 }, (_, i) => `Line ${i} of the sCanned page with words here`);
+const garbledScan = buildDocument([{ ...scanPage(), content: scanPage().content + textContent(garbledLines) }]);
+// 30 lines of text and a small logo
+const lines = Array.from({ length: 30 }, (_, i) => `Line ${i} of the letter with several words here`);
+const letter = buildDocument([{ content: `${textContent(lines)}q 40 0 0 40 500 720 cm /Im0 Do Q\n`, images: [{ width: 20, height: 20 }] }]);
+
+const samples = [
+  { source: garbledScan, label: 'scan' },
+  { source: letter, label: 'text' }
+];
+
+test('the classifier config and function replace the built-in rules', async () => {
+  assert.equal((await analyzePdfType(garbledScan)).type, 'text');
+  assert.equal((await analyzePdfType(garbledScan, { classifier: { maxGibberishScore: 0.2 } })).type, 'scan');
+
+  const drawing = buildDocument([vectorPage()]);
+  const custom = await analyzePdfType(drawing, {
+    classifier: (signals, defaultResult) => {
+      assert.equal(defaultResult.type, 'vector');
+      return { type: 'scan', confidence: 0.5 };
+    }
+  });
+  assert.deepEqual([custom.type, custom.confidence], ['scan', 0.5]);
+
+  await assert.rejects(analyzePdfType(drawing, { classifier: { maxTextItems: '30' } }), TypeError);
+  await assert.rejects(analyzePdfType(drawing, { classifier: () => ({ type: 'photo', confidence: 1 }) }), TypeError);
+});
+
+test('calibration tunes the garbled-text thresholds that decide between text and scan', async () => {
+  const report = await calibratePdfClassifier(samples);
+  assert.equal(report.accuracy, 0.5);
+  assert.deepEqual(report.confusion, { scan: { text: 1 }, text: { text: 1 } });
+  assert.deepEqual(report.classes.scan, { precision: null, recall: 0, support: 1, predicted: 0 });
+
+  // More text items would turn the letter into a scan, so only maxGibberishScore can help
+  const { config, accuracy } = report.suggested;
+  assert.equal(accuracy, 1);
+  assert.equal(config.maxGibberishScore, 0.15);
+  assert.deepEqual([config.maxTextItems, config.maxScanImages, config.maxUnmappedRatio], [30, 100, 0.1]);
+});
+
+test('calibration starts from the evaluated config', async () => {
+  const classifier = { maxGibberishScore: 0.2, maxScanImages: 5 };
+  const report = await calibratePdfClassifier(samples, { classifier });
+  assert.equal(report.accuracy, 1);
+  assert.deepEqual([report.suggested.config.maxGibberishScore, report.suggested.config.maxScanImages], [0.2, 5]);
+
+  const custom = await calibratePdfClassifier(samples, { classifier: (signals, defaultResult) => defaultResult });
+  assert.equal(custom.suggested, null);
+});
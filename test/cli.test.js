@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildDocument, scanPage, textPage } from './fixtures.js';
+
+const cliPath = new URL('../cli.js', import.meta.url).pathname;
+
+// Exit code and output of one CLI run
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cliPath, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-efficient-loader-cli-'));
+fs.mkdirSync(path.join(directory, 'nested'));
+fs.writeFileSync(path.join(directory, 'a.pdf'), buildDocument([textPage(1), textPage(2)]));
+fs.writeFileSync(path.join(directory, 'nested', 'b.pdf'), buildDocument([textPage(3), scanPage()]));
+fs.writeFileSync(path.join(directory, 'nested', 'broken.pdf'), 'not a pdf');
+process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('json output keeps the order of the files matched by a glob', async () => {
+  const { code, stdout } = await run(['analyze', '--format', 'json', '-c', '1', `${directory}/**/*.pdf`]);
+  const entries = JSON.parse(stdout);
+  assert.deepEqual(entries.map(entry => path.relative(directory, entry.file)), ['a.pdf', 'nested/b.pdf', 'nested/broken.pdf']);
+  assert.deepEqual(entries.map(entry => entry.ok), [true, true, false]);
+  assert.equal(entries[0].result.type, 'text');
+  assert.deepEqual(entries[1].result.pageRanges, { text: '1', scan: '2' });
+  assert.equal(entries[2].error.name, 'InvalidPdfError');
+  // One failed file fails the run
+  assert.equal(code, 1);
+});
+
+test('ndjson and text output pass page ranges and memory limits on', async () => {
+  const file = path.join(directory, 'a.pdf');
+  const extracted = await run(['extract', '-f', 'ndjson', '-p', '2', '--max-memory', '256', file]);
+  assert.equal(extracted.code, 0);
+  const lines = extracted.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 1);
+  assert.deepEqual(lines[0].result.processedPages, [2]);
+
+  const stats = await run(['stats', file]);
+  assert.equal(stats.code, 0);
+  assert.ok(stats.stdout.startsWith(`${file}: 2 pages, 0 images, 0 vectors, `), stats.stdout);
+});
+
+test('invalid command lines exit with 2 and unmatched patterns with 1', async () => {
+  for (const args of [['convert', 'a.pdf'], ['analyze'], ['analyze', '-f', 'xml', 'a.pdf'], ['analyze', '-c', '0', 'a.pdf'], ['analyze', '--unknown', 'a.pdf']]) {
+    const { code, stderr } = await run(args);
+    assert.equal(code, 2, args.join(' '));
+    assert.match(stderr, /Usage: pdf-efficient-loader/);
+  }
+
+  const unmatched = await run(['analyze', `${directory}/*.txt`]);
+  assert.equal(unmatched.code, 1);
+  assert.match(unmatched.stderr, /no files match/);
+  assert.equal((await run(['--version'])).stdout.trim(), JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url))).version);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfData, extractPdfDataStreaming, extractPdfSmart, extractPdfStats } from '../index.js';
+import { buildDocument, imagesPage, stream, textPage, vectorPage, writePdf } from './fixtures.js';
+
+/** Page that paints the same shading twice, once clipped */
+const shadingPage = () => ({ content: 'q /Sh0 sh Q q 0 0 100 100 re W n /Sh0 sh Q\n', shading: true });
+
+const document = buildDocument([imagesPage(), vectorPage(), shadingPage(), textPage()]);
+
+// Per-page [imageCount, vectorCount] and the document totals
+async function count(extract, countingMode, source = document) {
+  const result = await extract(source, { countingMode, includePages: true, extractText: false });
+  return {
+    pages: result.pageResults.map(page => [page.imageCount, page.vectorCount]),
+    imageCount: result.imageCount,
+    vectorCount: result.vectorCount
+  };
+}
+
+test('every extraction function counts the same way in each mode', async () => {
+  const expected = {
+    operators: { pages: [[3, 0], [0, 4], [0, 2], [0, 0]], imageCount: 3, vectorCount: 6 },
+    unique: { pages: [[2, 0], [0, 4], [0, 2], [0, 0]], imageCount: 2, vectorCount: 6 },
+    resources: { pages: [[2, 0], [0, 0], [0, 1], [0, 0]], imageCount: 2, vectorCount: 1 }
+  };
+  for (const [countingMode, counts] of Object.entries(expected)) {
+    for (const extract of [extractPdfData, extractPdfDataStreaming, extractPdfStats, extractPdfSmart]) {
+      assert.deepEqual(await count(extract, countingMode), counts, `${extract.name} ${countingMode}`);
+    }
+  }
+});
+
+test('images shared between pages count once per page', async () => {
+  const page = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 3 0 R >>';
+  const shared = writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [5 0 R 6 0 R 7 0 R] /Count 3 >>',
+    stream('', 'q 10 0 0 10 0 0 cm /Im0 Do Q q 10 0 0 10 50 0 cm /Im0 Do Q'),
+    stream('/Subtype /Image /Width 2 /Height 2 /ColorSpace /DeviceGray /BitsPerComponent 8', Buffer.alloc(4)),
+    page,
+    page,
+    page
+  ]);
+
+  const operators = await count(extractPdfData, 'operators', shared);
+  assert.deepEqual(operators.pages, [[2, 0], [2, 0], [2, 0]]);
+  const unique = await count(extractPdfData, 'unique', shared);
+  assert.deepEqual(unique.pages, [[1, 0], [1, 0], [1, 0]]);
+  // pdf.js gives the image a document-wide id from its second page on
+  assert.equal(unique.imageCount, 2);
+});
+
+test('an unknown counting mode is rejected', async () => {
+  await assert.rejects(extractPdfData(document, { countingMode: 'pixels' }), TypeError);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EncryptedPdfError, analyzePdfType, extractPdfData, extractPdfImages, extractPdfSmart } from '../index.js';
+import { buildEncryptedDocument, writeTempPdf } from './fixtures.js';
+
+const TEXT = 'Confidential quarterly figures';
+const locked = buildEncryptedDocument(TEXT, { userPassword: 'secret' });
+const ownerOnly = buildEncryptedDocument(TEXT);
+
+const rejectsWithReason = (promise, reason) => assert.rejects(promise, error => {
+  assert.ok(error instanceof EncryptedPdfError);
+  assert.equal(error.reason, reason);
+  return true;
+});
+
+test('a missing or wrong password rejects with the reason', async () => {
+  await rejectsWithReason(extractPdfData(locked), 'passwordRequired');
+  await rejectsWithReason(extractPdfData(locked, { password: 'wrong' }), 'incorrectPassword');
+  await rejectsWithReason(extractPdfData(writeTempPdf(locked), { password: 'wrong' }), 'incorrectPassword');
+});
+
+test('the right password opens the document', async () => {
+  for (const source of [locked, writeTempPdf(locked)]) {
+    const result = await extractPdfData(source, { password: 'secret' });
+    assert.equal(result.text, TEXT);
+  }
+});
+
+test('AES-128 and AES-256 documents open with the user or owner password', async () => {
+  for (const algorithm of ['AES-128', 'AES-256']) {
+    const document = buildEncryptedDocument(TEXT, { userPassword: 'secret', algorithm });
+    assert.equal((await extractPdfData(document, { password: 'secret' })).text, TEXT);
+    assert.equal((await extractPdfData(document, { password: 'owner' })).text, TEXT);
+    await rejectsWithReason(extractPdfData(document, { password: 'wrong' }), 'incorrectPassword');
+    const analysis = await analyzePdfType(document, { password: 'secret' });
+    assert.equal(analysis.encryption.algorithm, algorithm);
+  }
+});
+
+test('onPassword is asked again until it gives the right password or null', async () => {
+  const requests = [];
+  const answers = ['wrong', 'secret'];
+  const result = await extractPdfData(locked, {
+    onPassword: request => {
+      requests.push(request);
+      return answers.shift();
+    }
+  });
+  assert.equal(result.text, TEXT);
+  assert.deepEqual(requests, [
+    { reason: 'passwordRequired', attempt: 1 },
+    { reason: 'incorrectPassword', attempt: 2 }
+  ]);
+
+  await rejectsWithReason(extractPdfData(locked, { onPassword: () => null }), 'passwordRequired');
+});
+
+test('extractPdfSmart asks for the password once for analysis and extraction', async () => {
+  let requests = 0;
+  const result = await extractPdfSmart(locked, {
+    onPassword: () => {
+      requests++;
+      return 'secret';
+    }
+  });
+  assert.equal(result.text, TEXT);
+  assert.equal(requests, 1);
+});
+
+test('documents with only an owner password open and report their permissions', async () => {
+  const analysis = await analyzePdfType(ownerOnly);
+  assert.equal(analysis.encryption.encrypted, true);
+  assert.equal(analysis.encryption.filter, 'Standard');
+  assert.equal(analysis.encryption.algorithm, 'RC4-128');
+  assert.equal(analysis.encryption.permissions.print, true);
+  assert.equal(analysis.encryption.permissions.copy, false);
+  assert.equal(analysis.encryption.permissions.modify, false);
+
+  assert.equal((await extractPdfData(ownerOnly, { countingMode: 'resources' })).text, TEXT);
+  assert.deepEqual((await extractPdfImages(ownerOnly)).images, []);
+});
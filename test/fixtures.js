@@ -0,0 +1,372 @@
+/**
+ * Small PDF documents built in code for the tests
+ * Every document is generated on the fly, so the repository holds no binary fixtures.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+const toBuffer = body => (Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'));
+
+/**
+ * Builds a stream object body
+ * @param {string} dict - Dictionary entries without << >> and /Length
+ * @param {string|Buffer} data - Stream data
+ * @param {boolean} compress - Deflate the data (default: true)
+ * @returns {Buffer}
+ */
+export function stream(dict, data, compress = true) {
+  let bytes = toBuffer(data);
+  if (compress) {
+    bytes = zlib.deflateSync(bytes);
+    dict += ' /Filter /FlateDecode';
+  }
+  return Buffer.concat([
+    Buffer.from(`<< ${dict} /Length ${bytes.length} >>\nstream\n`, 'latin1'),
+    bytes,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+}
+
+/**
+ * Serialises numbered objects into a PDF file
+ * @param {Array<string|Buffer>} objects - Object bodies; index 0 is object 1
+ * @param {Object} options - Layout options
+ * @param {string} options.trailer - Extra trailer entries
+ * @param {number[]} options.compressed - Objects stored in an object stream (written with a cross-reference stream)
+ * @param {Object} options.update - Object number -> new body, appended as an incremental update
+ * @returns {Buffer}
+ */
+export function writePdf(objects, { trailer = '', compressed = [], update = null } = {}) {
+  const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = parts[0].length;
+  const write = (data) => {
+    parts.push(toBuffer(data));
+    length += parts[parts.length - 1].length;
+  };
+  const writeObject = (num, body) => {
+    const offset = length;
+    write(`${num} 0 obj\n`);
+    write(body);
+    write('\nendobj\n');
+    return offset;
+  };
+  
+  const entries = [];
+  objects.forEach((body, i) => {
+    if (!compressed.includes(i + 1)) entries[i + 1] = { type: 1, offset: writeObject(i + 1, body) };
+  });
+  
+  let size = objects.length + 1;
+  let xrefOffset;
+  if (compressed.length > 0) {
+    const streamNum = objects.length + 1;
+    const xrefNum = objects.length + 2;
+    size = objects.length + 3;
+    
+    let header = '';
+    let body = '';
+    compressed.forEach((num, index) => {
+      header += `${num} ${body.length} `;
+      body += objects[num - 1] + '\n';
+      entries[num] = { type: 2, stream: streamNum, index };
+    });
+    entries[streamNum] = { type: 1, offset: writeObject(streamNum, stream(`/Type /ObjStm /N ${compressed.length} /First ${header.length}`, header + body)) };
+    
+    xrefOffset = length;
+    entries[xrefNum] = { type: 1, offset: xrefOffset };
+    const rows = Buffer.alloc(size * 7);
+    for (let num = 0; num < size; num++) {
+      const entry = entries[num] ?? { type: 0 };
+      rows[num * 7] = entry.type;
+      rows.writeUInt32BE(entry.offset ?? entry.stream ?? 0, num * 7 + 1);
+      rows.writeUInt16BE(entry.index ?? (entry.type === 0 ? 65535 : 0), num * 7 + 5);
+    }
+    writeObject(xrefNum, stream(`/Type /XRef /Size ${size} /W [1 4 2] /Root 1 0 R ${trailer}`, rows));
+  } else {
+    xrefOffset = length;
+    let table = `xref\n0 ${size}\n0000000000 65535 f \n`;
+    for (let num = 1; num < size; num++) table += `${String(entries[num].offset).padStart(10, '0')} 00000 n \n`;
+    write(`${table}trailer\n<< /Size ${size} /Root 1 0 R ${trailer} >>\n`);
+  }
+  write(`startxref\n${xrefOffset}\n%%EOF\n`);
+  
+  if (update) {
+    const offsets = Object.entries(update).map(([num, body]) => [Number(num), writeObject(Number(num), body)]);
+    const prev = xrefOffset;
+    xrefOffset = length;
+    let table = 'xref\n';
+    for (const [num, offset] of offsets) table += `${num} 1\n${String(offset).padStart(10, '0')} 00000 n \n`;
+    write(`${table}trailer\n<< /Size ${size} /Root 1 0 R /Prev ${prev} ${trailer} >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  }
+  
+  return Buffer.concat(parts);
+}
+
+/**
+ * Content stream showing lines of text with the standard font F1
+ * @param {string[]} lines - Text lines
+ * @returns {string}
+ */
+export function textContent(lines) {
+  let content = 'BT /F1 12 Tf 16 TL 72 720 Td\n';
+  for (const line of lines) content += `(${line.replace(/[()\\]/g, char => '\\' + char)}) Tj T*\n`;
+  return content + 'ET\n';
+}
+
+/**
+ * Lines of readable English text
+ * @param {number} count - Number of lines
+ * @param {number} seed - Varies the wording between pages
+ * @returns {string[]}
+ */
+export function sampleLines(count, seed = 0) {
+  return Array.from({ length: count }, (_, i) => `Line ${seed * 100 + i} of the sample document with several words here`);
+}
+
+/**
+ * Builds a document from page descriptions
+ * Objects: 1 catalog, 2 page tree, 3 font, then each page followed by its content and images.
+ * @param {Array<Object>} pages - Pages: `{content, images: [{width, height}], shading, damaged}`
+ * @param {Object} options - Options of writePdf, plus `compressObjects` to store
+ *   the catalog, page tree and page dictionaries in an object stream
+ * @returns {Buffer}
+ */
+export function buildDocument(pages, { compressObjects = false, ...options } = {}) {
+  const objects = ['', '', '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  const dictionaries = [1, 2];
+  
+  for (const page of pages) {
+    const pageNum = objects.length + 1;
+    const contentNum = pageNum + 1;
+    kids.push(`${pageNum} 0 R`);
+    dictionaries.push(pageNum);
+    
+    let resources = '/Font << /F1 3 0 R >>';
+    const images = page.images ?? [];
+    if (images.length > 0) {
+      resources += ` /XObject << ${images.map((_, k) => `/Im${k} ${contentNum + 1 + k} 0 R`).join(' ')} >>`;
+    }
+    if (page.shading) {
+      resources += ' /Shading << /Sh0 << /ShadingType 2 /ColorSpace /DeviceRGB /Coords [0 0 200 0]' +
+        ' /Function << /FunctionType 2 /Domain [0 1] /C0 [1 0 0] /C1 [0 0 1] /N 1 >> >> >>';
+    }
+    
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << ${resources} >> /Contents ${contentNum} 0 R >>`);
+    // A stored deflate block whose length check fails
+    objects.push(page.damaged
+      ? stream('/Filter /FlateDecode', Buffer.from('789c0105000000', 'hex'), false)
+      : stream('', page.content ?? ''));
+    for (const { width, height } of images) {
+      objects.push(stream(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8`,
+        Buffer.alloc(width * height, 128)));
+    }
+  }
+  
+  objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+  return writePdf(objects, { ...options, compressed: compressObjects ? dictionaries : [] });
+}
+
+/** Page with a few lines of text */
+export const textPage = (seed = 0) => ({ content: textContent(sampleLines(30, seed)) });
+
+/** Page covered by one full-page image, like a scanned sheet */
+export const scanPage = () => ({ content: 'q 612 0 0 792 0 0 cm /Im0 Do Q\n', images: [{ width: 300, height: 400 }] });
+
+/** Page with stroked and filled paths and no text */
+export const vectorPage = () => ({ content: '0 0 1 RG 2 w 100 100 m 500 500 l S 50 50 200 100 re f 300 300 m 350 400 400 300 v h S\n' });
+
+/** Page whose content stream cannot be inflated */
+export const damagedPage = () => ({ damaged: true });
+
+/** Page that draws the same image twice and a second image once */
+export const imagesPage = () => ({
+  content: 'q 100 0 0 100 50 600 cm /Im0 Do Q q 100 0 0 100 200 600 cm /Im0 Do Q q 200 0 0 150 50 300 cm /Im1 Do Q\n',
+  images: [{ width: 20, height: 20 }, { width: 40, height: 30 }]
+});
+
+// Standard security handler (ISO 32000-1, 7.6.3; ISO 32000-2, 7.6.4.3)
+const PASSWORD_PADDING = Buffer.from('28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A', 'hex');
+const DOCUMENT_ID = Buffer.from('0123456789abcdef0123456789abcdef', 'hex');
+
+const md5 = data => crypto.createHash('md5').update(data).digest();
+const sha = (algorithm, data) => crypto.createHash(algorithm).update(data).digest();
+const padPassword = password => Buffer.concat([Buffer.from(password, 'latin1'), PASSWORD_PADDING]).subarray(0, 32);
+
+function rc4(key, data) {
+  const state = [...Array(256).keys()];
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 255;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 255;
+    j = (j + state[i]) & 255;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[k] = data[k] ^ state[(state[i] + state[j]) & 255];
+  }
+  return output;
+}
+
+function aes(key, iv, data, padding = true) {
+  const cipher = crypto.createCipheriv(key.length === 32 ? 'aes-256-cbc' : 'aes-128-cbc', key, iv);
+  cipher.setAutoPadding(padding);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// Revision 6 password hash (Algorithm 2.B)
+function hash2B(password, salt, userData) {
+  let key = sha('sha256', Buffer.concat([password, salt, userData]));
+  for (let round = 0, last = 0; round < 64 || last > round - 32; round++) {
+    const block = Buffer.concat([password, key, userData]);
+    const encrypted = aes(key.subarray(0, 16), key.subarray(16, 32), Buffer.concat(Array(64).fill(block)), false);
+    const remainder = BigInt('0x' + encrypted.subarray(0, 16).toString('hex')) % 3n;
+    key = sha(['sha256', 'sha384', 'sha512'][Number(remainder)], encrypted);
+    last = encrypted[encrypted.length - 1];
+  }
+  return key.subarray(0, 32);
+}
+
+/**
+ * Computes the /Encrypt entries and the object encryption of the standard security handler
+ * @param {string} algorithm - 'RC4-128' (revision 3), 'AES-128' (revision 4) or 'AES-256' (revision 6)
+ * @param {string} userPassword - User password
+ * @param {string} ownerPassword - Owner password
+ * @param {number} permissions - /P value
+ * @returns {{dict: string, encrypt: Function}} `encrypt(data, num)` encrypts a string or stream of object `num`
+ */
+function createStandardEncryption(algorithm, userPassword, ownerPassword, permissions) {
+  const hex = data => `<${data.toString('hex')}>`;
+  
+  if (algorithm === 'AES-256') {
+    const key = crypto.randomBytes(32);
+    const user = Buffer.from(userPassword, 'utf8');
+    const owner = Buffer.from(ownerPassword, 'utf8');
+    const [userSalt, userKeySalt, ownerSalt, ownerKeySalt] = [0, 1, 2, 3].map(() => crypto.randomBytes(8));
+    const userEntry = Buffer.concat([hash2B(user, userSalt, Buffer.alloc(0)), userSalt, userKeySalt]);
+    const ownerEntry = Buffer.concat([hash2B(owner, ownerSalt, userEntry), ownerSalt, ownerKeySalt]);
+    const userKey = aes(hash2B(user, userKeySalt, Buffer.alloc(0)), Buffer.alloc(16), key, false);
+    const ownerKey = aes(hash2B(owner, ownerKeySalt, userEntry), Buffer.alloc(16), key, false);
+    
+    const perms = Buffer.alloc(16);
+    perms.writeInt32LE(permissions);
+    perms.writeUInt32LE(0xffffffff, 4);
+    perms.write('Tadb', 8, 'latin1');
+    const permsCipher = crypto.createCipheriv('aes-256-ecb', key, null);
+    permsCipher.setAutoPadding(false);
+    
+    return {
+      dict: `<< /Filter /Standard /V 5 /R 6 /Length 256 /CF << /StdCF << /CFM /AESV3 /AuthEvent /DocOpen /Length 32 >> >>` +
+        ` /StmF /StdCF /StrF /StdCF /O ${hex(ownerEntry)} /U ${hex(userEntry)} /OE ${hex(ownerKey)} /UE ${hex(userKey)}` +
+        ` /Perms ${hex(Buffer.concat([permsCipher.update(perms), permsCipher.final()]))} /P ${permissions} >>`,
+      encrypt: (data) => {
+        const iv = crypto.randomBytes(16);
+        return Buffer.concat([iv, aes(key, iv, data)]);
+      }
+    };
+  }
+  
+  const revision = algorithm === 'AES-128' ? 4 : 3;
+  let ownerKey = md5(padPassword(ownerPassword));
+  for (let i = 0; i < 50; i++) ownerKey = md5(ownerKey);
+  let ownerEntry = rc4(ownerKey, padPassword(userPassword));
+  for (let i = 1; i <= 19; i++) ownerEntry = rc4(ownerKey.map(b => b ^ i), ownerEntry);
+  
+  const permissionBytes = Buffer.alloc(4);
+  permissionBytes.writeInt32LE(permissions);
+  let key = md5(Buffer.concat([padPassword(userPassword), ownerEntry, permissionBytes, DOCUMENT_ID]));
+  for (let i = 0; i < 50; i++) key = md5(key.subarray(0, 16));
+  key = key.subarray(0, 16);
+  
+  let userEntry = rc4(key, md5(Buffer.concat([PASSWORD_PADDING, DOCUMENT_ID])));
+  for (let i = 1; i <= 19; i++) userEntry = rc4(key.map(b => b ^ i), userEntry);
+  userEntry = Buffer.concat([userEntry, Buffer.alloc(16)]);
+  
+  const objectKey = (num) => {
+    const suffix = Buffer.alloc(5);
+    suffix.writeUIntLE(num, 0, 3);
+    return md5(Buffer.concat([key, suffix, Buffer.from(revision === 4 ? 'sAlT' : '', 'latin1')])).subarray(0, 16);
+  };
+  
+  if (revision === 4) {
+    return {
+      dict: `<< /Filter /Standard /V 4 /R 4 /Length 128 /CF << /StdCF << /CFM /AESV2 /AuthEvent /DocOpen /Length 16 >> >>` +
+        ` /StmF /StdCF /StrF /StdCF /O ${hex(ownerEntry)} /U ${hex(userEntry)} /P ${permissions} >>`,
+      encrypt: (data, num) => {
+        const iv = crypto.randomBytes(16);
+        return Buffer.concat([iv, aes(objectKey(num), iv, data)]);
+      }
+    };
+  }
+  return {
+    dict: `<< /Filter /Standard /V 2 /R 3 /Length 128 /O ${hex(ownerEntry)} /U ${hex(userEntry)} /P ${permissions} >>`,
+    encrypt: (data, num) => rc4(objectKey(num), data)
+  };
+}
+
+/** Pixels of the 4x4 grayscale image of buildEncryptedDocument */
+export const ENCRYPTED_IMAGE_PIXELS = Buffer.from([...Array(16).keys()].map(i => i * 16));
+
+/**
+ * Builds a one-page encrypted document
+ * Objects: 1 catalog, 2 page tree, 3 page, 4 content, 5 font, 6 /Encrypt, 7 info
+ * with an encrypted /Title, and 8 an image drawn on the page if `image` is set.
+ * @param {string} text - Text shown on the page, also the document title
+ * @param {Object} options - Security options
+ * @param {string} options.userPassword - Password needed to open the document ('' = none)
+ * @param {string} options.ownerPassword - Owner password
+ * @param {string} options.algorithm - 'RC4-128' (default), 'AES-128' or 'AES-256'
+ * @param {boolean} options.image - Draw an uncompressed 4x4 image (ENCRYPTED_IMAGE_PIXELS) (default: false)
+ * @returns {Buffer}
+ */
+export function buildEncryptedDocument(text, { userPassword = '', ownerPassword = 'owner', algorithm = 'RC4-128', image = false } = {}) {
+  // Printing allowed, copying and modifying not
+  const permissions = (0xFFFFF000 | 0xC0 | 4 | 32 | 256 | 2048) | 0;
+  const { dict, encrypt } = createStandardEncryption(algorithm, userPassword, ownerPassword, permissions);
+  const encryptedStream = (num, entries, data) => {
+    const encrypted = encrypt(data, num);
+    return Buffer.concat([Buffer.from(`<< ${entries} /Length ${encrypted.length} >>\nstream\n`, 'latin1'), encrypted, Buffer.from('\nendstream', 'latin1')]);
+  };
+  
+  const content = textContent([text]) + (image ? 'q 100 0 0 100 72 500 cm /Im0 Do Q\n' : '');
+  const xobjects = image ? ' /XObject << /Im0 8 0 R >>' : '';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >>${xobjects} >> /Contents 4 0 R >>`,
+    encryptedStream(4, '/Filter /FlateDecode', zlib.deflateSync(Buffer.from(content, 'latin1'))),
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    dict,
+    `<< /Title <${encrypt(Buffer.from(text, 'latin1'), 7).toString('hex')}> >>`
+  ];
+  if (image) {
+    objects.push(encryptedStream(8, '/Type /XObject /Subtype /Image /Width 4 /Height 4 /ColorSpace /DeviceGray /BitsPerComponent 8', ENCRYPTED_IMAGE_PIXELS));
+  }
+  
+  const id = `<${DOCUMENT_ID.toString('hex')}>`;
+  return writePdf(objects, { trailer: `/Encrypt 6 0 R /Info 7 0 R /ID [${id} ${id}]` });
+}
+
+// Temporary files of this test process, removed when it exits
+const tempFiles = new Set();
+process.once('exit', () => {
+  for (const filePath of tempFiles) fs.rmSync(filePath, { force: true });
+});
+
+/**
+ * Writes a document to a temporary file
+ * @param {Buffer} bytes - Document
+ * @returns {string} File path; the file is removed when the process exits
+ */
+export function writeTempPdf(bytes) {
+  const filePath = path.join(os.tmpdir(), `pdf-efficient-loader-test-${process.pid}-${crypto.randomUUID()}.pdf`);
+  fs.writeFileSync(filePath, bytes);
+  tempFiles.add(filePath);
+  return filePath;
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePdfTextQuality, analyzePdfType, extractPdfSmart, renderPdfPages } from '../index.js';
+import { buildDocument, stream, textPage, writePdf } from './fixtures.js';
+
+// Japanese text in a non-embedded CID font with a predefined CMap
+const japanese = writePdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+  stream('', 'BT /F1 24 Tf 72 720 Td <3053308c306f65e5672c8a9e306730593002> Tj ET'),
+  '<< /Type /Font /Subtype /Type0 /BaseFont /KozMinPr6N-Regular /Encoding /UniJIS-UCS2-H /DescendantFonts [6 0 R] >>',
+  '<< /Type /Font /Subtype /CIDFontType0 /BaseFont /KozMinPr6N-Regular' +
+    ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 6 >> /FontDescriptor 7 0 R >>',
+  '<< /Type /FontDescriptor /FontName /KozMinPr6N-Regular /Flags 4 /FontBBox [0 0 1000 1000] /ItalicAngle 0' +
+    ' /Ascent 880 /Descent -120 /CapHeight 700 /StemV 80 >>'
+]);
+
+test('CMaps are loaded for CJK fonts only with the cjk option', async () => {
+  const withoutCMaps = await analyzePdfTextQuality(japanese);
+  assert.match(withoutCMaps.fonts[0].loadError, /cMap/);
+  assert.equal((await extractPdfSmart(japanese)).text, '');
+
+  const withCMaps = await analyzePdfTextQuality(japanese, { cjk: true });
+  assert.deepEqual(withCMaps.fonts, [{ name: 'KozMinPr6N-Regular', embedded: false, subset: false, type3: false, loadError: null }]);
+  assert.equal((await extractPdfSmart(japanese, { cjk: true })).text, 'これは日本語です。');
+});
+
+test('standard font data changes how non-embedded fonts are drawn', async () => {
+  const document = buildDocument([textPage()]);
+  const systemFonts = await renderPdfPages(document, { scale: 0.5 });
+  const standardFonts = await renderPdfPages(document, { scale: 0.5, standardFonts: true });
+  assert.deepEqual([standardFonts.images[0].width, standardFonts.images[0].height], [306, 396]);
+  assert.notDeepEqual(standardFonts.images[0].data, systemFonts.images[0].data);
+  // The text itself does not depend on the font data
+  assert.equal((await extractPdfSmart(document, { standardFonts: true })).text, (await extractPdfSmart(document)).text);
+});
+
+test('font options must be booleans', async () => {
+  const document = buildDocument([textPage()]);
+  await assert.rejects(extractPdfSmart(document, { cjk: 'yes' }), TypeError);
+  await assert.rejects(analyzePdfType(document, { standardFonts: 1 }), TypeError);
+  await assert.rejects(renderPdfPages(document, { cjk: null }), TypeError);
+});
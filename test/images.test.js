@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createCanvas } from '@napi-rs/canvas';
+import { extractPdfImages } from '../index.js';
+import { ENCRYPTED_IMAGE_PIXELS, buildDocument, buildEncryptedDocument, imagesPage, stream, writePdf } from './fixtures.js';
+
+// One page with the given content and image XObjects (objects 5, 6, ...)
+function singlePage(content, images = []) {
+  const xobjects = images.map((_, k) => `/Im${k} ${5 + k} 0 R`).join(' ');
+  return writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << ${xobjects} >> >> /Contents 4 0 R >>`,
+    stream('', content),
+    ...images
+  ]);
+}
+
+test('the inventory lists every placement with its details and DPI', async () => {
+  const { images, processedPages } = await extractPdfImages(buildDocument([imagesPage()]));
+
+  assert.deepEqual(processedPages, [1]);
+  assert.deepEqual(images.map(image => [image.name, image.ref, image.width, image.height]),
+    [['Im0', '6 0 R', 20, 20], ['Im0', '6 0 R', 20, 20], ['Im1', '7 0 R', 40, 30]]);
+  const [first, , second] = images;
+  assert.equal(first.filter, 'FlateDecode');
+  assert.equal(first.colorSpace, 'DeviceGray');
+  assert.equal(first.bitsPerComponent, 8);
+  assert.ok(first.byteSize > 0);
+  assert.deepEqual(first.placement, { x: 50, y: 600, width: 100, height: 100 });
+  // 20 pixels over 100 points
+  assert.equal(first.dpiX, 14.4);
+  assert.deepEqual([second.dpiX, second.dpiY], [14.4, 14.4]);
+  assert.equal(first.data, undefined);
+});
+
+test('images inside forms are named after their form resources', async () => {
+  const { images } = await extractPdfImages(writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Fm0 5 0 R >> >> /Contents 4 0 R >>',
+    stream('', '/Fm0 Do'),
+    stream('/Subtype /Form /BBox [0 0 612 792] /Resources << /XObject << /Logo 6 0 R >> >>', 'q 50 0 0 50 0 0 cm /Logo Do Q'),
+    stream('/Subtype /Image /Width 2 /Height 2 /ColorSpace /DeviceGray /BitsPerComponent 8', Buffer.alloc(4))
+  ]));
+  assert.deepEqual(images.map(image => [image.name, image.ref]), [['Logo', '6 0 R']]);
+});
+
+test('inline images and stencil masks have no dictionary details', async () => {
+  const inline = 'q 10 0 0 10 0 0 cm BI /W 2 /H 2 /CS /G /BPC 8 ID \x00\x80\xff\x40 EI Q';
+  const mask = 'q 30 0 0 30 100 100 cm /Im0 Do Q';
+  const { images } = await extractPdfImages(singlePage(`${inline}\n${mask}\n`, [
+    stream('/Subtype /Image /Width 8 /Height 8 /ImageMask true', Buffer.alloc(8, 0x55))
+  ]));
+
+  assert.equal(images.length, 2);
+  assert.deepEqual([images[0].inline, images[0].name, images[0].ref, images[0].filter], [true, null, null, null]);
+  assert.deepEqual([images[0].width, images[0].height], [2, 2]);
+  assert.deepEqual([images[1].imageMask, images[1].bitsPerComponent, images[1].width], [true, 1, 8]);
+});
+
+test('raw output unwraps JPEG data and decrypts encrypted images', async () => {
+  const canvas = createCanvas(8, 8);
+  canvas.getContext('2d').fillRect(0, 0, 4, 4);
+  const jpeg = await canvas.encode('jpeg');
+  const { images: [wrapped] } = await extractPdfImages(singlePage('q 80 0 0 80 0 0 cm /Im0 Do Q', [
+    stream('/Subtype /Image /Width 8 /Height 8 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter [/FlateDecode /DCTDecode]',
+      zlib.deflateSync(jpeg), false)
+  ]), { output: 'raw' });
+  assert.equal(wrapped.filter, 'DCTDecode');
+  assert.equal(wrapped.mimeType, 'image/jpeg');
+  assert.deepEqual(wrapped.data, jpeg);
+
+  const document = buildEncryptedDocument('Secret', { userPassword: 'user', algorithm: 'AES-256', image: true });
+  const { images: [encrypted] } = await extractPdfImages(document, { output: 'raw', password: 'user' });
+  assert.equal(encrypted.mimeType, 'application/octet-stream');
+  assert.deepEqual(encrypted.data, ENCRYPTED_IMAGE_PIXELS);
+});
+
+test('png output re-encodes the decoded images', async () => {
+  const { images } = await extractPdfImages(buildDocument([imagesPage()]), { output: 'png', pages: [1] });
+  assert.equal(images.length, 3);
+  for (const image of images) {
+    assert.equal(image.mimeType, 'image/png');
+    assert.deepEqual([...image.data.subarray(1, 4)], [0x50, 0x4e, 0x47]);
+  }
+});
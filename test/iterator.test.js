@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CorruptPageError, extractPdfData, iteratePdfPages } from '../index.js';
+import { buildDocument, damagedPage, imagesPage, textPage } from './fixtures.js';
+
+const document = buildDocument([textPage(1), imagesPage(), textPage(2)]);
+
+test('pages are yielded one at a time with the per-page results of extractPdfData', async () => {
+  const { pageResults } = await extractPdfData(document, { includePages: true });
+  const pages = [];
+  for await (const page of iteratePdfPages(document)) {
+    pages.push(page);
+  }
+  assert.deepEqual(pages, pageResults.map(page => ({ ...page, totalPages: 3 })));
+
+  const selected = [];
+  for await (const page of iteratePdfPages(document, { pages: [3], extractText: false })) {
+    selected.push([page.pageNum, page.text, page.textItemCount]);
+  }
+  assert.deepEqual(selected, [[3, '', 0]]);
+});
+
+test('breaking out early stops before the remaining pages are read', async () => {
+  const damaged = buildDocument([textPage(1), textPage(2), damagedPage()]);
+  await assert.rejects(async () => {
+    for await (const page of iteratePdfPages(damaged)) assert.ok(page);
+  }, CorruptPageError);
+
+  const pageNumbers = [];
+  for await (const page of iteratePdfPages(damaged)) {
+    pageNumbers.push(page.pageNum);
+    if (page.pageNum === 2) break;
+  }
+  assert.deepEqual(pageNumbers, [1, 2]);
+
+  // return() resolves once the document is destroyed
+  const iterator = iteratePdfPages(damaged);
+  assert.equal((await iterator.next()).value.pageNum, 1);
+  assert.deepEqual(await iterator.return(), { done: true, value: undefined });
+  assert.deepEqual(await iterator.next(), { done: true, value: undefined });
+});
+
+test('invalid options reject on the first next()', async () => {
+  await assert.rejects(iteratePdfPages(document, { onWarning: 'log' }).next(), TypeError);
+  await assert.rejects(iteratePdfPages(document, { pages: [4] }).next(), RangeError);
+});
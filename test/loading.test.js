@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfData, extractPdfStats } from '../index.js';
+import { stream, textContent, writePdf, writeTempPdf } from './fixtures.js';
+
+// A text page followed by a page with a large uncompressed image that page 1 never touches
+const filePath = writeTempPdf(writePdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 7 0 R >> >> /Contents 5 0 R >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im0 8 0 R >> >> /Contents 6 0 R >>',
+  stream('', textContent(['Range loading'])),
+  stream('', 'q 612 0 0 792 0 0 cm /Im0 Do Q'),
+  '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  stream('/Subtype /Image /Width 1000 /Height 1000 /ColorSpace /DeviceGray /BitsPerComponent 8', Buffer.alloc(1e6), false)
+]));
+
+test('file paths are read whole unless range loading is requested', async () => {
+  const whole = await extractPdfData(filePath, { pages: [1] });
+  assert.equal(whole.loading, undefined);
+
+  const ranged = await extractPdfData(filePath, { pages: [1], rangeLoading: true, rangeChunkSize: 1024 });
+  const { loading, ...result } = ranged;
+  assert.deepEqual(result, whole);
+  assert.equal(loading.mode, 'range');
+  assert.ok(loading.rangeRequests > 0);
+  assert.ok(loading.bytesRead < loading.fileSize / 2, `${loading.bytesRead} of ${loading.fileSize} bytes read`);
+});
+
+test('range options are validated', async () => {
+  await assert.rejects(extractPdfStats(filePath, { rangeLoading: true, rangeChunkSize: 0 }), TypeError);
+  await assert.rejects(extractPdfData(`${filePath}.missing`, { rangeLoading: true }), { code: 'ENOENT' });
+  await assert.rejects(extractPdfData(`${filePath}.missing`), { code: 'ENOENT' });
+});
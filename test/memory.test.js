@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MemoryLimitError,
+  extractPdfData,
+  extractPdfDataStreaming,
+  extractPdfSmart,
+  extractPdfStats
+} from '../index.js';
+import { buildDocument, imagesPage, textPage } from './fixtures.js';
+
+// Any running process is above 1 MB, so every page exceeds this budget
+const TINY_BUDGET = 1;
+
+const document = buildDocument([imagesPage(), imagesPage(), textPage(1), textPage(2)]);
+
+test('without a budget or telemetry, results carry no telemetry', async () => {
+  assert.equal((await extractPdfData(document)).telemetry, undefined);
+  const { telemetry } = await extractPdfData(document, { telemetry: true });
+  assert.equal(telemetry.maxMemoryMB, null);
+  assert.equal(telemetry.countingMode, 'operators');
+  assert.ok(telemetry.peakRss > 0);
+  assert.deepEqual(telemetry.pageStats.map(page => page.pageNum), [1, 2, 3, 4]);
+  assert.deepEqual(telemetry.degradations, []);
+});
+
+test('an exceeded budget releases the pdf.js caches and then rejects', async () => {
+  const error = await extractPdfData(document, { maxMemoryMB: TINY_BUDGET })
+    .then(() => null, rejection => rejection);
+
+  assert.ok(error instanceof MemoryLimitError);
+  assert.equal(error.limitMB, TINY_BUDGET);
+  assert.equal(error.pageNum, 2);
+  assert.ok(error.rss > TINY_BUDGET * 1048576);
+
+  const { partial } = error;
+  assert.deepEqual(partial.processedPages, [1, 2]);
+  assert.deepEqual(partial.telemetry.degradations, [{ pageNum: 1, action: 'cleanup' }]);
+  // Counting is not changed by the fallback
+  assert.equal(partial.telemetry.countingMode, 'operators');
+  assert.equal(partial.imageCount, 6);
+});
+
+test('every extractor with a budget takes the same steps', async () => {
+  for (const extract of [extractPdfDataStreaming, extractPdfStats, extractPdfSmart]) {
+    await assert.rejects(extract(document, { maxMemoryMB: TINY_BUDGET, extractText: false }), error => {
+      assert.ok(error instanceof MemoryLimitError, extract.name);
+      assert.equal(error.pageNum, 2, extract.name);
+      assert.deepEqual(error.partial.telemetry.degradations, [{ pageNum: 1, action: 'cleanup' }], extract.name);
+      return true;
+    });
+  }
+});
+
+test('a generous budget changes nothing and invalid budgets are rejected', async () => {
+  const { telemetry } = await extractPdfSmart(document, { maxMemoryMB: 1e6 });
+  assert.equal(telemetry.maxMemoryMB, 1e6);
+  assert.deepEqual(telemetry.degradations, []);
+
+  await assert.rejects(extractPdfData(document, { maxMemoryMB: -1 }), RangeError);
+  await assert.rejects(extractPdfData(document, { maxMemoryMB: '5' }), RangeError);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfMetadata, extractPdfSmart } from '../index.js';
+import { buildDocument, stream, textPage, writePdf } from './fixtures.js';
+
+const xmp = `<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Annual report</rdf:li></rdf:Alt></dc:title>
+<xmp:CreateDate>2024-01-02T03:04:05+01:00</xmp:CreateDate>
+</rdf:Description></rdf:RDF></x:xmpmeta>
+<?xpacket end="w"?>`;
+
+const page = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>';
+const document = writePdf([
+  '<< /Type /Catalog /Pages 2 0 R /Outlines 5 0 R /Metadata 9 0 R /Names << /Dests 10 0 R >>' +
+    ' /PageLabels << /Nums [0 << /S /r >> 1 << /S /D /P (A-) >>] >> >>',
+  '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>',
+  page,
+  page,
+  '<< /Type /Outlines /First 6 0 R /Last 7 0 R /Count 3 >>',
+  '<< /Title (Introduction) /Parent 5 0 R /Next 7 0 R /Dest (intro) /First 11 0 R /Last 11 0 R /Count 1 >>',
+  '<< /Title (Website) /Parent 5 0 R /Prev 6 0 R /A << /S /URI /URI (https://example.com/) >> /F 3 >>',
+  "<< /Title (Annual report) /Author (Jane Roe) /CreationDate (D:20240102030405+01'00') /Trapped /False /Department (Finance) >>",
+  stream('/Type /Metadata /Subtype /XML', xmp, false),
+  '<< /Names [(intro) [3 0 R /Fit]] >>',
+  '<< /Title (Details) /Parent 6 0 R /Dest [4 0 R /XYZ 0 792 0] >>'
+], { trailer: '/Info 8 0 R' });
+
+test('Info fields, XMP, page labels and the outline are read with normalized dates', async () => {
+  const metadata = await extractPdfMetadata(document);
+
+  assert.equal(metadata.pdfVersion, '1.7');
+  assert.equal(metadata.totalPages, 2);
+  assert.equal(metadata.info.title, 'Annual report');
+  assert.equal(metadata.info.author, 'Jane Roe');
+  assert.equal(metadata.info.creationDate, '2024-01-02T02:04:05.000Z');
+  assert.equal(metadata.info.modificationDate, null);
+  assert.equal(metadata.info.trapped, 'False');
+  assert.deepEqual(metadata.info.custom, { Department: 'Finance' });
+  assert.equal(metadata.xmp['dc:title'], 'Annual report');
+  assert.equal(metadata.xmp['xmp:createdate'], '2024-01-02T02:04:05.000Z');
+  assert.deepEqual(metadata.pageLabels, ['i', 'A-1']);
+
+  assert.deepEqual(metadata.outline.map(item => [item.title, item.pageNum, item.dest, item.url, item.bold, item.italic]), [
+    ['Introduction', 1, 'intro', null, false, false],
+    ['Website', null, null, 'https://example.com/', true, true]
+  ]);
+  assert.deepEqual(metadata.outline[0].items.map(item => [item.title, item.pageNum]), [['Details', 2]]);
+});
+
+test('documents without metadata have empty fields', async () => {
+  const metadata = await extractPdfMetadata(buildDocument([textPage()]));
+  assert.equal(metadata.info.title, null);
+  assert.equal(metadata.xmp, null);
+  assert.equal(metadata.pageLabels, null);
+  assert.deepEqual(metadata.outline, []);
+});
+
+test('extractPdfSmart adds the metadata only on request', async () => {
+  const result = await extractPdfSmart(document, { includeMetadata: true });
+  assert.deepEqual(result.metadata, await extractPdfMetadata(document));
+  assert.equal((await extractPdfSmart(document)).metadata, undefined);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePdfType, createStubOcr, extractPdfSmart } from '../index.js';
+import { buildDocument, scanPage, textPage, vectorPage } from './fixtures.js';
+
+// More pages than the analysis samples, with scans at both ends
+const pages = [scanPage(), textPage(1), textPage(2), vectorPage(), textPage(3), textPage(4), textPage(5), scanPage()];
+const document = buildDocument(pages);
+
+test('only pages classified as scans are sent to the OCR engine', async () => {
+  const ocr = createStubOcr();
+  const result = await extractPdfSmart(document, { ocr, includePages: true });
+
+  assert.deepEqual(ocr.calls.map(call => call.pageNum), [1, 8]);
+  assert.ok(ocr.calls.every(call => call.mimeType === 'image/png' && call.width > 0 && call.height > 0));
+  assert.deepEqual(result.ocrPages, [1, 8]);
+  assert.deepEqual(result.pageResults.map(page => page.source),
+    ['ocr', 'native', 'native', 'native', 'native', 'native', 'native', 'ocr']);
+  assert.match(result.text, /^OCR page 1\n/);
+});
+
+test('routing matches a full analysis although the analysis is sampled', async () => {
+  const full = await analyzePdfType(document, { allPages: true });
+  const result = await extractPdfSmart(document, { ocr: createStubOcr() });
+
+  assert.equal(result.pdfType, 'mixed');
+  assert.equal(full.pageRanges.scan, '1,8');
+  assert.deepEqual(result.ocrPages, [1, 8]);
+});
+
+test('the classifier option also applies to OCR routing', async () => {
+  // Nothing counts as a scan when no page may have an image
+  const ocr = createStubOcr();
+  const result = await extractPdfSmart(document, { ocr, classifier: { maxScanImages: 0 } });
+  assert.deepEqual(ocr.calls, []);
+  assert.deepEqual(result.ocrPages, []);
+});
+
+test('a null answer keeps the native text', async () => {
+  const result = await extractPdfSmart(document, {
+    ocr: createStubOcr({ text: () => null }),
+    includePages: true,
+    pages: [1, 2]
+  });
+  assert.deepEqual(result.ocrPages, []);
+  assert.deepEqual(result.pageResults.map(page => page.source), ['native', 'native']);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfData, extractPdfDataStreaming, extractPdfSmart, extractPdfStats } from '../index.js';
+import { stream, textContent, writePdf } from './fixtures.js';
+
+// A letter page with text and a rotated landscape page with a drawing
+const document = writePdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 7 0 R >> >> /Contents 5 0 R >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 400] /Rotate 90 /Contents 6 0 R >>',
+  stream('', textContent(['First line', 'Second line'])),
+  stream('', '10 10 m 200 200 l S 20 20 100 50 re f'),
+  '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+]);
+
+const expected = [
+  { pageNum: 1, text: 'First line Second line', imageCount: 0, vectorCount: 0, textItemCount: 2, width: 612, height: 792, rotation: 0 },
+  { pageNum: 2, text: '', imageCount: 0, vectorCount: 3, textItemCount: 0, width: 300, height: 400, rotation: 90 }
+];
+
+test('every extractor returns per-page results with includePages', async () => {
+  for (const extract of [extractPdfData, extractPdfDataStreaming, extractPdfStats, extractPdfSmart]) {
+    const result = await extract(document, { includePages: true });
+    assert.deepEqual(result.pageResults, expected, extract.name);
+    assert.equal(result.vectorCount, 3);
+  }
+
+  // Graphics counts and geometry only, without reading the text
+  const stats = await extractPdfStats(document, { includePages: true, extractText: false });
+  assert.deepEqual(stats.pageResults, expected.map(page => ({ ...page, text: '', textItemCount: 0 })));
+});
+
+test('per-page results are opt-in', async () => {
+  for (const extract of [extractPdfData, extractPdfDataStreaming, extractPdfStats, extractPdfSmart]) {
+    assert.equal((await extract(document)).pageResults, undefined, extract.name);
+  }
+});
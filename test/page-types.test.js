@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePdfType } from '../index.js';
+import { buildDocument, scanPage, textPage, vectorPage } from './fixtures.js';
+
+const contract = buildDocument([textPage(1), textPage(2), scanPage(), scanPage(), textPage(3)]);
+
+test('documents with pages of different types are mixed, with page ranges per type', async () => {
+  const analysis = await analyzePdfType(contract, { allPages: true });
+
+  assert.equal(analysis.type, 'mixed');
+  assert.deepEqual(analysis.pageRanges, { text: '1-2,5', scan: '3-4' });
+  assert.deepEqual(analysis.pageTypes.map(page => [page.pageNum, page.type]),
+    [[1, 'text'], [2, 'text'], [3, 'scan'], [4, 'scan'], [5, 'text']]);
+  // The confidence of a mixed document is the average of its pages
+  const average = analysis.pageTypes.reduce((sum, page) => sum + page.confidence, 0) / 5;
+  assert.ok(Math.abs(analysis.confidence - average) < 1e-9);
+
+  const scan = analysis.pageTypes[2];
+  assert.deepEqual([scan.signals.textItems, scan.signals.imageCount, scan.signals.largeImage], [0, 1, false]);
+  assert.equal(analysis.pageTypes[0].signals.textItems, 30);
+});
+
+test('documents of one type keep that type', async () => {
+  const drawing = await analyzePdfType(buildDocument([vectorPage(), vectorPage()]));
+  assert.equal(drawing.type, 'vector');
+  assert.deepEqual(drawing.pageRanges, { vector: '1-2' });
+
+  const scans = await analyzePdfType(contract, { pages: '3-4' });
+  assert.equal(scans.type, 'scan');
+  assert.deepEqual(scans.pageRanges, { scan: '3-4' });
+});
+
+test('a sample classifies evenly spaced pages', async () => {
+  const analysis = await analyzePdfType(contract, { samplePages: 2 });
+  assert.equal(analysis.stats.totalPages, 5);
+  assert.equal(analysis.stats.sampledPages, 2);
+  assert.deepEqual(analysis.pageTypes.map(page => page.pageNum), [1, 3]);
+  assert.deepEqual(analysis.pageRanges, { text: '1', scan: '3' });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfData, extractPdfDataStreaming, extractPdfSmart, extractPdfStats } from '../index.js';
+import { buildDocument, textPage } from './fixtures.js';
+
+// Page n shows lines numbered from n * 100
+const document = buildDocument(Array.from({ length: 10 }, (_, i) => textPage(i + 1)));
+
+test('every extraction function processes only the selected pages', async () => {
+  const selections = [
+    [{ pages: '1-3,7' }, [1, 2, 3, 7]],
+    [{ pages: [9, 2, 2] }, [2, 9]],
+    [{ firstPage: 8 }, [8, 9, 10]],
+    [{ pages: '1-10', firstPage: 3, lastPage: 5 }, [3, 4, 5]],
+    [{ lastPage: 6, pageFilter: (pageNum, totalPages) => pageNum % 2 === 0 && totalPages === 10 }, [2, 4, 6]]
+  ];
+  for (const extract of [extractPdfData, extractPdfDataStreaming, extractPdfStats, extractPdfSmart]) {
+    for (const [options, expected] of selections) {
+      const result = await extract(document, options);
+      assert.deepEqual(result.processedPages, expected, `${extract.name} ${JSON.stringify(options)}`);
+    }
+  }
+
+  const { text } = await extractPdfData(document, { pages: [2] });
+  assert.match(text, /Line 200 /);
+  assert.doesNotMatch(text, /Line 100 |Line 300 /);
+});
+
+test('invalid selections are rejected with clear errors', async () => {
+  await assert.rejects(extractPdfData(document, { pages: [12] }),
+    { name: 'RangeError', message: 'Page 12 is out of range (document has 10 pages)' });
+  await assert.rejects(extractPdfData(document, { pages: '3-1' }), RangeError);
+  await assert.rejects(extractPdfData(document, { firstPage: 0 }), RangeError);
+  await assert.rejects(extractPdfData(document, { firstPage: 6, lastPage: 5 }), RangeError);
+  await assert.rejects(extractPdfData(document, { pages: '1-3;7' }), { name: 'TypeError', message: 'Invalid page range "1-3;7" in "1-3;7"' });
+  await assert.rejects(extractPdfData(document, { pages: [1.5] }), TypeError);
+  await assert.rejects(extractPdfData(document, { pages: 3 }), TypeError);
+  await assert.rejects(extractPdfStats(document, { lastPage: '5' }), TypeError);
+  await assert.rejects(extractPdfSmart(document, { pageFilter: true }), TypeError);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import {
+  PdfObjectError,
+  PdfRef,
+  PdfStream,
+  decodeStreamData,
+  openObjectReader,
+  parsePdfValue
+} from '../pdf-objects.js';
+import { ENCRYPTED_IMAGE_PIXELS, buildDocument, buildEncryptedDocument, imagesPage, stream, writePdf } from './fixtures.js';
+
+// Byte source over a Buffer that counts what is read
+function bufferSource(bytes) {
+  const source = {
+    length: bytes.length,
+    bytesRead: 0,
+    read: async (begin, end) => {
+      const data = bytes.subarray(begin, Math.min(end, bytes.length));
+      source.bytesRead += data.length;
+      return data;
+    }
+  };
+  return source;
+}
+
+const parse = text => parsePdfValue(Buffer.from(text, 'latin1')).value;
+
+test('literal strings keep their escapes, nesting and line ends', () => {
+  const value = parse('(a\\(b\\)c\\\\ (nested) \\n\\t\\101\\0537 \\\r\ncontinued\r\nend\\q)');
+  assert.equal(value.toString('latin1'), 'a(b)c\\ (nested) \n\tA+7 continued\nendq');
+  // A string may contain keywords and unbalanced-looking delimiters
+  assert.equal(parse('(endobj stream >> \\) ])').toString('latin1'), 'endobj stream >> ) ]');
+});
+
+test('hex strings, names, numbers and references are parsed', () => {
+  assert.equal(parse('<41 42\n43 4>').toString('latin1'), 'ABC@');
+  assert.equal(parse('/A#20B#2fC'), 'A B/C');
+  assert.deepEqual(parse('[-.5 +3 12. 7 true false null 1 0 R 2 R /N]'),
+    [-0.5, 3, 12, 7, true, false, null, new PdfRef(1, 0), 2, 'N']);
+  assert.deepEqual(parse('<< /Type /Page % comment >>\n /Kids [3 0 R] /Sub << /X 1 >> >>'),
+    { Type: 'Page', Kids: [new PdfRef(3, 0)], Sub: { X: 1 } });
+  assert.ok(Object.hasOwn(parse('<< /__proto__ 1 >>'), '__proto__'));
+});
+
+test('unterminated dictionaries and arrays are reported', () => {
+  assert.throws(() => parse('<< /A 1 endobj'), PdfObjectError);
+  assert.throws(() => parse('[1 2 stream'), PdfObjectError);
+  assert.throws(() => parse('<< /A (open'), PdfObjectError);
+});
+
+test('general-purpose filters are undone', () => {
+  const decode = (data, filters, params) => decodeStreamData(Buffer.from(data, 'latin1'), filters, params).data.toString('latin1');
+  assert.equal(decode('4d 616E>', ['ASCIIHexDecode']), 'Man');
+  assert.equal(decode('9jqo^BlbD-BleB1DJ+*+F(f,q~>', ['ASCII85Decode']), 'Man is distinguished');
+  assert.equal(decode('z@:B~>', ['A85']), '\0\0\0\0ab');
+  assert.equal(decode('\x02abc\xfex\x80ignored', ['RunLengthDecode']), 'abcxxx');
+  // Example of ISO 32000-1, 7.4.4.2
+  assert.deepEqual(decodeStreamData(Buffer.from('800b6050220c0c8501', 'hex'), ['LZWDecode']).data,
+    Buffer.from([45, 45, 45, 45, 45, 65, 45, 45, 45, 66]));
+});
+
+test('Flate data with PNG and TIFF predictors is restored', () => {
+  const rows = Buffer.from([2, 1, 2, 3, 2, 1, 1, 1, 1, 5, 5, 5]);
+  const png = decodeStreamData(zlib.deflateSync(rows), ['FlateDecode'], [{ Predictor: 12, Columns: 3 }]);
+  assert.deepEqual([...png.data], [1, 2, 3, 2, 3, 4, 5, 10, 15]);
+
+  const tiff = decodeStreamData(zlib.deflateSync(Buffer.from([1, 1, 1, 10, 0, 1])), ['FlateDecode'],
+    [{ Predictor: 2, Columns: 3, Colors: 1 }]);
+  assert.deepEqual([...tiff.data], [1, 2, 3, 10, 10, 11]);
+});
+
+test('decoding stops at image codecs and rejects unknown filters', () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+  const result = decodeStreamData(zlib.deflateSync(jpeg), ['FlateDecode', 'DCTDecode']);
+  assert.deepEqual(result, { data: jpeg, filters: ['DCTDecode'] });
+  assert.throws(() => decodeStreamData(Buffer.alloc(1), ['BogusDecode']), PdfObjectError);
+  assert.throws(() => decodeStreamData(Buffer.from('not deflated'), ['FlateDecode']), PdfObjectError);
+});
+
+// Reads the first page dictionary and its decoded content
+async function readFirstPage(reader) {
+  const catalog = await reader.resolve(reader.trailer.Root);
+  const pages = await reader.resolve(catalog.Pages);
+  const page = await reader.resolve(pages.Kids[0]);
+  const { data } = await reader.readStream(page.Contents, { decode: true });
+  return { page, content: data.toString('latin1') };
+}
+
+test('objects are found through tables, streams and object streams', async () => {
+  for (const compressObjects of [false, true]) {
+    const reader = await openObjectReader(bufferSource(buildDocument([imagesPage()], { compressObjects })));
+    const { page, content } = await readFirstPage(reader);
+    assert.equal(page.Type, 'Page', `compressObjects: ${compressObjects}`);
+    assert.match(content, /\/Im1 Do/);
+
+    const image = await reader.resolve(page.Resources.XObject.Im1);
+    assert.ok(image instanceof PdfStream);
+    assert.deepEqual([image.dict.Width, image.dict.Height], [40, 30]);
+    const pixels = await reader.readStream(image, { decode: true });
+    assert.equal(pixels.data.length, 40 * 30);
+  }
+});
+
+test('only the parts of the file that are needed are read', async () => {
+  const source = bufferSource(writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>',
+    stream('', '/Im0 Do'),
+    stream('/Subtype /Image /Width 1000 /Height 1000 /ColorSpace /DeviceGray /BitsPerComponent 8', Buffer.alloc(1e6), false)
+  ]));
+  const reader = await openObjectReader(source);
+  await readFirstPage(reader);
+  assert.ok(source.bytesRead < source.length / 10, `${source.bytesRead} of ${source.length} bytes read`);
+});
+
+test('incremental updates replace earlier versions', async () => {
+  const reader = await openObjectReader(bufferSource(writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [] /Count 0 /Version 1 >>'
+  ], { update: { 2: '<< /Type /Pages /Kids [] /Count 0 /Version 2 >>' } })));
+  assert.equal((await reader.resolve(new PdfRef(2, 0))).Version, 2);
+});
+
+test('damaged cross-reference data is rebuilt from the objects in the file', async () => {
+  const document = buildDocument([imagesPage()]);
+
+  // No usable startxref
+  const noStartxref = Buffer.from(document.toString('latin1').replace(/startxref\s+\d+/, 'startxref\n999999'), 'latin1');
+  assert.equal((await readFirstPage(await openObjectReader(bufferSource(noStartxref)))).page.Type, 'Page');
+
+  // Offsets that point before the objects
+  const shifted = Buffer.from(document.toString('latin1').replace('%PDF-1.7\n', '%PDF-1.7\n% padding that shifts every object\n'), 'latin1');
+  assert.match((await readFirstPage(await openObjectReader(bufferSource(shifted)))).content, /\/Im0 Do/);
+
+  // Objects in object streams, with a truncated cross-reference stream
+  const compressed = buildDocument([imagesPage()], { compressObjects: true });
+  const xrefStart = compressed.lastIndexOf('/Type /XRef');
+  const truncated = Buffer.concat([compressed.subarray(0, xrefStart), Buffer.from(' >>\nendobj\n', 'latin1')]);
+  const { page } = await readFirstPage(await openObjectReader(bufferSource(truncated)));
+  assert.deepEqual(page.MediaBox, [0, 0, 612, 792]);
+});
+
+test('a wrong stream length is corrected from the end of the stream', async () => {
+  const data = 'BT (content) Tj ET';
+  const reader = await openObjectReader(bufferSource(writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [] /Count 0 >>',
+    `<< /Length 5 >>\nstream\n${data}\nendstream`,
+    stream('', data).toString('latin1').replace(/\/Length \d+/, '/Length 5 0 R'),
+    '9999'
+  ])));
+  assert.equal((await reader.readStream(new PdfRef(3, 0))).data.toString('latin1'), data);
+  assert.equal((await reader.readStream(new PdfRef(4, 0), { decode: true })).data.toString('latin1'), data);
+});
+
+test('encrypted strings and streams are decrypted with the user or owner password', async () => {
+  for (const algorithm of ['RC4-128', 'AES-128', 'AES-256']) {
+    const document = buildEncryptedDocument('Confidential', { userPassword: 'user', algorithm, image: true });
+    for (const password of ['user', 'owner']) {
+      const reader = await openObjectReader(bufferSource(document), { password });
+      const info = await reader.resolve(reader.trailer.Info);
+      assert.equal(info.Title.toString('latin1'), 'Confidential', `${algorithm} with ${password}`);
+      assert.match((await readFirstPage(reader)).content, /\(Confidential\) Tj/);
+      assert.deepEqual((await reader.readStream(new PdfRef(8, 0))).data, ENCRYPTED_IMAGE_PIXELS);
+    }
+    await assert.rejects(openObjectReader(bufferSource(document), { password: 'wrong' }), PdfObjectError);
+  }
+});
+
+test('documents with an empty user password open without a password', async () => {
+  const reader = await openObjectReader(bufferSource(buildEncryptedDocument('Open', { algorithm: 'AES-256' })));
+  assert.equal((await reader.resolve(reader.trailer.Info)).Title.toString('latin1'), 'Open');
+});
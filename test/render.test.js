@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { renderPdfPages } from '../index.js';
+import { buildDocument, stream, textPage, writePdf } from './fixtures.js';
+
+// A black square in the bottom-left quarter of a 200 x 100 pt page, and a rotated letter page
+const document = writePdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 100] /Contents 5 0 R >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Rotate 90 /Contents 6 0 R >>',
+  stream('', '0 g 0 0 100 50 re f'),
+  stream('', '')
+]);
+
+// RGBA of one pixel of an encoded image
+async function pixel(data, x, y) {
+  const image = await loadImage(data);
+  const canvas = createCanvas(image.width, image.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  return [...context.getImageData(x, y, 1, 1).data];
+}
+
+test('pages are rendered to PNG at the requested scale', async () => {
+  const { images, pages, processedPages } = await renderPdfPages(document, { scale: 2 });
+  assert.deepEqual([pages, processedPages], [2, [1, 2]]);
+
+  const [first, rotated] = images;
+  assert.deepEqual([first.pageNum, first.width, first.height, first.mimeType], [1, 400, 200, 'image/png']);
+  assert.deepEqual([...first.data.subarray(1, 4)], [0x50, 0x4e, 0x47]);
+  assert.deepEqual(await pixel(first.data, 10, 190), [0, 0, 0, 255]);
+  assert.deepEqual(await pixel(first.data, 390, 10), [255, 255, 255, 255]);
+  // Rotation swaps the sides
+  assert.deepEqual([rotated.width, rotated.height], [1584, 1224]);
+});
+
+test('maxWidth and maxHeight fit the page, and JPEG and WebP are supported', async () => {
+  const { images: [jpeg] } = await renderPdfPages(document, { pages: [1], maxWidth: 100, format: 'jpeg', quality: 50 });
+  assert.deepEqual([jpeg.width, jpeg.height, jpeg.mimeType], [100, 50, 'image/jpeg']);
+  assert.deepEqual([...jpeg.data.subarray(0, 3)], [0xff, 0xd8, 0xff]);
+
+  const { images: [webp] } = await renderPdfPages(document, { pages: [1], maxWidth: 100, maxHeight: 20, format: 'webp' });
+  assert.deepEqual([webp.width, webp.height, webp.mimeType], [40, 20, 'image/webp']);
+  assert.equal(webp.data.subarray(8, 12).toString('latin1'), 'WEBP');
+});
+
+test('onPage receives each image instead of the result', async () => {
+  const received = [];
+  const result = await renderPdfPages(buildDocument([textPage(1), textPage(2)]), { onPage: image => received.push(image.pageNum) });
+  assert.deepEqual(received, [1, 2]);
+  assert.deepEqual(result.images, []);
+});
+
+test('invalid render options are rejected', async () => {
+  await assert.rejects(renderPdfPages(document, { format: 'gif' }), TypeError);
+  await assert.rejects(renderPdfPages(document, { scale: 0 }), RangeError);
+  await assert.rejects(renderPdfPages(document, { maxWidth: -1 }), RangeError);
+});
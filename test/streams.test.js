@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { AbortError, UnsupportedSourceError, analyzePdfType, extractPdfData, extractPdfImages } from '../index.js';
+import { ENCRYPTED_IMAGE_PIXELS, buildDocument, buildEncryptedDocument, imagesPage, textPage } from './fixtures.js';
+
+const document = buildDocument([textPage(1), imagesPage(), textPage(2)]);
+
+// Splits a document into small chunks, as an upload would arrive
+function* chunksOf(bytes, size = 1000) {
+  for (let offset = 0; offset < bytes.length; offset += size) {
+    yield bytes.subarray(offset, offset + size);
+  }
+}
+
+test('Node and web streams give the same result as a Buffer', async () => {
+  const expected = await extractPdfData(document);
+  assert.deepEqual(await extractPdfData(Readable.from(chunksOf(document))), expected);
+  assert.deepEqual(await extractPdfData(ReadableStream.from(chunksOf(document))), expected);
+});
+
+test('aborting while a stream is read stops the stream', async () => {
+  const controller = new AbortController();
+  const source = new Readable({ read() {} });
+  source.push(document.subarray(0, 1000));
+
+  const result = extractPdfData(source, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(result, AbortError);
+  assert.ok(source.destroyed);
+});
+
+test('the file structure of a stream source is available after loading', async () => {
+  const encrypted = buildEncryptedDocument('Streamed', { userPassword: 'user', image: true });
+  const { images } = await extractPdfImages(Readable.from(chunksOf(encrypted)), { output: 'raw', password: 'user' });
+  assert.deepEqual(images[0].data, ENCRYPTED_IMAGE_PIXELS);
+
+  const analysis = await analyzePdfType(Readable.from(chunksOf(encrypted)), { password: 'user' });
+  assert.equal(analysis.encryption.algorithm, 'RC4-128');
+});
+
+test('stream failures reject the call', async () => {
+  await assert.rejects(extractPdfData(Readable.from(['text chunks'])), UnsupportedSourceError);
+  const failing = new Readable({
+    read() {
+      this.destroy(new Error('connection reset'));
+    }
+  });
+  await assert.rejects(extractPdfData(failing), /connection reset/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfTables } from '../index.js';
+import { buildDocument } from './fixtures.js';
+
+// Text at a position, with the standard font F1
+const cell = (x, y, text) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET\n`;
+
+// Two rows and two columns between stroked lines at the top of the page
+let ruled = '0.5 w 100 700 m 300 700 l S 100 680 m 300 680 l S 100 660 m 300 660 l S ' +
+  '100 660 m 100 700 l S 200 660 m 200 700 l S 300 660 m 300 700 l S\n';
+ruled += cell(105, 685, 'Item') + cell(205, 685, 'Price') + cell(105, 665, 'Paper') + cell(205, 665, '4.50');
+
+// Four rows and three columns without lines further down
+const rows = [['Name', 'Qty', 'Total'], ['Pens', '10', '12.00'], ['Ink', '2', '30.00'], ['Tape', '5', '7.50']];
+const aligned = rows.map((row, i) => row.map((text, k) => cell(100 + k * 120, 500 - i * 16, text)).join('')).join('');
+
+const document = buildDocument([{ content: ruled + aligned }]);
+
+test('ruled and borderless tables are found top to bottom', async () => {
+  const { tables, processedPages } = await extractPdfTables(document);
+  assert.deepEqual(processedPages, [1]);
+  assert.deepEqual(tables.map(table => [table.method, table.rowCount, table.columnCount]),
+    [['rulings', 2, 2], ['alignment', 4, 3]]);
+  assert.deepEqual(tables[0].rows, [['Item', 'Price'], ['Paper', '4.50']]);
+  assert.deepEqual(tables[1].rows, rows);
+  assert.equal(tables[1].csv.split(/\r?\n/)[1], 'Pens,10,12.00');
+
+  const rulings = await extractPdfTables(document, { strategy: 'rulings' });
+  assert.deepEqual(rulings.tables.map(table => table.method), ['rulings']);
+});
+
+test('minRows and minColumns drop smaller borderless tables', async () => {
+  const options = { strategy: 'alignment' };
+  assert.equal((await extractPdfTables(document, { ...options, minRows: 5 })).tables.length, 0);
+  assert.equal((await extractPdfTables(document, { ...options, minColumns: 4 })).tables.length, 0);
+  assert.equal((await extractPdfTables(document, { ...options, minRows: 4, minColumns: 3 })).tables.length, 1);
+});
+
+test('invalid table options are rejected', async () => {
+  await assert.rejects(extractPdfTables(document, { strategy: 'grid' }), TypeError);
+  for (const options of [{ minRows: 0 }, { minRows: 2.5 }, { minRows: '3' }, { minColumns: 1 }, { minColumns: Infinity }]) {
+    await assert.rejects(extractPdfTables(document, options), RangeError, JSON.stringify(options));
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfDataStreaming, iteratePdfPages } from '../index.js';
+import { buildDocument } from './fixtures.js';
+
+const document = buildDocument([
+  { content: 'BT /F1 10 Tf 72 700 Td (Hello wide world) Tj ET\n' },
+  { content: 'BT /F1 20 Tf 100 100 Td (Second) Tj ET\n' }
+]);
+
+// Rounds every number of a box, as glyph widths add floating-point noise
+const round = box => JSON.parse(JSON.stringify(box, (key, value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value)));
+
+test('word boxes have PDF and top-left pixel coordinates and the font', async () => {
+  const pages = [];
+  for await (const page of iteratePdfPages(document, { textBoxes: 'words', textBoxScale: 2 })) pages.push(page);
+  const [hello, wide, world] = pages[0].textBoxes.map(round);
+
+  assert.deepEqual(hello, {
+    text: 'Hello',
+    pageNum: 1,
+    // Baseline at 700 with the Helvetica descent below it
+    bbox: { x: 72, y: 697.93, width: 22.75, height: 9.25 },
+    // Scaled by 2 and measured from the top of the 792 pt page
+    viewportBox: { left: 144, top: 169.64, width: 45.49, height: 18.5 },
+    fontName: 'Helvetica',
+    fontSize: 10
+  });
+  assert.deepEqual([wide.text, world.text], ['wide', 'world']);
+  assert.ok(wide.bbox.x > hello.bbox.x + hello.bbox.width && world.bbox.x > wide.bbox.x + wide.bbox.width);
+  assert.deepEqual(pages[1].textBoxes.map(box => [box.text, box.pageNum, box.fontSize]), [['Second', 2, 20]]);
+});
+
+test('run boxes reach onPageProcessed and are kept only with includePages', async () => {
+  const boxes = [];
+  const result = await extractPdfDataStreaming(document, {
+    textBoxes: 'runs',
+    onPageProcessed: ({ textBoxes }) => boxes.push(...textBoxes)
+  });
+  assert.deepEqual(boxes.map(box => box.text), ['Hello wide world', 'Second']);
+  // From the start of 'Hello' to the end of 'world'
+  assert.equal(round(boxes[0]).bbox.width, 72.79);
+  assert.equal(result.pageResults, undefined);
+
+  const { pageResults } = await extractPdfDataStreaming(document, { textBoxes: 'runs', includePages: true });
+  assert.deepEqual(pageResults.map(page => page.textBoxes.length), [1, 1]);
+});
+
+test('an unknown box granularity is rejected', async () => {
+  await assert.rejects(extractPdfDataStreaming(document, { textBoxes: 'glyphs' }), TypeError);
+  await assert.rejects(iteratePdfPages(document, { textBoxes: true }).next(), TypeError);
+});
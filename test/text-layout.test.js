@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfData, iteratePdfPages } from '../index.js';
+import { buildDocument } from './fixtures.js';
+
+const show = (x, y, text) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET\n`;
+
+// A title across the page, then two columns drawn row by row; the left column has two paragraphs
+const left = ['Left column starts here', 'and goes on for a while', null, 'A new paragraph begins', 'after a larger gap'];
+const right = ['Right column text is', 'read after the left one', 'and keeps its lines', 'in their own order', 'until the end'];
+let content = show(72, 740, 'A title that spans both of the page columns and the gutter between them');
+for (let i = 0; i < left.length; i++) {
+  if (left[i]) content += show(72, 700 - i * 14, left[i]);
+  content += show(320, 700 - i * 14, right[i]);
+}
+const document = buildDocument([{ content }]);
+
+test('plain mode joins the text items in content order', async () => {
+  const { text } = await extractPdfData(document);
+  assert.match(text, /^A title .* them Left column starts here\s+Right column text is\s+and goes on for a while\s+read after/);
+});
+
+test('lines mode rebuilds lines, paragraphs and the column reading order', async () => {
+  const { text } = await extractPdfData(document, { textMode: 'lines' });
+  assert.equal(text.trim(), [
+    'A title that spans both of the page columns and the gutter between them',
+    '',
+    'Left column starts here',
+    'and goes on for a while',
+    '',
+    'A new paragraph begins',
+    'after a larger gap',
+    '',
+    'Right column text is',
+    'read after the left one',
+    'and keeps its lines',
+    'in their own order',
+    'until the end'
+  ].join('\n'));
+});
+
+test('layout mode keeps the columns side by side', async () => {
+  const pages = [];
+  for await (const page of iteratePdfPages(document, { textMode: 'layout' })) pages.push(page);
+  const lines = pages[0].text.split('\n');
+  const row = lines.find(line => line.startsWith('Left column starts here'));
+  assert.match(row, /^Left column starts here {5,}Right column text is$/);
+  // The empty row of the left column keeps the right column in place
+  const gap = lines.find(line => line.trim() === 'and keeps its lines');
+  assert.ok(gap.indexOf('and keeps') === row.indexOf('Right column'));
+});
+
+test('an unknown text mode is rejected', async () => {
+  await assert.rejects(extractPdfData(document, { textMode: 'columns' }), TypeError);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePdfTextQuality, analyzePdfType } from '../index.js';
+import { buildDocument, sampleLines, scanPage, stream, textContent, textPage, writePdf } from './fixtures.js';
+
+const lines = sampleLines(30);
+// Every word switches case in the middle
+const garbledLines = Array.from({ length: 30 }, (_, i) => `qXzK wRtP mNbV ${i} hJkL pQwE`);
+
+const document = buildDocument([
+  textPage(),
+  { ...scanPage(), content: scanPage().content + textContent(lines).replace('BT', 'BT 3 Tr') },
+  { content: textContent(lines) + textContent(lines) },
+  { content: textContent(garbledLines) },
+  scanPage()
+]);
+
+/**
+ * Scanned page whose text layer maps every character to the private use area
+ * @param {boolean} image - Draw the page image
+ * @returns {Buffer}
+ */
+function unmappedDocument(image) {
+  const cmap = '/CIDInit /ProcSet findresource begin 12 dict begin begincmap /CMapName /Custom def' +
+    ' 1 begincodespacerange <00> <FF> endcodespacerange 1 beginbfrange <20> <7E> <E000> endbfrange' +
+    ' endcmap CMapName currentdict /CMap defineresource pop end end';
+  return writePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> /XObject << /Im0 7 0 R >> >> /Contents 4 0 R >>',
+    stream('', (image ? scanPage().content : '') + textContent(lines)),
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /ToUnicode 6 0 R >>',
+    stream('', cmap),
+    stream('/Subtype /Image /Width 300 /Height 400 /ColorSpace /DeviceGray /BitsPerComponent 8', Buffer.alloc(300 * 400, 128))
+  ]);
+}
+
+test('each page reports its fonts, hidden and repeated text and a gibberish score', async () => {
+  const quality = await analyzePdfTextQuality(document);
+  const report = quality.pageReports.map(({ pageNum, unmappedRatio, invisibleTextRatio, duplicateTextRatio, gibberishScore, needsOcr }) =>
+    [pageNum, unmappedRatio, invisibleTextRatio, duplicateTextRatio, gibberishScore, needsOcr]);
+  assert.deepEqual(report, [
+    [1, 0, 0, 0, 0, false],
+    [2, 0, 1, 0, 0, false],
+    [3, 0, 0, 0.5, 0, false],
+    [4, 0, 0, 0, 1, true],
+    // Images without text
+    [5, 0, 0, 0, 0, true]
+  ]);
+  assert.deepEqual(quality.pageReports[0].fonts, [{ name: 'Helvetica', embedded: false, subset: false, type3: false, loadError: null }]);
+  assert.deepEqual(quality.fonts, quality.pageReports[0].fonts);
+  assert.deepEqual([quality.needsOcr, quality.needsOcrPages], [true, [4, 5]]);
+
+  // A score of 0 reaches a threshold of 0
+  const strict = await analyzePdfTextQuality(document, { pages: [1], maxGibberishScore: 0 });
+  assert.deepEqual(strict.needsOcrPages, [1]);
+});
+
+test('glyphs mapped to unassigned characters need OCR', async () => {
+  const [page] = (await analyzePdfTextQuality(unmappedDocument(false))).pageReports;
+  assert.equal(page.unmappedRatio, 1);
+  assert.equal(page.needsOcr, true);
+  // The broken characters also read as gibberish
+  assert.equal(page.gibberishScore, 1);
+});
+
+test('garbled and invisible text does not turn a scan into a text page', async () => {
+  assert.equal((await analyzePdfType(unmappedDocument(true))).type, 'scan');
+  const { pageTypes } = await analyzePdfType(document, { allPages: true });
+  assert.deepEqual(pageTypes.map(page => page.type), ['text', 'scan', 'text', 'text', 'scan']);
+  assert.equal(pageTypes[1].signals.invisibleTextRatio, 1);
+  assert.equal(pageTypes[3].signals.gibberishScore, 1);
+});
+
+test('thresholds outside 0 - 1 are rejected', async () => {
+  await assert.rejects(analyzePdfTextQuality(document, { maxGibberishScore: 2 }), RangeError);
+  await assert.rejects(analyzePdfTextQuality(document, { maxUnmappedRatio: '0.1' }), RangeError);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import {
+  CorruptPageError,
+  InvalidPdfError,
+  PdfError,
+  analyzePdfType,
+  extractPdfData,
+  extractPdfImages,
+  iteratePdfPages
+} from '../index.js';
+import { buildDocument, damagedPage, imagesPage, textPage } from './fixtures.js';
+
+const document = buildDocument([textPage(1), damagedPage(), imagesPage()]);
+
+test('a damaged page fails the call with CorruptPageError by default', async () => {
+  await assert.rejects(extractPdfData(document), error => {
+    assert.ok(error instanceof CorruptPageError);
+    assert.equal(error.pageNum, 2);
+    return true;
+  });
+});
+
+test('tolerant mode skips the damaged page and reports it in warnings', async () => {
+  const result = await extractPdfData(document, { tolerant: true, includePages: true });
+  assert.deepEqual(result.processedPages, [1, 3]);
+  assert.equal(result.warnings.length, 1);
+  assert.equal(result.warnings[0].pageNum, 2);
+  assert.match(result.text, /Line 100 /);
+  assert.equal(result.imageCount, 3);
+
+  const analysis = await analyzePdfType(document, { tolerant: true, allPages: true });
+  assert.deepEqual(analysis.pageTypes.map(page => page.pageNum), [1, 3]);
+  assert.deepEqual(analysis.warnings.map(warning => warning.pageNum), [2]);
+
+  // Listing images leaves the damaged stream to pdf.js, which recovers an empty page
+  const { images } = await extractPdfImages(document, { tolerant: true });
+  assert.deepEqual(images.map(image => image.pageNum), [3, 3, 3]);
+});
+
+test('iterators pass skipped pages to onWarning', async () => {
+  const warnings = [];
+  const pageNumbers = [];
+  for await (const page of iteratePdfPages(document, { tolerant: true, onWarning: warning => warnings.push(warning) })) {
+    pageNumbers.push(page.pageNum);
+  }
+  assert.deepEqual(pageNumbers, [1, 3]);
+  assert.deepEqual(warnings.map(warning => warning.pageNum), [2]);
+});
+
+test('a document without structure is an InvalidPdfError even in tolerant mode', async () => {
+  await assert.rejects(extractPdfData(Buffer.from('not a pdf'), { tolerant: true }), InvalidPdfError);
+});
+
+test('the error classes share PdfError and are the same in the CommonJS build', async () => {
+  const error = await extractPdfData(Buffer.from('not a pdf')).catch(error => error);
+  assert.ok(error instanceof InvalidPdfError && error instanceof PdfError && error instanceof Error);
+  assert.equal(error.pageNum, null);
+
+  const cjs = createRequire(import.meta.url)('../index.cjs');
+  assert.equal(cjs.InvalidPdfError, InvalidPdfError);
+  assert.ok(new cjs.CorruptPageError(2) instanceof PdfError);
+});